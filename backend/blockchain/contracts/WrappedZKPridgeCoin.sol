@@ -24,4 +24,12 @@ contract WrappedZKPridgeCoin is ERC20, Ownable {
 
         _mint(to, amount);
     }
+
+    // The minter burns on behalf of users returning tokens to the source chain
+    function burn(address from, uint256 amount) external {
+        require(msg.sender == minter, "Caller is not the authorized minter");
+        require(amount > 0, "Invalid amount");
+
+        _burn(from, amount);
+    }
 }
\ No newline at end of file
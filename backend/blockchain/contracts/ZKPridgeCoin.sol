@@ -2,10 +2,12 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 
-contract ZKPridgeCoin is ERC20, Ownable {
-    constructor() ERC20("ZKPCoin", "ZKP") Ownable(msg.sender) {
+// EIP-2612 permits let a holder approve the lock contract with a signature, so a lock is a single transaction
+contract ZKPridgeCoin is ERC20, ERC20Permit, Ownable {
+    constructor() ERC20("ZKPCoin", "ZKP") ERC20Permit("ZKPCoin") Ownable(msg.sender) {
         _mint(msg.sender, 100000 * 1e18); // Mint 100,000 tokens to the deployer
     }
 
@@ -2,18 +2,78 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
 
-contract LockContract {
+contract LockContract is Ownable {
     IERC20 public token;
 
+    // Address of the bridge relayer allowed to release locked tokens
+    address public relayer;
+
+    // Burns already released, keyed by keccak256(sourceChainId, burn tx hash, log index)
+    mapping(bytes32 => bool) public processedBurns;
+
+    // Bounds of a single lock, the route limits of the backend. A lock outside them would never be minted
+    uint256 public minAmount;
+    uint256 public maxAmount;
+
     event TokensLocked(address indexed user, uint256 amount, string destinationAddress);
+    event TokensReleased(address indexed to, uint256 amount, bytes32 indexed burnId);
+    event RelayerUpdated(address indexed relayer);
+    event FeesWithdrawn(address indexed to, uint256 amount);
+    event AmountLimitsUpdated(uint256 minAmount, uint256 maxAmount);
 
-    constructor(address _tokenAddress) {
+    constructor(address _tokenAddress) Ownable(msg.sender) {
         token = IERC20(_tokenAddress);
+        relayer = msg.sender;
+        minAmount = 1;
+        maxAmount = type(uint256).max;
+    }
+
+    modifier onlyRelayer() {
+        require(msg.sender == relayer, "Caller is not the relayer");
+        _;
+    }
+
+    function setRelayer(address _relayer) external onlyOwner {
+        require(_relayer != address(0), "Invalid relayer address");
+        relayer = _relayer;
+        emit RelayerUpdated(_relayer);
+    }
+
+    function setAmountLimits(uint256 _minAmount, uint256 _maxAmount) external onlyOwner {
+        require(_minAmount > 0 && _minAmount <= _maxAmount, "Invalid amount limits");
+        minAmount = _minAmount;
+        maxAmount = _maxAmount;
+        emit AmountLimitsUpdated(_minAmount, _maxAmount);
     }
 
     function lockTokens(uint256 amount, string memory destinationAddress) external {
+        _lockTokens(amount, destinationAddress);
+    }
+
+    // Approve with an EIP-2612 permit signed by the caller and lock in the same transaction
+    function lockTokensWithPermit(
+        uint256 amount,
+        string memory destinationAddress,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        // Anyone can submit a permit seen in the mempool first, the lock goes ahead if the allowance is there
+        try IERC20Permit(address(token)).permit(msg.sender, address(this), amount, deadline, v, r, s) {
+        } catch {
+            require(token.allowance(msg.sender, address(this)) >= amount, "Permit failed");
+        }
+
+        _lockTokens(amount, destinationAddress);
+    }
+
+    function _lockTokens(uint256 amount, string memory destinationAddress) internal {
         require(amount > 0, "Amount must be greater than zero");
+        require(amount >= minAmount && amount <= maxAmount, "Amount outside the bridge limits");
 
         // Transfer tokens from the user to the contract
         token.transferFrom(msg.sender, address(this), amount);
@@ -22,8 +82,28 @@ contract LockContract {
         emit TokensLocked(msg.sender, amount, destinationAddress);
     }
 
-    // Optional: Withdraw locked tokens (for admin/emergency use)
-    function withdrawLockedTokens(uint256 amount) external {
+    // Unlock tokens for wrapped tokens burned on the destination chain
+    function releaseTokens(address to, uint256 amount, bytes32 burnId) external onlyRelayer {
+        require(to != address(0), "Invalid recipient address");
+        require(amount > 0, "Amount must be greater than zero");
+        require(!processedBurns[burnId], "Burn already processed");
+        processedBurns[burnId] = true;
+
+        require(token.transfer(to, amount), "Token transfer failed");
+        emit TokensReleased(to, amount, burnId);
+    }
+
+    // Send bridge fees kept in the contract to the treasury, the backend accounts for how much has accrued
+    function withdrawFees(address to, uint256 amount) external onlyOwner {
+        require(to != address(0), "Invalid recipient address");
+        require(amount > 0, "Amount must be greater than zero");
+
+        require(token.transfer(to, amount), "Token transfer failed");
+        emit FeesWithdrawn(to, amount);
+    }
+
+    // Withdraw locked tokens (for admin/emergency use)
+    function withdrawLockedTokens(uint256 amount) external onlyOwner {
         token.transfer(msg.sender, amount);
     }
-}
\ No newline at end of file
+}
@@ -2,23 +2,140 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 import "./WrappedZKPridgeCoin.sol";
 
-contract MintContract is Ownable {
+contract MintContract is Ownable, EIP712 {
     // Reference to the Wrapped Token Contract
     WrappedZKPridgeCoin public token;
 
+    // Locks already minted, keyed by keccak256(sourceChainId, lock tx hash, log index)
+    mapping(bytes32 => bool) public processedLocks;
+
+    // Validators attest every lock independently, a mint needs attestations from at least threshold of them.
+    // Only threshold of the current validators can replace the set, the owner cannot, so no single key
+    // can make itself a validator. The owner only sets the amount limits
+    address[] private validators;
+    mapping(address => bool) public isValidator;
+    uint256 public threshold;
+
+    // Validator set updates so far, every update is signed for the next nonce so it cannot be replayed
+    uint256 public validatorSetNonce;
+
+    // Bounds of a single burn, the route limits of the backend. A burn outside them would never be released
+    uint256 public minAmount;
+    uint256 public maxAmount;
+
+    bytes32 public constant MINT_ATTESTATION_TYPEHASH =
+        keccak256("MintAttestation(address to,uint256 amount,bytes32 lockId)");
+
+    bytes32 public constant VALIDATOR_SET_TYPEHASH =
+        keccak256("ValidatorSetUpdate(address[] validators,uint256 threshold,uint256 nonce)");
+
     // Event emitted when tokens are minted
-    event TokensMinted(address indexed to, uint256 amount);
+    event TokensMinted(address indexed to, uint256 amount, bytes32 indexed lockId);
+
+    // Event emitted when tokens are burned to be released on the source chain
+    event TokensBurned(address indexed user, uint256 amount, string destinationAddress);
+
+    event ValidatorsUpdated(address[] validators, uint256 threshold);
 
-    constructor(address _tokenAddress) Ownable(msg.sender) {
+    event AmountLimitsUpdated(uint256 minAmount, uint256 maxAmount);
+
+    constructor(address _tokenAddress, address[] memory _validators, uint256 _threshold)
+        Ownable(msg.sender)
+        EIP712("ZKPridge MintContract", "1")
+    {
         require(_tokenAddress != address(0), "Invalid token address");
         token = WrappedZKPridgeCoin(_tokenAddress);
+        _setValidators(_validators, _threshold);
+        minAmount = 1;
+        maxAmount = type(uint256).max;
+    }
+
+    function getValidators() external view returns (address[] memory) {
+        return validators;
+    }
+
+    // Replaces the whole validator set once threshold of the current validators signed the new one.
+    // Anyone can submit it, attestations of removed validators stop counting at once
+    function setValidators(address[] calldata _validators, uint256 _threshold, bytes[] calldata signatures) external {
+        _requireValidatorSignatures(hashValidatorSetUpdate(_validators, _threshold, validatorSetNonce), signatures);
+        validatorSetNonce++;
+        _setValidators(_validators, _threshold);
     }
 
-    function mintTokens(address to, uint256 amount) external onlyOwner {
+    function _setValidators(address[] memory _validators, uint256 _threshold) internal {
+        require(_threshold > 0 && _threshold <= _validators.length, "Invalid threshold");
+
+        for (uint256 i = 0; i < validators.length; i++) {
+            isValidator[validators[i]] = false;
+        }
+        for (uint256 i = 0; i < _validators.length; i++) {
+            require(_validators[i] != address(0), "Invalid validator address");
+            require(!isValidator[_validators[i]], "Duplicate validator");
+            isValidator[_validators[i]] = true;
+        }
+
+        validators = _validators;
+        threshold = _threshold;
+        emit ValidatorsUpdated(_validators, _threshold);
+    }
+
+    function setAmountLimits(uint256 _minAmount, uint256 _maxAmount) external onlyOwner {
+        require(_minAmount > 0 && _minAmount <= _maxAmount, "Invalid amount limits");
+        minAmount = _minAmount;
+        maxAmount = _maxAmount;
+        emit AmountLimitsUpdated(_minAmount, _maxAmount);
+    }
+
+    // EIP-712 digest the validators sign for a lock
+    function hashAttestation(address to, uint256 amount, bytes32 lockId) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(MINT_ATTESTATION_TYPEHASH, to, amount, lockId)));
+    }
+
+    // EIP-712 digest the current validators sign for a new validator set
+    function hashValidatorSetUpdate(address[] memory _validators, uint256 _threshold, uint256 nonce) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            VALIDATOR_SET_TYPEHASH, keccak256(abi.encodePacked(_validators)), _threshold, nonce
+        )));
+    }
+
+    // Signatures must come from at least threshold distinct validators, sorted by signer address
+    // so a duplicate is caught without keeping track of the signers
+    function _requireValidatorSignatures(bytes32 digest, bytes[] calldata signatures) internal view {
+        require(signatures.length >= threshold, "Not enough attestations");
+
+        address previous = address(0);
+        for (uint256 i = 0; i < signatures.length; i++) {
+            address signer = ECDSA.recover(digest, signatures[i]);
+            require(isValidator[signer], "Attestation from a non-validator");
+            require(signer > previous, "Attestations not sorted by signer");
+            previous = signer;
+        }
+    }
+
+    // Anyone can submit a mint, the attestations authorize it
+    function mintTokens(address to, uint256 amount, bytes32 lockId, bytes[] calldata signatures) external {
+        // Every lock can only be minted once
+        require(!processedLocks[lockId], "Lock already processed");
+        _requireValidatorSignatures(hashAttestation(to, amount, lockId), signatures);
+        processedLocks[lockId] = true;
+
         token.mint(to, amount); // Call mint function on Wrapped Token Contract
          // Emit an event to log the minting action
-        emit TokensMinted(to, amount);
+        emit TokensMinted(to, amount, lockId);
+    }
+
+    function burnTokens(uint256 amount, string memory destinationAddress) external {
+        require(amount > 0, "Amount must be greater than zero");
+        require(amount >= minAmount && amount <= maxAmount, "Amount outside the bridge limits");
+
+        // Only the caller's own tokens can be burned
+        token.burn(msg.sender, amount);
+
+        // Emit event for relayer to process
+        emit TokensBurned(msg.sender, amount, destinationAddress);
     }
-}
\ No newline at end of file
+}
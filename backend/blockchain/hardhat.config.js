@@ -2,19 +2,22 @@ require("@nomicfoundation/hardhat-toolbox");
 require("hardhat-gas-reporter");
 const config = require("../configuration/config");
 
+// One network per chain in the registry, named by its key (sepolia, amoy, ...)
+const networks = Object.fromEntries(config.CHAIN_REGISTRY.chains.map((chain) => [chain.key, {
+    url: chain.rpcUrls[0].url, // Chain RPC URL
+    chainId: chain.chainId,
+    accounts: config.PRIVATE_KEY ? [config.PRIVATE_KEY] : []  // wallet private key, deployments need it
+}]));
+
+// Local nodes can stand in for any chain, the e2e tests run two of them side by side
+networks.hardhat = {
+    chainId: Number(process.env.HARDHAT_CHAIN_ID || 31337),
+};
+
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: "0.8.20",
-  networks: {
-    sepolia: {
-        url: config.SEPOLIA_RPC, // Sepolia RPC URL
-        accounts: [config.PRIVATE_KEY]  // wallet private key
-    },
-    amoy: {
-        url: config.AMOY_RPC, // Amoy RPC URL
-        accounts: [config.PRIVATE_KEY]  // wallet private key
-    },
-  },
+  networks: networks,
   gasReporter: {
     enabled: true,
     currency: "ETH",
@@ -1,16 +1,18 @@
 const hre = require("hardhat");
 const config = require("../../configuration/config"); // Update with your config file path
+const ChainService = require("../../services/ChainService");
 
 async function main() {
-    // Deployed contract addresses
-    const wrappedTokenAddress = config.WRAPPED_TOKEN_ADDRESS; // Replace with actual WrappedZKPCoin address
-    const mintContractAddress = config.MINT_CONTRACT_ADDRESS; // Replace with actual MintContract address
+    // Deployed contract addresses of the selected network
+    const chain = new ChainService().getChain(hre.network.config.chainId);
+    const wrappedTokenAddress = chain.contracts.token; // WrappedZKPCoin address
+    const mintContractAddress = chain.contracts.mint; // MintContract address
 
     // ABI for WrappedZKPCoin
     const wrappedTokenABI = require("../ABI/WrappedZKPridgeCoinABI"); // Replace with actual ABI file path
 
     // Initialize signer and contract instance
-    const provider = new hre.ethers.JsonRpcProvider(config.AMOY_RPC);
+    const provider = new hre.ethers.JsonRpcProvider(chain.rpcUrls[0].url);
     const signer = new hre.ethers.Wallet(config.PRIVATE_KEY, provider);
     const wrappedToken = new hre.ethers.Contract(wrappedTokenAddress, wrappedTokenABI, signer);
 
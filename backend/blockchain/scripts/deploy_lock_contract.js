@@ -1,8 +1,9 @@
-const { ethers } = require("hardhat");
-const config = require("../../configuration/config");
+const { ethers, network } = require("hardhat");
+const ChainService = require("../../services/ChainService");
 
 async function main() {
-    const tokenAddress = config.TOKEN_ADDRESS; // ERC20 token address ZKP on Sepolia
+    const chain = new ChainService().getChain(network.config.chainId);
+    const tokenAddress = chain.contracts.token; // ERC20 token address ZKP on the selected network
     
     console.log("Deploying LockContract...");
 
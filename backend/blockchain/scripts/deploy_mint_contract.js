@@ -1,18 +1,27 @@
-const { ethers } = require("hardhat");
-const config = require("../../configuration/config");
+const { ethers, network } = require("hardhat");
+const ChainService = require("../../services/ChainService");
 
 async function main() {
-    const wrappedTokenAddress = config.WRAPPED_TOKEN_ADDRESS; // Replace with actual address
+    const chain = new ChainService().getChain(network.config.chainId);
+    const wrappedTokenAddress = chain.contracts.token; // Wrapped token of the selected network
+
+    // Validator addresses, comma separated, and how many of them have to attest a lock before it is minted
+    const validators = (process.env.MINT_VALIDATORS || "").split(",").map((address) => address.trim()).filter(Boolean);
+    const threshold = Number(process.env.MINT_VALIDATOR_THRESHOLD || validators.length);
+
     const MintContract = await ethers.getContractFactory("MintContract");
-    const mintContract = await MintContract.deploy(wrappedTokenAddress);
+    const mintContract = await MintContract.deploy(wrappedTokenAddress, validators, threshold);
     
     await mintContract.waitForDeployment();
     
     console.log("mintContract deployed to:", mintContract);
     console.log("MintContract deployed to:", await mintContract.getAddress());
+    console.log(`Validators (${threshold} of ${validators.length}): ${validators.join(", ")}`);
+    // The deployer stays owner of the amount limits only, from now on the validators change their set themselves
+    console.log("Validator set changes need the signatures of the validators, see scripts/set_validators.js");
 }
     
 main().catch((error) => {
     console.error(error);
     process.exitCode = 1;
-});
\ No newline at end of file
+});
@@ -0,0 +1,50 @@
+const hre = require("hardhat");
+const ChainService = require("../../services/ChainService");
+
+// Contract that takes the tokens of a transfer on its source chain
+const SOURCE_CONTRACTS = {
+    LOCK_MINT: { name: "LockContract", key: "lock" },
+    BURN_RELEASE: { name: "MintContract", key: "mint" },
+};
+
+async function main() {
+    // Routes leaving the selected network, a contract shared by several routes takes the bounds all of them accept
+    const chainService = new ChainService();
+    const chain = chainService.getChain(hre.network.config.chainId);
+    const routes = chainService.getRoutes().filter((route) => route.sourceChainId === chain.chainId);
+
+    for (const direction of Object.keys(SOURCE_CONTRACTS)) {
+        const limits = routes.filter((route) => route.direction === direction).map((route) => route.limits);
+        if (limits.length === 0) continue;
+
+        // A zero amount is never locked or burned
+        const minAmount = limits
+            .map(({ min }) => hre.ethers.parseUnits(min, 18))
+            .reduce((bound, min) => (min > bound ? min : bound), 1n);
+        const maxAmount = limits
+            .filter(({ max }) => max !== undefined)
+            .map(({ max }) => hre.ethers.parseUnits(max, 18))
+            .reduce((bound, max) => (max < bound ? max : bound), hre.ethers.MaxUint256);
+
+        const { name, key } = SOURCE_CONTRACTS[direction];
+        const contract = await hre.ethers.getContractAt(name, chain.contracts[key]);
+
+        console.log(`Setting amount limits of ${name} (${chain.contracts[key]}) to ${minAmount} - ${maxAmount} wei...`);
+
+        try {
+            const tx = await contract.setAmountLimits(minAmount, maxAmount);
+            await tx.wait();
+
+            console.log("Amount limits successfully updated!");
+        } catch (error) {
+            console.error("Error setting amount limits:", error);
+        }
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error("Error:", error);
+        process.exit(1);
+    });
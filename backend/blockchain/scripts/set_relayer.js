@@ -0,0 +1,30 @@
+const hre = require("hardhat");
+const config = require("../../configuration/config");
+const ChainService = require("../../services/ChainService");
+
+async function main() {
+    // Lock contract of the selected network and the relayer wallet that releases from it
+    const chain = new ChainService().getChain(hre.network.config.chainId);
+    const lockContractAddress = chain.contracts.lock;
+    const relayerAddress = process.env.RELAYER_ADDRESS || new hre.ethers.Wallet(config.PRIVATE_KEY).address;
+
+    const lockContract = await hre.ethers.getContractAt("LockContract", lockContractAddress);
+
+    console.log(`Setting relayer of LockContract (${lockContractAddress}) to ${relayerAddress}...`);
+
+    try {
+        const tx = await lockContract.setRelayer(relayerAddress);
+        await tx.wait();
+
+        console.log("Relayer successfully updated!");
+    } catch (error) {
+        console.error("Error setting relayer:", error);
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error("Error:", error);
+        process.exit(1);
+    });
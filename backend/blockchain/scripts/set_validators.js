@@ -0,0 +1,63 @@
+const hre = require("hardhat");
+const ChainService = require("../../services/ChainService");
+
+// EIP-712 type of a validator set update, must match VALIDATOR_SET_TYPEHASH of the mint contract
+const VALIDATOR_SET_TYPES = {
+    ValidatorSetUpdate: [
+        { name: "validators", type: "address[]" },
+        { name: "threshold", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+    ],
+};
+
+// Only threshold of the current validators can replace the set. Without MINT_VALIDATOR_SIGNATURES the script
+// prints the typed data each of them signs (eth_signTypedData_v4), with the signatures it submits the update
+async function main() {
+    // Mint contract of the selected network and its new validator set
+    const chain = new ChainService().getChain(hre.network.config.chainId);
+    const mintContractAddress = chain.contracts.mint;
+    const validators = (process.env.MINT_VALIDATORS || "").split(",").map((address) => address.trim()).filter(Boolean);
+    const threshold = Number(process.env.MINT_VALIDATOR_THRESHOLD || validators.length);
+    const signatures = (process.env.MINT_VALIDATOR_SIGNATURES || "").split(",").map((signature) => signature.trim()).filter(Boolean);
+
+    const mintContract = await hre.ethers.getContractAt("MintContract", mintContractAddress);
+    const domain = {
+        name: "ZKPridge MintContract",
+        version: "1",
+        chainId: chain.chainId,
+        verifyingContract: mintContractAddress,
+    };
+    const value = { validators: validators, threshold: threshold, nonce: await mintContract.validatorSetNonce() };
+
+    if (signatures.length === 0) {
+        console.log(`Typed data ${await mintContract.threshold()} of the current validators have to sign:`);
+        console.log(JSON.stringify({ domain, types: VALIDATOR_SET_TYPES, primaryType: "ValidatorSetUpdate", message: value }, (key, item) => (
+            typeof item === "bigint" ? item.toString() : item
+        ), 4));
+        return;
+    }
+
+    // The contract expects the signatures in ascending signer order
+    const signed = signatures
+        .map((signature) => ({ signature, signer: hre.ethers.verifyTypedData(domain, VALIDATOR_SET_TYPES, value, signature) }))
+        .sort((a, b) => (BigInt(a.signer) < BigInt(b.signer) ? -1 : 1));
+
+    console.log(`Setting validators of MintContract (${mintContractAddress}) to ${threshold} of ${validators.join(", ")}...`);
+    console.log(`Signed by ${signed.map(({ signer }) => signer).join(", ")}`);
+
+    try {
+        const tx = await mintContract.setValidators(validators, threshold, signed.map(({ signature }) => signature));
+        await tx.wait();
+
+        console.log("Validators successfully updated!");
+    } catch (error) {
+        console.error("Error setting validators:", error);
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error("Error:", error);
+        process.exit(1);
+    });
@@ -1,8 +1,9 @@
 const hre = require("hardhat");
-const config = require("../../configuration/config");
+const ChainService = require("../../services/ChainService");
 
 async function main() {
-    const contractAddress = config.WRAPPED_TOKEN_ADDRESS; // Replace with your contract address
+    const chain = new ChainService().getChain(hre.network.config.chainId);
+    const contractAddress = chain.contracts.token; // Token of the selected network
     const walletAddress = "0xbaCa1a7b55227FD1f25A1892df748E22282ca792"; // Replace with your wallet address
 
     // Attach to the deployed contract
@@ -0,0 +1,391 @@
+const { expect } = require("chai");
+
+// EIP-712 attestation of a lock by one validator, as the backend validators sign it
+async function signAttestation(validator, mintContract, to, amount, lockId) {
+    const domain = {
+        name: "ZKPridge MintContract",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await mintContract.getAddress(),
+    };
+    const types = {
+        MintAttestation: [
+            { name: "to", type: "address" },
+            { name: "amount", type: "uint256" },
+            { name: "lockId", type: "bytes32" },
+        ],
+    };
+    return validator.signTypedData(domain, types, { to, amount, lockId });
+}
+
+// EIP-712 signature of one current validator for a new validator set
+async function signValidatorSet(validator, mintContract, validators, threshold) {
+    const domain = {
+        name: "ZKPridge MintContract",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await mintContract.getAddress(),
+    };
+    const types = {
+        ValidatorSetUpdate: [
+            { name: "validators", type: "address[]" },
+            { name: "threshold", type: "uint256" },
+            { name: "nonce", type: "uint256" },
+        ],
+    };
+    const nonce = await mintContract.validatorSetNonce();
+    return validator.signTypedData(domain, types, { validators, threshold, nonce });
+}
+
+// EIP-2612 permit of the owner for the spender, as wallets sign it for the token
+async function signPermit(owner, token, spender, value, deadline) {
+    const { name, version, chainId, verifyingContract } = await token.eip712Domain();
+    const types = {
+        Permit: [
+            { name: "owner", type: "address" },
+            { name: "spender", type: "address" },
+            { name: "value", type: "uint256" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" },
+        ],
+    };
+    const nonce = await token.nonces(owner.address);
+    const signature = await owner.signTypedData(
+        { name, version, chainId, verifyingContract }, types, { owner: owner.address, spender, value, nonce, deadline }
+    );
+    return ethers.Signature.from(signature);
+}
+
+// Validators in the ascending signer order the mint contract expects their signatures in
+const sortBySigner = (validators) => [...validators].sort((a, b) => (BigInt(a.address) < BigInt(b.address) ? -1 : 1));
+
+async function signAttestations(validators, mintContract, to, amount, lockId) {
+    return Promise.all(sortBySigner(validators).map((validator) => signAttestation(validator, mintContract, to, amount, lockId)));
+}
+
+async function signValidatorSets(validators, mintContract, newValidators, threshold) {
+    return Promise.all(sortBySigner(validators).map((validator) => signValidatorSet(validator, mintContract, newValidators, threshold)));
+}
+
+describe("Burn and release", function () {
+    async function deployBridge() {
+        const [owner, relayer, user, other, ...validators] = await ethers.getSigners();
+
+        const Token = await ethers.getContractFactory("ZKPridgeCoin");
+        const token = await Token.deploy();
+        await token.waitForDeployment();
+
+        const LockContract = await ethers.getContractFactory("LockContract");
+        const lockContract = await LockContract.deploy(await token.getAddress());
+        await lockContract.waitForDeployment();
+        await lockContract.setRelayer(relayer.address);
+
+        const WrappedToken = await ethers.getContractFactory("WrappedZKPridgeCoin");
+        const wrappedToken = await WrappedToken.deploy();
+        await wrappedToken.waitForDeployment();
+
+        const MintContract = await ethers.getContractFactory("MintContract");
+        const mintContract = await MintContract.deploy(await wrappedToken.getAddress(), validators.slice(0, 3).map(({ address }) => address), 2);
+        await mintContract.waitForDeployment();
+        await wrappedToken.setMinter(await mintContract.getAddress());
+
+        // The user locks 100 ZKP and two of the three validators attest the mint of 100 WZKP
+        const amount = ethers.parseUnits("100", 18);
+        await token.transfer(user.address, amount);
+        await token.connect(user).approve(await lockContract.getAddress(), amount);
+        await lockContract.connect(user).lockTokens(amount, user.address);
+        const lockId = ethers.id("lock-1");
+        const signatures = await signAttestations(validators.slice(0, 2), mintContract, user.address, amount, lockId);
+        await mintContract.connect(relayer).mintTokens(user.address, amount, lockId, signatures);
+
+        return { owner, relayer, user, other, validators, token, lockContract, wrappedToken, mintContract, amount, lockId, signatures };
+    }
+
+    it("Should burn the caller's wrapped tokens and emit TokensBurned", async function () {
+        const { user, wrappedToken, mintContract, amount } = await deployBridge();
+
+        await expect(mintContract.connect(user).burnTokens(amount, user.address))
+            .to.emit(mintContract, "TokensBurned")
+            .withArgs(user.address, amount, user.address);
+
+        expect(await wrappedToken.balanceOf(user.address)).to.equal(0n);
+    });
+
+    it("Should only let the minter burn wrapped tokens", async function () {
+        const { user, other, wrappedToken, amount } = await deployBridge();
+
+        await expect(wrappedToken.connect(other).burn(user.address, amount))
+            .to.be.revertedWith("Caller is not the authorized minter");
+    });
+
+    it("Should release locked tokens to the recipient when called by the relayer", async function () {
+        const { relayer, user, token, lockContract, amount } = await deployBridge();
+
+        const burnId = ethers.id("burn-1");
+        await expect(lockContract.connect(relayer).releaseTokens(user.address, amount, burnId))
+            .to.emit(lockContract, "TokensReleased")
+            .withArgs(user.address, amount, burnId);
+
+        expect(await token.balanceOf(user.address)).to.equal(amount);
+        expect(await token.balanceOf(await lockContract.getAddress())).to.equal(0n);
+    });
+
+    it("Should reject releases from anyone but the relayer", async function () {
+        const { owner, user, lockContract, amount } = await deployBridge();
+
+        await expect(lockContract.connect(user).releaseTokens(user.address, amount, ethers.id("burn-1")))
+            .to.be.revertedWith("Caller is not the relayer");
+        await expect(lockContract.connect(owner).releaseTokens(user.address, amount, ethers.id("burn-1")))
+            .to.be.revertedWith("Caller is not the relayer");
+    });
+
+    it("Should mint each lock only once", async function () {
+        const { user, wrappedToken, mintContract, amount, lockId, signatures } = await deployBridge();
+
+        expect(await mintContract.processedLocks(lockId)).to.equal(true);
+        await expect(mintContract.mintTokens(user.address, amount, lockId, signatures))
+            .to.be.revertedWith("Lock already processed");
+
+        expect(await wrappedToken.balanceOf(user.address)).to.equal(amount);
+    });
+
+    it("Should release each burn only once", async function () {
+        const { relayer, user, token, lockContract } = await deployBridge();
+        const burnId = ethers.id("burn-1");
+        const half = ethers.parseUnits("50", 18);
+
+        await lockContract.connect(relayer).releaseTokens(user.address, half, burnId);
+        await expect(lockContract.connect(relayer).releaseTokens(user.address, half, burnId))
+            .to.be.revertedWith("Burn already processed");
+
+        expect(await lockContract.processedBurns(burnId)).to.equal(true);
+        expect(await token.balanceOf(user.address)).to.equal(half);
+    });
+
+    it("Should restrict withdrawLockedTokens to the owner", async function () {
+        const { user, lockContract, amount } = await deployBridge();
+
+        await expect(lockContract.connect(user).withdrawLockedTokens(amount))
+            .to.be.revertedWithCustomError(lockContract, "OwnableUnauthorizedAccount")
+            .withArgs(user.address);
+    });
+
+    it("Should let only the owner withdraw fees to the treasury", async function () {
+        const { user, other, token, lockContract } = await deployBridge();
+
+        const fee = ethers.parseUnits("1", 18);
+        await expect(lockContract.withdrawFees(other.address, fee))
+            .to.emit(lockContract, "FeesWithdrawn")
+            .withArgs(other.address, fee);
+        expect(await token.balanceOf(other.address)).to.equal(fee);
+
+        await expect(lockContract.connect(user).withdrawFees(user.address, fee))
+            .to.be.revertedWithCustomError(lockContract, "OwnableUnauthorizedAccount")
+            .withArgs(user.address);
+    });
+
+    it("Should reject locks and burns outside the amount limits", async function () {
+        const { user, token, lockContract, wrappedToken, mintContract } = await deployBridge();
+
+        const min = ethers.parseUnits("1", 18);
+        const max = ethers.parseUnits("50", 18);
+        await expect(lockContract.setAmountLimits(min, max))
+            .to.emit(lockContract, "AmountLimitsUpdated")
+            .withArgs(min, max);
+        await mintContract.setAmountLimits(min, max);
+
+        // Nothing is taken from the caller, the tokens never reach the contracts
+        await token.transfer(user.address, max + 1n);
+        await token.connect(user).approve(await lockContract.getAddress(), max + 1n);
+        await expect(lockContract.connect(user).lockTokens(max + 1n, user.address))
+            .to.be.revertedWith("Amount outside the bridge limits");
+        await expect(lockContract.connect(user).lockTokens(min - 1n, user.address))
+            .to.be.revertedWith("Amount outside the bridge limits");
+        expect(await token.balanceOf(user.address)).to.equal(max + 1n);
+
+        await expect(mintContract.connect(user).burnTokens(max + 1n, user.address))
+            .to.be.revertedWith("Amount outside the bridge limits");
+        await expect(mintContract.connect(user).burnTokens(max, user.address))
+            .to.emit(mintContract, "TokensBurned");
+        expect(await wrappedToken.balanceOf(user.address)).to.equal(ethers.parseUnits("50", 18));
+
+        await expect(lockContract.connect(user).lockTokens(max, user.address))
+            .to.emit(lockContract, "TokensLocked");
+    });
+
+    it("Should let only the owner set valid amount limits", async function () {
+        const { user, lockContract, mintContract } = await deployBridge();
+
+        await expect(lockContract.connect(user).setAmountLimits(1n, 2n))
+            .to.be.revertedWithCustomError(lockContract, "OwnableUnauthorizedAccount")
+            .withArgs(user.address);
+        await expect(mintContract.connect(user).setAmountLimits(1n, 2n))
+            .to.be.revertedWithCustomError(mintContract, "OwnableUnauthorizedAccount")
+            .withArgs(user.address);
+
+        await expect(lockContract.setAmountLimits(0n, 2n)).to.be.revertedWith("Invalid amount limits");
+        await expect(mintContract.setAmountLimits(3n, 2n)).to.be.revertedWith("Invalid amount limits");
+    });
+});
+
+describe("Mint attestations", function () {
+    async function deployMint() {
+        const [owner, user, other, ...validators] = await ethers.getSigners();
+
+        const WrappedToken = await ethers.getContractFactory("WrappedZKPridgeCoin");
+        const wrappedToken = await WrappedToken.deploy();
+        await wrappedToken.waitForDeployment();
+
+        // Two of three validators have to attest every lock
+        const MintContract = await ethers.getContractFactory("MintContract");
+        const mintContract = await MintContract.deploy(await wrappedToken.getAddress(), validators.slice(0, 3).map(({ address }) => address), 2);
+        await mintContract.waitForDeployment();
+        await wrappedToken.setMinter(await mintContract.getAddress());
+
+        const amount = ethers.parseUnits("10", 18);
+        return { owner, user, other, validators: validators.slice(0, 3), outsider: validators[3], wrappedToken, mintContract, amount, lockId: ethers.id("lock-1") };
+    }
+
+    it("Should mint once the threshold of validators attested the lock", async function () {
+        const { user, other, validators, wrappedToken, mintContract, amount, lockId } = await deployMint();
+
+        // Submitted by any account, the attestations are what authorize the mint
+        const signatures = await signAttestations(validators.slice(1), mintContract, user.address, amount, lockId);
+        await expect(mintContract.connect(other).mintTokens(user.address, amount, lockId, signatures))
+            .to.emit(mintContract, "TokensMinted")
+            .withArgs(user.address, amount, lockId);
+
+        expect(await wrappedToken.balanceOf(user.address)).to.equal(amount);
+    });
+
+    it("Should reject mints below the threshold", async function () {
+        const { user, validators, mintContract, amount, lockId } = await deployMint();
+
+        const signatures = await signAttestations(validators.slice(0, 1), mintContract, user.address, amount, lockId);
+        await expect(mintContract.mintTokens(user.address, amount, lockId, signatures))
+            .to.be.revertedWith("Not enough attestations");
+    });
+
+    it("Should reject attestations of non-validators, repeated validators or other mints", async function () {
+        const { user, other, validators, outsider, mintContract, amount, lockId } = await deployMint();
+
+        const withOutsider = await signAttestations([validators[0], outsider], mintContract, user.address, amount, lockId);
+        await expect(mintContract.mintTokens(user.address, amount, lockId, withOutsider))
+            .to.be.revertedWith("Attestation from a non-validator");
+
+        const signature = await signAttestation(validators[0], mintContract, user.address, amount, lockId);
+        await expect(mintContract.mintTokens(user.address, amount, lockId, [signature, signature]))
+            .to.be.revertedWith("Attestations not sorted by signer");
+
+        // Signed for the user, submitted for someone else: the signers recovered are not validators
+        const signatures = await signAttestations(validators.slice(0, 2), mintContract, user.address, amount, lockId);
+        await expect(mintContract.mintTokens(other.address, amount, lockId, signatures))
+            .to.be.revertedWith("Attestation from a non-validator");
+    });
+
+    it("Should not let the owner or relayer key change the validator set", async function () {
+        const { owner, validators, mintContract } = await deployMint();
+
+        // The deployer owns the contract and is the relayer key as well, on its own it cannot add itself
+        await expect(mintContract.connect(owner).setValidators([owner.address], 1, []))
+            .to.be.revertedWith("Not enough attestations");
+        const ownSignatures = await signValidatorSets([owner, validators[0]], mintContract, [owner.address], 1);
+        await expect(mintContract.connect(owner).setValidators([owner.address], 1, ownSignatures))
+            .to.be.revertedWith("Attestation from a non-validator");
+
+        // One validator short of the threshold is not enough either
+        const oneSignature = await signValidatorSets(validators.slice(0, 1), mintContract, [owner.address], 1);
+        await expect(mintContract.connect(owner).setValidators([owner.address], 1, oneSignature))
+            .to.be.revertedWith("Not enough attestations");
+
+        expect(await mintContract.isValidator(owner.address)).to.equal(false);
+        expect(await mintContract.threshold()).to.equal(2n);
+    });
+
+    it("Should let the threshold of current validators replace the validator set", async function () {
+        const { user, other, validators, outsider, mintContract, amount, lockId } = await deployMint();
+
+        // Signed by two of the three validators, submitted by anyone
+        const signatures = await signValidatorSets(validators.slice(1), mintContract, [outsider.address], 1);
+        await expect(mintContract.connect(other).setValidators([outsider.address], 2, signatures))
+            .to.be.revertedWith("Attestation from a non-validator");
+        await expect(mintContract.connect(other).setValidators([outsider.address], 1, signatures))
+            .to.emit(mintContract, "ValidatorsUpdated")
+            .withArgs([outsider.address], 1);
+        expect(await mintContract.getValidators()).to.deep.equal([outsider.address]);
+        expect(await mintContract.isValidator(validators[0].address)).to.equal(false);
+        expect(await mintContract.validatorSetNonce()).to.equal(1n);
+
+        // The signatures were for the previous nonce, they cannot be replayed
+        await expect(mintContract.connect(other).setValidators([outsider.address], 1, signatures))
+            .to.be.revertedWith("Attestation from a non-validator");
+
+        // A threshold the new set cannot reach is refused
+        const invalid = await signValidatorSets([outsider], mintContract, [outsider.address], 2);
+        await expect(mintContract.setValidators([outsider.address], 2, invalid))
+            .to.be.revertedWith("Invalid threshold");
+
+        // Attestations of removed validators no longer count
+        const attestations = await signAttestations(validators.slice(0, 2), mintContract, user.address, amount, lockId);
+        await expect(mintContract.mintTokens(user.address, amount, lockId, attestations))
+            .to.be.revertedWith("Attestation from a non-validator");
+    });
+});
+
+describe("Lock with permit", function () {
+    async function deployLock() {
+        const [owner, user, other] = await ethers.getSigners();
+
+        const Token = await ethers.getContractFactory("ZKPridgeCoin");
+        const token = await Token.deploy();
+        await token.waitForDeployment();
+
+        const LockContract = await ethers.getContractFactory("LockContract");
+        const lockContract = await LockContract.deploy(await token.getAddress());
+        await lockContract.waitForDeployment();
+
+        const amount = ethers.parseUnits("10", 18);
+        await token.transfer(user.address, amount);
+        const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+        return { owner, user, other, token, lockContract, amount, deadline };
+    }
+
+    it("Should lock with a signed permit and no approval transaction", async function () {
+        const { user, token, lockContract, amount, deadline } = await deployLock();
+        const lockAddress = await lockContract.getAddress();
+
+        const { v, r, s } = await signPermit(user, token, lockAddress, amount, deadline);
+        await expect(lockContract.connect(user).lockTokensWithPermit(amount, user.address, deadline, v, r, s))
+            .to.emit(lockContract, "TokensLocked")
+            .withArgs(user.address, amount, user.address);
+
+        expect(await token.balanceOf(lockAddress)).to.equal(amount);
+        expect(await token.allowance(user.address, lockAddress)).to.equal(0n);
+        expect(await token.nonces(user.address)).to.equal(1n);
+    });
+
+    it("Should still lock when the permit was submitted first by someone else", async function () {
+        const { user, other, token, lockContract, amount, deadline } = await deployLock();
+        const lockAddress = await lockContract.getAddress();
+
+        // The permit seen in the mempool is used up, the allowance it set is what the lock needs
+        const { v, r, s } = await signPermit(user, token, lockAddress, amount, deadline);
+        await token.connect(other).permit(user.address, lockAddress, amount, deadline, v, r, s);
+        await expect(lockContract.connect(user).lockTokensWithPermit(amount, user.address, deadline, v, r, s))
+            .to.emit(lockContract, "TokensLocked");
+        expect(await token.balanceOf(lockAddress)).to.equal(amount);
+    });
+
+    it("Should reject a permit signed by another account or for another amount", async function () {
+        const { user, other, token, lockContract, amount, deadline } = await deployLock();
+        const lockAddress = await lockContract.getAddress();
+
+        const otherPermit = await signPermit(other, token, lockAddress, amount, deadline);
+        await expect(lockContract.connect(user).lockTokensWithPermit(amount, user.address, deadline, otherPermit.v, otherPermit.r, otherPermit.s))
+            .to.be.revertedWith("Permit failed");
+
+        const { v, r, s } = await signPermit(user, token, lockAddress, amount - 1n, deadline);
+        await expect(lockContract.connect(user).lockTokensWithPermit(amount, user.address, deadline, v, r, s))
+            .to.be.revertedWith("Permit failed");
+    });
+});
\ No newline at end of file
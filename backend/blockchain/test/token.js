@@ -4,7 +4,7 @@ describe("Token Deployment", function () {
     it("Should deploy the token contract successfully", async function () {
         const Token = await ethers.getContractFactory("ZKPridgeCoin");
         const token = await Token.deploy();
-        await token.deployed();
+        await token.waitForDeployment();
 
         expect(await token.name()).to.equal("ZKPCoin");
     });
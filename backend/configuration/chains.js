@@ -0,0 +1,167 @@
+const fs = require("fs");
+const Joi = require("joi");
+const { ethers } = require("ethers");
+
+// Token amounts are given in whole tokens
+const tokenAmount = Joi.string().pattern(/^\d+(\.\d{1,18})?$/)
+    .messages({ "string.pattern.base": "{#label} must be a positive decimal with at most 18 decimals" });
+
+// A backend RPC endpoint is a URL, or a URL with a weight: healthy endpoints with more weight serve
+// more of the calls. Plain URLs are read as a weight of 1
+const rpcEndpointSchema = Joi.alternatives().try(
+    Joi.string().uri().custom((url) => ({ url: url, weight: 1 })),
+    Joi.object({
+        url: Joi.string().uri().required(),
+        weight: Joi.number().integer().min(1).default(1),
+    })
+);
+
+// How the backend talks to the RPC endpoints of a chain. A failed or rate limited call is retried on the next
+// endpoint, with backoff once every endpoint was tried. Endpoints that fail, or lag more than maxBlockLag blocks
+// behind the others at a health check, are left out for cooldownMs
+const rpcOptionsSchema = Joi.object({
+    timeoutMs: Joi.number().integer().min(1).default(10000),
+    retries: Joi.number().integer().min(0).default(3),
+    backoffMs: Joi.number().integer().min(0).default(500),
+    maxBackoffMs: Joi.number().integer().min(0).default(8000),
+    cooldownMs: Joi.number().integer().min(0).default(30000),
+    healthCheckIntervalMs: Joi.number().integer().min(0).default(30000), // 0 disables the health checks
+    maxBlockLag: Joi.number().integer().min(0).default(5),
+});
+
+// Schema of the chain registry file, every supported chain and bridge route is declared there
+const chainSchema = Joi.object({
+    chainId: Joi.number().integer().positive().required(),
+    key: Joi.string().pattern(/^[a-z0-9-]+$/).required(),
+    name: Joi.string().required(),
+    icon: Joi.string().allow(""),
+    nativeCurrency: Joi.object({
+        name: Joi.string().required(),
+        symbol: Joi.string().required(),
+        decimals: Joi.number().integer().min(0).required(),
+    }).required(),
+    rpcUrls: Joi.array().items(rpcEndpointSchema).min(1).required(),
+    rpc: rpcOptionsSchema.default(),
+    publicRpcUrls: Joi.array().items(Joi.string().uri()).default([]),
+    explorerUrl: Joi.string().uri().required(),
+    confirmations: Joi.number().integer().min(1).default(12),
+    // How many blocks back the relayer rechecks the blocks of recorded transfers, deeper reorgs go unnoticed
+    reorgWindow: Joi.number().integer().min(1).default(128),
+    startBlock: Joi.number().integer().min(0),
+    contracts: Joi.object({
+        token: Joi.string(),
+        lock: Joi.string(),
+        mint: Joi.string(),
+    }).required(),
+    // Wrapped tokens minted outside the bridge, e.g. by the token constructor, no locked tokens back them
+    premint: tokenAmount.default("0"),
+});
+
+// LOCK_MINT locks on the source lock contract and mints on the destination mint contract,
+// BURN_RELEASE burns through the source mint contract and releases from the destination lock contract
+const ROUTE_CONTRACTS = {
+    LOCK_MINT: { source: ["token", "lock"], destination: ["mint"] },
+    BURN_RELEASE: { source: ["token", "mint"], destination: ["lock"] },
+};
+
+// Bridge fee of a route: flat plus basis points of the amount, kept between min and max.
+// The fee stays in the lock contract, so it is only ever collected on chains with one
+const feeSchema = Joi.object({
+    flat: tokenAmount.default("0"),
+    bps: Joi.number().integer().min(0).max(10000).default(0),
+    min: tokenAmount.default("0"),
+    max: tokenAmount,
+});
+
+// Volume limits of a route: per transfer, per sender in the last 24 hours and in total
+// in the last 24 hours. Every limit but the minimum is optional. The source contract refuses
+// transfers outside min and max too, blockchain/scripts/set_amount_limits.js sets them on-chain
+const limitsSchema = Joi.object({
+    min: tokenAmount.default("0"),
+    max: tokenAmount,
+    dailyPerAddress: tokenAmount,
+    dailyTotal: tokenAmount,
+});
+
+const routeSchema = Joi.object({
+    sourceChainId: Joi.number().integer().positive().required(),
+    destinationChainId: Joi.number().integer().positive().required(),
+    direction: Joi.string().valid(...Object.keys(ROUTE_CONTRACTS)).default("LOCK_MINT"),
+    fee: feeSchema.default(),
+    limits: limitsSchema.default(),
+});
+
+const registrySchema = Joi.object({
+    chains: Joi.array().items(chainSchema).min(1).unique("chainId").unique("key").required(),
+    routes: Joi.array().items(routeSchema).min(1).required(),
+});
+
+// Replaces ${VARIABLE} placeholders with environment values, so secrets like RPC keys stay in .env
+function interpolate(value, missingVariables) {
+    if (typeof value === "string") {
+        return value.replace(/\$\{(\w+)\}/g, (placeholder, variable) => {
+            if (!process.env[variable]) {
+                missingVariables.add(variable);
+                return placeholder;
+            }
+            return process.env[variable];
+        });
+    }
+    if (Array.isArray(value)) {
+        return value.map((item) => interpolate(item, missingVariables));
+    }
+    if (value && typeof value === "object") {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolate(item, missingVariables)]));
+    }
+    return value;
+}
+
+function loadChainRegistry(filePath) {
+    const missingVariables = new Set();
+    const registry = interpolate(JSON.parse(fs.readFileSync(filePath, "utf8")), missingVariables);
+    if (missingVariables.size > 0) {
+        throw new Error(`Missing required environment variables: ${[...missingVariables].join(", ")}`);
+    }
+
+    const { error, value } = registrySchema.validate(registry);
+    if (error) {
+        throw new Error(`Invalid chain registry ${filePath}: ${error.details[0].message}`);
+    }
+
+    // A transfer is settled once it is confirmations deep, its block has to be rechecked at least until then
+    for (const chain of value.chains) {
+        if (chain.reorgWindow < chain.confirmations) {
+            throw new Error(`Invalid chain registry ${filePath}: chain ${chain.chainId} has a reorgWindow below its confirmations`);
+        }
+    }
+
+    // Every route must connect two declared chains that have the contracts of its direction
+    const chainIds = value.chains.map((chain) => chain.chainId);
+    for (const route of value.routes) {
+        const source = value.chains.find((chain) => chain.chainId === route.sourceChainId);
+        const destination = value.chains.find((chain) => chain.chainId === route.destinationChainId);
+        if (!source || !destination) {
+            throw new Error(`Invalid chain registry ${filePath}: route ${route.sourceChainId} -> ${route.destinationChainId} uses an unknown chain, expected one of ${chainIds.join(", ")}`);
+        }
+        const required = ROUTE_CONTRACTS[route.direction];
+        if (!required.source.every((name) => source.contracts[name]) || !required.destination.every((name) => destination.contracts[name])) {
+            throw new Error(`Invalid chain registry ${filePath}: ${route.direction} route ${route.sourceChainId} -> ${route.destinationChainId} needs ${required.source.join(" and ")} contracts on the source and a ${required.destination.join(" and ")} contract on the destination`);
+        }
+        if (route.fee.max !== undefined && ethers.parseUnits(route.fee.max, 18) < ethers.parseUnits(route.fee.min, 18)) {
+            throw new Error(`Invalid chain registry ${filePath}: route ${route.sourceChainId} -> ${route.destinationChainId} has a fee max below its min`);
+        }
+        if (route.limits.max !== undefined && ethers.parseUnits(route.limits.max, 18) < ethers.parseUnits(route.limits.min, 18)) {
+            throw new Error(`Invalid chain registry ${filePath}: route ${route.sourceChainId} -> ${route.destinationChainId} has a limits max below its min`);
+        }
+    }
+
+    // TokensLocked and TokensBurned do not carry a destination chain, so a source chain can only feed one route
+    const sourceChainIds = value.routes.map((route) => route.sourceChainId);
+    if (new Set(sourceChainIds).size !== sourceChainIds.length) {
+        throw new Error(`Invalid chain registry ${filePath}: a source chain can only have one route`);
+    }
+
+    return value;
+}
+
+module.exports = { loadChainRegistry };
@@ -1,4 +1,5 @@
 const path = require("path");
+const { loadChainRegistry } = require("./chains");
 // Loading the values from .env file
 require('dotenv').config({ path: path.join(__dirname, '../.env') });
 
@@ -8,23 +9,36 @@ const requiredVariables = [
     'MONGO_USERNAME', 
     'MONGO_PASSWORD',
     'MONGO_STRING',
-    'SEPOLIA_RPC',
-    'PRIVATE_KEY',
-    'AMOY_RPC',
-    'TOKEN_ADDRESS',
-    'WRAPPED_TOKEN_ADDRESS',
-    'LOCK_CONTRACT_ADDRESS',
-    'SENDER_PRIVATE_KEY',
     'ETHERSCAN_API_KEY',
-    'MINT_CONTRACT_ADDRESS',
     'ARGENT_X_PRIVATE_KEY',
     'PUBLIC_KEY',
-    'STARKNET_NETWORK',
-    'STARK_CONTRACT_ADDRESS',
     'STARK_PRIVATE_INPUT_1',
-    'STARK_PRIVATE_INPUT_2'
+    'STARK_PRIVATE_INPUT_2',
+    'JWT_ACCESS_SECRET',
+    'JWT_REFRESH_SECRET',
+    'WALLET_KEYSTORE_PASSWORD'
 ];
 
+// Proofs are generated locally unless on-chain proving is selected, which needs a StarkNet contract
+const proofMode = process.env.PROOF_MODE || 'local';
+if (!['local', 'onchain'].includes(proofMode)) {
+    throw new Error(`Invalid PROOF_MODE: ${proofMode}, expected 'local' or 'onchain'`);
+}
+if (proofMode === 'onchain') {
+    requiredVariables.push('STARKNET_NETWORK', 'STARK_CONTRACT_ADDRESS');
+}
+
+// The relayer account signs with PRIVATE_KEY unless an encrypted keystore file or a remote signing service is selected
+const relayerSigner = process.env.RELAYER_SIGNER || 'env';
+if (!['env', 'keystore', 'remote'].includes(relayerSigner)) {
+    throw new Error(`Invalid RELAYER_SIGNER: ${relayerSigner}, expected 'env', 'keystore' or 'remote'`);
+}
+requiredVariables.push(...{
+    env: ['PRIVATE_KEY'],
+    keystore: ['RELAYER_KEYSTORE_PATH', 'RELAYER_KEYSTORE_PASSWORD'],
+    remote: ['RELAYER_REMOTE_SIGNER_URL', 'RELAYER_REMOTE_SIGNER_ADDRESS'],
+}[relayerSigner]);
+
 // Check if all required environment variables are defined and throws an error if there are missing values in the env file
 const missingVariables = requiredVariables.filter(variable => !(process.env[variable]));
 if (missingVariables.length > 0) {
@@ -37,19 +51,69 @@ const config = {
     MONGO_USERNAME: process.env.MONGO_USERNAME,
     MONGO_PASSWORD: process.env.MONGO_PASSWORD,
     MONGO_STRING: process.env.MONGO_STRING,
-    SEPOLIA_RPC: process.env.SEPOLIA_RPC,
     PRIVATE_KEY: process.env.PRIVATE_KEY,
-    AMOY_RPC: process.env.AMOY_RPC,
-    TOKEN_ADDRESS: process.env.TOKEN_ADDRESS,
-    WRAPPED_TOKEN_ADDRESS: process.env.WRAPPED_TOKEN_ADDRESS,
-    LOCK_CONTRACT_ADDRESS: process.env.LOCK_CONTRACT_ADDRESS,
-    SENDER_PRIVATE_KEY: process.env.SENDER_PRIVATE_KEY,
     ETHERSCAN_API_KEY: process.env.ETHERSCAN_API_KEY,
-    MINT_CONTRACT_ADDRESS: process.env.MINT_CONTRACT_ADDRESS,
     ARGENT_X_PRIVATE_KEY: process.env.ARGENT_X_PRIVATE_KEY,
     PUBLIC_KEY: process.env.PUBLIC_KEY,
     STARKNET_NETWORK: process.env.STARKNET_NETWORK,
-    STARK_CONTRACT_ADDRESS: process.env.STARK_CONTRACT_ADDRESS
+    STARK_CONTRACT_ADDRESS: process.env.STARK_CONTRACT_ADDRESS,
+    STARK_PRIVATE_INPUT_1: process.env.STARK_PRIVATE_INPUT_1,
+    STARK_PRIVATE_INPUT_2: process.env.STARK_PRIVATE_INPUT_2,
+    PROOF_MODE: proofMode,
+    JWT_ACCESS_SECRET: process.env.JWT_ACCESS_SECRET,
+    JWT_REFRESH_SECRET: process.env.JWT_REFRESH_SECRET,
+    JWT_ACCESS_EXPIRES_IN: process.env.JWT_ACCESS_EXPIRES_IN || "15m",
+    JWT_REFRESH_EXPIRES_IN: process.env.JWT_REFRESH_EXPIRES_IN || "7d",
+    WALLET_KEYSTORE_PASSWORD: process.env.WALLET_KEYSTORE_PASSWORD,
+
+    // Sign-In with Ethereum (EIP-4361) messages for linking external wallets, optional with defaults
+    SIWE_DOMAIN: process.env.SIWE_DOMAIN || "localhost:4200",
+    SIWE_URI: process.env.SIWE_URI || "http://localhost:4200",
+    SIWE_NONCE_TTL_MS: Number(process.env.SIWE_NONCE_TTL_MS || 5 * 60 * 1000),
+
+    // Chain registry file, RPC URLs and contract addresses in it can reference environment variables
+    CHAINS_CONFIG_PATH: process.env.CHAINS_CONFIG_PATH || path.join(__dirname, "chains.json"),
+
+    // Relayer settings, optional with defaults
+    RELAYER_POLL_INTERVAL_MS: Number(process.env.RELAYER_POLL_INTERVAL_MS || 15000),
+    RELAYER_BLOCK_RANGE: Number(process.env.RELAYER_BLOCK_RANGE || 2000),
+
+    // Job queue settings, optional with defaults. The lease must outlast a settlement waiting for its receipt
+    JOB_POLL_INTERVAL_MS: Number(process.env.JOB_POLL_INTERVAL_MS || 2000),
+    JOB_MAX_ATTEMPTS: Number(process.env.JOB_MAX_ATTEMPTS || 5),
+    JOB_BACKOFF_BASE_MS: Number(process.env.JOB_BACKOFF_BASE_MS || 5000),
+    JOB_BACKOFF_MAX_MS: Number(process.env.JOB_BACKOFF_MAX_MS || 10 * 60 * 1000),
+    JOB_LEASE_MS: Number(process.env.JOB_LEASE_MS || 10 * 60 * 1000),
+    // Jobs held back by a paused route, a full daily limit or an unmined settlement are checked again after this, without using up an attempt
+    JOB_DEFER_MS: Number(process.env.JOB_DEFER_MS || 60 * 1000),
+    // How long a settlement job waits for its destination transaction to be mined before it is deferred
+    SETTLEMENT_RECEIPT_TIMEOUT_MS: Number(process.env.SETTLEMENT_RECEIPT_TIMEOUT_MS || 5 * 60 * 1000),
+
+    // Transfer event streams, the poll interval is only used when MongoDB has no change streams
+    TRANSFER_EVENTS_POLL_INTERVAL_MS: Number(process.env.TRANSFER_EVENTS_POLL_INTERVAL_MS || 2000),
+    TRANSFER_EVENTS_HEARTBEAT_MS: Number(process.env.TRANSFER_EVENTS_HEARTBEAT_MS || 15000),
+
+    // Reconciler settings, optional with defaults. Transfers updated within the grace period may still be settling
+    RECONCILER_INTERVAL_MS: Number(process.env.RECONCILER_INTERVAL_MS || 10 * 60 * 1000),
+    RECONCILER_LOOKBACK_MS: Number(process.env.RECONCILER_LOOKBACK_MS || 24 * 60 * 60 * 1000),
+    RECONCILER_GRACE_MS: Number(process.env.RECONCILER_GRACE_MS || 10 * 60 * 1000),
+    RECONCILER_PAUSE_ON_BREAK: process.env.RECONCILER_PAUSE_ON_BREAK !== "false",
+
+    // Relayer signer, see RELAYER_SIGNER above. The remote token is sent as a bearer token when set
+    RELAYER_SIGNER: relayerSigner,
+    RELAYER_KEYSTORE_PATH: process.env.RELAYER_KEYSTORE_PATH,
+    RELAYER_KEYSTORE_PASSWORD: process.env.RELAYER_KEYSTORE_PASSWORD,
+    RELAYER_REMOTE_SIGNER_URL: process.env.RELAYER_REMOTE_SIGNER_URL,
+    RELAYER_REMOTE_SIGNER_ADDRESS: process.env.RELAYER_REMOTE_SIGNER_ADDRESS,
+    RELAYER_REMOTE_SIGNER_TOKEN: process.env.RELAYER_REMOTE_SIGNER_TOKEN,
+
+    // Nonces of backend accounts, one transaction per account is signed at a time across every process.
+    // A nonce handed out within the TTL is trusted over a node that has not seen its transaction yet
+    SIGNER_LOCK_TIMEOUT_MS: Number(process.env.SIGNER_LOCK_TIMEOUT_MS || 30000),
+    SIGNER_LEASE_MS: Number(process.env.SIGNER_LEASE_MS || 60000),
+    SIGNER_NONCE_TTL_MS: Number(process.env.SIGNER_NONCE_TTL_MS || 2 * 60 * 1000)
+
+    // Validators run with their own configuration, see validatorConfig.js
 }
 
 // generate mongoURI for database
@@ -64,5 +128,8 @@ function generateMongoURI() {
 // generated uri is added to the config
 config.MONGO_URI = generateMongoURI();
 
+// supported chains and bridge routes are added to the config
+config.CHAIN_REGISTRY = loadChainRegistry(config.CHAINS_CONFIG_PATH);
+
 // config file is exported
 module.exports = config;
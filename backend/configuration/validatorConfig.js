@@ -0,0 +1,50 @@
+const path = require("path");
+const { loadChainRegistry } = require("./chains");
+// Loading the values from .env file
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+// A validator is run by its own operator, it only needs its signer, the backend API it attests for
+// and the chain registry with the RPC URLs and contracts to check every lock against. None of the backend's secrets
+const requiredVariables = ['VALIDATOR_API_URL'];
+
+// Validators sign with VALIDATOR_PRIVATE_KEY unless a keystore file or a remote signing service is selected
+const validatorSigner = process.env.VALIDATOR_SIGNER || 'env';
+if (!['env', 'keystore', 'remote'].includes(validatorSigner)) {
+    throw new Error(`Invalid VALIDATOR_SIGNER: ${validatorSigner}, expected 'env', 'keystore' or 'remote'`);
+}
+requiredVariables.push(...{
+    env: ['VALIDATOR_PRIVATE_KEY'],
+    keystore: ['VALIDATOR_KEYSTORE_PATH', 'VALIDATOR_KEYSTORE_PASSWORD'],
+    remote: ['VALIDATOR_REMOTE_SIGNER_URL', 'VALIDATOR_REMOTE_SIGNER_ADDRESS'],
+}[validatorSigner]);
+
+// Check if all required environment variables are defined and throws an error if there are missing values in the env file
+const missingVariables = requiredVariables.filter(variable => !(process.env[variable]));
+if (missingVariables.length > 0) {
+    throw new Error(`Missing required environment variables: ${missingVariables.join(', ')}`);
+}
+
+// Stores the validator's environment variables in the config object
+const config = {
+    // Validator signer, see VALIDATOR_SIGNER above. The remote token is sent as a bearer token when set
+    VALIDATOR_SIGNER: validatorSigner,
+    VALIDATOR_PRIVATE_KEY: process.env.VALIDATOR_PRIVATE_KEY,
+    VALIDATOR_KEYSTORE_PATH: process.env.VALIDATOR_KEYSTORE_PATH,
+    VALIDATOR_KEYSTORE_PASSWORD: process.env.VALIDATOR_KEYSTORE_PASSWORD,
+    VALIDATOR_REMOTE_SIGNER_URL: process.env.VALIDATOR_REMOTE_SIGNER_URL,
+    VALIDATOR_REMOTE_SIGNER_ADDRESS: process.env.VALIDATOR_REMOTE_SIGNER_ADDRESS,
+    VALIDATOR_REMOTE_SIGNER_TOKEN: process.env.VALIDATOR_REMOTE_SIGNER_TOKEN,
+
+    // The backend API the validator fetches pending locks from and submits its attestations to
+    VALIDATOR_API_URL: process.env.VALIDATOR_API_URL,
+    VALIDATOR_POLL_INTERVAL_MS: Number(process.env.VALIDATOR_POLL_INTERVAL_MS || 15000),
+
+    // Chain registry file, RPC URLs and contract addresses in it can reference environment variables
+    CHAINS_CONFIG_PATH: process.env.CHAINS_CONFIG_PATH || path.join(__dirname, "chains.json"),
+}
+
+// supported chains and bridge routes are added to the config
+config.CHAIN_REGISTRY = loadChainRegistry(config.CHAINS_CONFIG_PATH);
+
+// config file is exported
+module.exports = config;
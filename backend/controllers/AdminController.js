@@ -0,0 +1,88 @@
+const AdminService = require("../services/AdminService");
+const adminService = new AdminService();
+
+class AdminController{
+    static async getRelayerStatus (req,res) {
+        try{
+            const relayer = await adminService.getRelayerStatus();
+            return res.status(200).json({relayer});
+        }
+        catch(error){
+            res.status(400).json({error:error.message})
+        }
+    }
+
+    static async pauseRelayer (req,res) {
+        try{
+            const relayer = await adminService.pauseRelayer(req.body, req.user);
+            return res.status(200).json({relayer});
+        }
+        catch(error){
+            res.status(400).json({error:error.message})
+        }
+    }
+
+    static async resumeRelayer (req,res) {
+        try{
+            const relayer = await adminService.resumeRelayer(req.user);
+            return res.status(200).json({relayer});
+        }
+        catch(error){
+            res.status(400).json({error:error.message})
+        }
+    }
+
+    static async requeueTransfer (req,res) {
+        try{
+            const transfer = await adminService.requeueTransfer(req.params.id);
+            return res.status(202).json({transfer});
+        }
+        catch(error){
+            const status = error.message === "Transfer not found" ? 404 : 400;
+            res.status(status).json({error:error.message})
+        }
+    }
+
+    static async cancelTransfer (req,res) {
+        try{
+            const transfer = await adminService.cancelTransfer(req.params.id, req.body);
+            return res.status(200).json({transfer});
+        }
+        catch(error){
+            const status = error.message === "Transfer not found" ? 404 : 400;
+            res.status(status).json({error:error.message})
+        }
+    }
+
+    static async getContracts (req,res) {
+        try{
+            const chains = await adminService.getContracts();
+            return res.status(200).json({chains});
+        }
+        catch(error){
+            res.status(400).json({error:error.message})
+        }
+    }
+
+    static async getRpcMetrics (req,res) {
+        try{
+            const chains = adminService.getRpcMetrics();
+            return res.status(200).json({chains});
+        }
+        catch(error){
+            res.status(400).json({error:error.message})
+        }
+    }
+
+    static async getAuditLog (req,res) {
+        try{
+            const response = await adminService.getAuditLog(req.query);
+            return res.status(200).json(response);
+        }
+        catch(error){
+            res.status(400).json({error:error.message})
+        }
+    }
+}
+
+module.exports = AdminController;
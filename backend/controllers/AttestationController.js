@@ -0,0 +1,27 @@
+const AttestationService = require("../services/AttestationService");
+const attestationService = new AttestationService();
+
+class AttestationController{
+    static async getPendingTransfers (req,res) {
+        try{
+            const transfers = await attestationService.getPendingTransfers();
+            return res.status(200).json({transfers});
+        }
+        catch(error){
+            res.status(400).json({error:error.message})
+        }
+    }
+
+    static async submitAttestation (req,res) {
+        try{
+            const attestation = await attestationService.submitAttestation(req.body);
+            return res.status(200).json({attestation});
+        }
+        catch(error){
+            const status = error.message === "Transfer not found" ? 404 : 400;
+            res.status(status).json({error:error.message})
+        }
+    }
+}
+
+module.exports = AttestationController;
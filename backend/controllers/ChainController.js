@@ -0,0 +1,17 @@
+const ChainService = require("../services/ChainService");
+const chainService = new ChainService();
+
+class ChainController{
+    static async getChains (req,res) {
+        try{
+            const registry = chainService.getPublicRegistry();
+            return res.status(200).json(registry);
+        }
+        catch(error){
+            res.status(400).json({error:error.message})
+        }
+    }
+}
+
+
+module.exports = ChainController;
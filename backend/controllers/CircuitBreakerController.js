@@ -0,0 +1,26 @@
+const LimitService = require("../services/LimitService");
+const limitService = new LimitService();
+
+class CircuitBreakerController{
+    static async getCircuitBreakers (req,res) {
+        try{
+            const circuitBreakers = await limitService.getCircuitBreakers();
+            return res.status(200).json({circuitBreakers});
+        }
+        catch(error){
+            res.status(400).json({error:error.message})
+        }
+    }
+
+    static async resetCircuitBreaker (req,res) {
+        try{
+            const circuitBreaker = await limitService.resetCircuitBreaker(req.params.chainId, req.user);
+            return res.status(200).json({circuitBreaker});
+        }
+        catch(error){
+            res.status(400).json({error:error.message})
+        }
+    }
+}
+
+module.exports = CircuitBreakerController;
@@ -0,0 +1,37 @@
+const ReconcilerService = require("../services/ReconcilerService");
+const reconcilerService = new ReconcilerService();
+
+class ReconciliationController{
+    static async getLatestReconciliation (req,res) {
+        try{
+            const reconciliation = await reconcilerService.getLatestReconciliation();
+            return res.status(200).json({reconciliation});
+        }
+        catch(error){
+            const status = error.message === "No reconciliation has run yet" ? 404 : 400;
+            res.status(status).json({error:error.message})
+        }
+    }
+
+    static async getReconciliations (req,res) {
+        try{
+            const reconciliations = await reconcilerService.getReconciliations();
+            return res.status(200).json({reconciliations});
+        }
+        catch(error){
+            res.status(400).json({error:error.message})
+        }
+    }
+
+    static async runReconciliation (req,res) {
+        try{
+            const reconciliation = await reconcilerService.reconcile();
+            return res.status(200).json({reconciliation});
+        }
+        catch(error){
+            res.status(400).json({error:error.message})
+        }
+    }
+}
+
+module.exports = ReconciliationController;
@@ -1,16 +1,128 @@
+const config = require("../configuration/config");
 const TransactionService = require("../services/TransactionService");
+const TransferEventService = require("../services/TransferEventService");
 const transactionService = new TransactionService();
+const transferEventService = new TransferEventService();
 
 class TransactionController{
-    static async sendTokens (req,res) {
+    static async initiateTransfer (req,res) {
         try{
-            const transaction = await transactionService.sendTokens(req.body, res);
+            const transaction = await transactionService.initiateTransfer(req.body, req.user);
             return res.status(200).json({transaction});
         }
         catch(error){
             res.status(400).json({error:error.message})
         }
     }
+
+    static async sendTokens (req,res) {
+        try{
+            const transaction = await transactionService.sendTokens(req.body, req.user);
+            // Processing continues in the job worker
+            return res.status(202).json({transaction});
+        }
+        catch(error){
+            res.status(400).json({error:error.message})
+        }
+    }
+
+    static async getQuote (req,res) {
+        try{
+            const quote = await transactionService.getQuote(req.query, req.user);
+            return res.status(200).json({quote});
+        }
+        catch(error){
+            res.status(400).json({error:error.message})
+        }
+    }
+
+    static async listTransfers (req,res) {
+        try{
+            const response = await transactionService.listTransfers(req.query, req.user);
+            return res.status(200).json(response);
+        }
+        catch(error){
+            res.status(400).json({error:error.message})
+        }
+    }
+
+    static async getTransfer (req,res) {
+        try{
+            const transfer = await transactionService.getTransfer(req.params.id, req.user);
+            if (!transfer) {
+                return res.status(404).json({error:"Transfer not found"});
+            }
+            return res.status(200).json({transfer});
+        }
+        catch(error){
+            res.status(400).json({error:error.message})
+        }
+    }
+
+    static async retryTransfer (req,res) {
+        try{
+            const transfer = await transactionService.retryTransfer(req.params.id, req.user);
+            // Processing continues in the job worker
+            return res.status(202).json({transfer});
+        }
+        catch(error){
+            const status = error.message === "Transfer not found" ? 404 : 400;
+            res.status(status).json({error:error.message})
+        }
+    }
+
+    static async streamTransfers (req,res) {
+        let stream;
+        try{
+            stream = await transactionService.getTransferStream(req.query, req.user);
+        }
+        catch(error){
+            return res.status(400).json({error:error.message})
+        }
+
+        // Server-Sent Events, one "transfer" event with the full transfer per change
+        res.writeHead(200, {
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-cache",
+            "Connection": "keep-alive",
+        });
+        const send = (transfer) => res.write(`event: transfer\ndata: ${JSON.stringify(transfer)}\n\n`);
+
+        // Subscribed before loading the current state so no change is missed in between,
+        // clients keep the most recent version of each transfer by updatedAt
+        const unsubscribe = transferEventService.subscribe((transfer) => {
+            if (stream.matches(transfer)) {
+                send(transactionService.formatTransfer(transfer));
+            }
+        });
+
+        // Comments keep proxies from closing an idle stream
+        const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), config.TRANSFER_EVENTS_HEARTBEAT_MS);
+        req.on("close", () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        });
+
+        try{
+            (await stream.load()).forEach(send);
+        }
+        catch(error){
+            console.error("Error loading streamed transfers:", error);
+        }
+    }
+
+    static async getTransfersByHash (req,res) {
+        try{
+            const transfers = await transactionService.getTransfersBySourceTxHash(req.params.sourceTxHash, req.user);
+            if (transfers.length === 0) {
+                return res.status(404).json({error:"Transfer not found"});
+            }
+            return res.status(200).json({transfers});
+        }
+        catch(error){
+            res.status(400).json({error:error.message})
+        }
+    }
 }
 
 
@@ -0,0 +1,36 @@
+const TreasuryService = require("../services/TreasuryService");
+const treasuryService = new TreasuryService();
+
+class TreasuryController{
+    static async getBalances (req,res) {
+        try{
+            const balances = await treasuryService.getBalances();
+            return res.status(200).json({balances});
+        }
+        catch(error){
+            res.status(400).json({error:error.message})
+        }
+    }
+
+    static async getWithdrawals (req,res) {
+        try{
+            const withdrawals = await treasuryService.getWithdrawals();
+            return res.status(200).json({withdrawals});
+        }
+        catch(error){
+            res.status(400).json({error:error.message})
+        }
+    }
+
+    static async withdraw (req,res) {
+        try{
+            const withdrawal = await treasuryService.withdraw(req.body, req.user);
+            return res.status(200).json({withdrawal});
+        }
+        catch(error){
+            res.status(400).json({error:error.message})
+        }
+    }
+}
+
+module.exports = TreasuryController;
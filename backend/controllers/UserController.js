@@ -15,6 +15,35 @@ class UserController{
     static async userLogin (req,res) {
         try{
             const response = await userService.userLogin(req.body);
+            return res.status(200).json({
+                response: response.Message,
+                accessToken: response.accessToken,
+                refreshToken: response.refreshToken,
+                user: response.user
+            });
+        }
+        catch(error){
+            res.status(400).json({error:error.message})
+        }
+    }
+
+    static async refreshToken (req,res) {
+        try{
+            const response = await userService.refreshToken(req.body);
+            return res.status(200).json({
+                response: response.Message,
+                accessToken: response.accessToken,
+                refreshToken: response.refreshToken
+            });
+        }
+        catch(error){
+            res.status(401).json({error:error.message})
+        }
+    }
+
+    static async userLogout (req,res) {
+        try{
+            const response = await userService.userLogout(req.body);
             return res.status(200).json({response: response.Message});
         }
         catch(error){
@@ -2,9 +2,19 @@ const WalletService = require("../services/WalletService");
 const walletService = new WalletService();
 
 class WalletController{
+    static async listWallets (req,res) {
+        try{
+            const wallets = await walletService.listWallets(req.user);
+            return res.status(200).json({wallets});
+        }
+        catch(error){
+            res.status(400).json({error:error.message})
+        }
+    }
+
     static async createWallet (req,res) {
         try{
-            const newWallet = await walletService.createWallet(req.body, res);
+            const newWallet = await walletService.createWallet(req.body, req.user);
             return res.status(200).json({newWallet});
         }
         catch(error){
@@ -12,9 +22,29 @@ class WalletController{
         }
     }
 
+    static async createNonce (req,res) {
+        try{
+            const challenge = await walletService.createSiweNonce(req.body, req.user);
+            return res.status(200).json(challenge);
+        }
+        catch(error){
+            res.status(400).json({error:error.message})
+        }
+    }
+
+    static async registerExternalWallet (req,res) {
+        try{
+            const linkedWallet = await walletService.registerExternalWallet(req.body, req.user);
+            return res.status(200).json({linkedWallet});
+        }
+        catch(error){
+            res.status(400).json({error:error.message})
+        }
+    }
+
     static async connectSepolia (req,res) {
         try{
-            const newWallet = await walletService.connectSepolia(req.body, res);
+            const newWallet = await walletService.connectSepolia(req.body, req.user);
             return res.status(200).json({newWallet});
         }
         catch(error){
@@ -34,4 +64,4 @@ class WalletController{
 }
 
 
-module.exports = WalletController;
\ No newline at end of file
+module.exports = WalletController;
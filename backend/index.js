@@ -18,14 +18,25 @@ const config = require("./configuration/config");
 const userRoute = require("./routes/user.js");
 const walletRoute = require("./routes/wallet");
 const transactionRoute = require("./routes/transactionRoute");
+const chainRoute = require("./routes/chains");
+const adminRoute = require("./routes/admin");
+const attestationRoute = require("./routes/attestations");
+
+// Importing middlewares
+const requireAuth = require("./middlewares/requireAuth");
+const requireAdmin = require("./middlewares/requireAdmin");
 
 // Importing Controllers and creating instance
 
 
-// Main route and the sub routes
+// Main route and the sub routes, wallet and transaction routes require a valid access token
+// and the admin routes are only open to admins. Validators authenticate each attestation by its signature
 app.use("/user", userRoute);
-app.use("/wallet", walletRoute);
-app.use("/transaction", transactionRoute);
+app.use("/wallet", requireAuth, walletRoute);
+app.use("/transaction", requireAuth, transactionRoute);
+app.use("/chains", chainRoute);
+app.use("/attestations", attestationRoute);
+app.use("/admin", requireAuth, requireAdmin, adminRoute);
 
 // Verifying the connection to database and starting the server
 mongoose
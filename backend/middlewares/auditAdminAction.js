@@ -0,0 +1,38 @@
+const AdminAuditLogModel = require("../models/adminAuditLogModel");
+
+// Fields never written to the audit log
+const REDACTED_FIELDS = ["password", "privateKey", "mnemonic"];
+
+// Records an admin action once its response is sent, runs after requireAdmin.
+// The error of a failed action is taken from the JSON body of the response
+const auditAdminAction = (action) => (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        res.locals.auditError = body && body.error;
+        return json(body);
+    };
+
+    res.on("finish", () => {
+        const body = { ...(req.body || {}) };
+        for (const field of REDACTED_FIELDS) {
+            if (field in body) body[field] = "[redacted]";
+        }
+
+        AdminAuditLogModel.create({
+            user: req.user.id,
+            action: action,
+            method: req.method,
+            path: req.originalUrl,
+            params: req.params,
+            body: body,
+            statusCode: res.statusCode,
+            success: res.statusCode < 400,
+            error: res.locals.auditError,
+            ip: req.ip,
+        }).catch((error) => console.error(`Error while auditing ${action}:`, error));
+    });
+
+    next();
+};
+
+module.exports = auditAdminAction;
@@ -0,0 +1,16 @@
+const UserModel = require("../models/userModel");
+
+// Only lets admins through, runs after requireAuth. The role is read on every request so revoking it takes effect at once
+const requireAdmin = async (req, res, next) => {
+    try {
+        const user = await UserModel.findById(req.user.id).select("role");
+        if (!user || user.role !== "admin") {
+            return res.status(403).json({ error: "Admin access required" });
+        }
+        next();
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+module.exports = requireAdmin;
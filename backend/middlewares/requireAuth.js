@@ -0,0 +1,21 @@
+const AuthService = require("../services/AuthService");
+const authService = new AuthService();
+
+// Rejects requests without a valid access token and exposes the caller as req.user
+const requireAuth = async (req, res, next) => {
+    const authorization = req.headers.authorization || "";
+    const [scheme, token] = authorization.split(" ");
+
+    if (scheme !== "Bearer" || !token) {
+        return res.status(401).json({ error: "Authorization token required" });
+    }
+
+    try {
+        req.user = await authService.authenticate(token);
+        next();
+    } catch (error) {
+        res.status(401).json({ error: error.message });
+    }
+};
+
+module.exports = requireAuth;
@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+
+// Every admin action that changes something, whether it succeeded or not
+const adminAuditLogSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true,
+    },
+    action: {
+        type: String, // e.g. "relayer.pause" or "transfer.cancel"
+        required: true,
+        index: true,
+    },
+    method: {
+        type: String,
+        required: true,
+    },
+    path: {
+        type: String,
+        required: true,
+    },
+    params: {
+        type: Object,
+    },
+    body: {
+        type: Object,
+    },
+    statusCode: {
+        type: Number,
+        required: true,
+    },
+    success: {
+        type: Boolean,
+        required: true,
+    },
+    error: {
+        type: String,
+    },
+    ip: {
+        type: String,
+    },
+}, { timestamps: true });
+
+adminAuditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model("Bridge-Admin-Audit-Log", adminAuditLogSchema);
@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+// EIP-712 signature of one validator over the mint of a locked transfer. The signer is recovered
+// and checked against the validator set of the mint contract when it is submitted
+const attestationSchema = new mongoose.Schema({
+    transfer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Bridge-Transfer",
+        required: true,
+    },
+    sourceNonce: {
+        type: String, // Lock id the signature covers
+        required: true,
+    },
+    chainId: {
+        type: Number, // Chain of the mint contract
+        required: true,
+    },
+    validator: {
+        type: String, // Checksummed address recovered from the signature
+        required: true,
+    },
+    signature: {
+        type: String,
+        required: true,
+    },
+}, { timestamps: true });
+
+// A validator attests each transfer once, a new signature replaces its previous one
+attestationSchema.index({ transfer: 1, validator: 1 }, { unique: true });
+
+module.exports = mongoose.model("Bridge-Attestation", attestationSchema);
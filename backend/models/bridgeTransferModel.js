@@ -0,0 +1,123 @@
+const mongoose = require("mongoose");
+
+// Lifecycle of a transfer: LOCKED -> CONFIRMED -> PROOF_GENERATED -> PROOF_VERIFIED -> MINTED,
+// or BURNED -> ... -> RELEASED when wrapped tokens return to the source chain.
+// Any step can end in FAILED. Transitions are enforced by TransactionService, only a reorg of the
+// source block moves an unsettled transfer back to LOCKED or BURNED.
+const TRANSFER_STATUS = ["LOCKED", "BURNED", "CONFIRMED", "PROOF_GENERATED", "PROOF_VERIFIED", "MINTED", "RELEASED", "FAILED"];
+
+// LOCK_MINT locks originals and mints wrapped tokens, BURN_RELEASE burns wrapped tokens and releases originals
+const TRANSFER_DIRECTION = ["LOCK_MINT", "BURN_RELEASE"];
+
+const transferHistorySchema = new mongoose.Schema({
+    status: {
+        type: String,
+        required: true,
+        enum: TRANSFER_STATUS,
+    },
+    at: {
+        type: Date,
+        default: Date.now,
+    },
+    error: {
+        type: String,
+    },
+}, { _id: false });
+
+const bridgeTransferSchema = new mongoose.Schema({
+    sourceNonce: {
+        type: String, // keccak256(sourceChainId, sourceTxHash, logIndex), recorded on-chain when settled
+        required: true,
+    },
+    sourceTxHash: {
+        type: String,
+        required: true,
+        index: true,
+    },
+    logIndex: {
+        type: Number,
+        required: true,
+    },
+    blockNumber: {
+        type: Number,
+        required: true,
+    },
+    blockHash: {
+        type: String, // Source block the lock or burn was seen in, checked against the chain for reorgs
+    },
+    sender: {
+        type: String,
+        required: true,
+        index: true,
+    },
+    destinationAddress: {
+        type: String,
+        required: true,
+        index: true,
+    },
+    amount: {
+        type: String, // Amount in wei, stored as a string to keep full precision
+        required: true,
+    },
+    fee: {
+        type: String, // Bridge fee in wei kept from the amount, fixed when the transfer is recorded
+        default: "0",
+    },
+    sourceChainId: {
+        type: Number,
+        required: true,
+    },
+    destinationChainId: {
+        type: Number,
+        required: true,
+    },
+    direction: {
+        type: String,
+        default: "LOCK_MINT",
+        enum: TRANSFER_DIRECTION,
+        index: true,
+    },
+    status: {
+        type: String,
+        default: "LOCKED",
+        enum: TRANSFER_STATUS,
+        index: true,
+    },
+    history: {
+        type: [transferHistorySchema],
+        default: () => [{ status: "LOCKED" }],
+    },
+    proofHash: {
+        type: String,
+    },
+    proof: {
+        type: Object, // Proof and public input, kept so verification can resume after a restart
+    },
+    destinationTxHash: {
+        type: String, // Mint or release transaction on the destination chain
+    },
+    destinationRawTx: {
+        type: String, // Signed mint or release transaction, kept so it can be rebroadcast after a crash
+    },
+    error: {
+        type: String,
+    },
+    reorged: {
+        type: Boolean, // Settled, then its lock or burn was reorged out of the source chain. Needs an admin
+        default: false,
+        index: true,
+    },
+}, { timestamps: true });
+
+// A lock or burn is identified by its chain, transaction and the position of its log,
+// so it can only ever be recorded, and settled, once
+bridgeTransferSchema.index({ sourceNonce: 1 }, { unique: true });
+
+// Daily volume limits add up the recent transfers of a route
+bridgeTransferSchema.index({ sourceChainId: 1, createdAt: -1 });
+
+const BridgeTransferModel = mongoose.model("Bridge-Transfer", bridgeTransferSchema);
+BridgeTransferModel.TRANSFER_STATUS = TRANSFER_STATUS;
+BridgeTransferModel.TRANSFER_DIRECTION = TRANSFER_DIRECTION;
+
+module.exports = BridgeTransferModel;
@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// Minting onto a chain is paused while its breaker is tripped. It trips by itself when a mint would
+// push the wrapped supply above the tokens locked on the source chain, and is only reset by an admin
+const circuitBreakerSchema = new mongoose.Schema({
+    chainId: {
+        type: Number, // Destination chain the wrapped tokens are minted on
+        required: true,
+        unique: true,
+    },
+    tripped: {
+        type: Boolean,
+        default: false,
+    },
+    reason: {
+        type: String,
+    },
+    trippedAt: {
+        type: Date,
+    },
+    resetAt: {
+        type: Date,
+    },
+    resetBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+    },
+}, { timestamps: true });
+
+module.exports = mongoose.model("Bridge-Circuit-Breaker", circuitBreakerSchema);
@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+
+// One job per step of a transfer: CONFIRM_TRANSFER -> PROVE_TRANSFER -> VERIFY_TRANSFER -> SETTLE_TRANSFER,
+// each completed job enqueues the next step
+const JOB_TYPE = ["CONFIRM_TRANSFER", "PROVE_TRANSFER", "VERIFY_TRANSFER", "SETTLE_TRANSFER"];
+
+// PENDING jobs run once runAt has passed, a failed job goes back to PENDING with a backoff
+// until it runs out of attempts and is moved to DEAD
+const JOB_STATUS = ["PENDING", "RUNNING", "COMPLETED", "DEAD"];
+
+const jobSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        required: true,
+        enum: JOB_TYPE,
+    },
+    transfer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Bridge-Transfer",
+        required: true,
+        index: true,
+    },
+    status: {
+        type: String,
+        default: "PENDING",
+        enum: JOB_STATUS,
+    },
+    runAt: {
+        type: Date,
+        default: Date.now,
+    },
+    attempts: {
+        type: Number,
+        default: 0,
+    },
+    maxAttempts: {
+        type: Number,
+        required: true,
+    },
+    lockedBy: {
+        type: String, // Worker currently running the job
+    },
+    lockedUntil: {
+        type: Date, // A job still RUNNING after this is considered abandoned by a crashed worker
+    },
+    lastError: {
+        type: String,
+    },
+    completedAt: {
+        type: Date,
+    },
+}, { timestamps: true });
+
+// Enqueueing the same step of a transfer twice is a no-op
+jobSchema.index({ transfer: 1, type: 1 }, { unique: true });
+
+// Workers poll for due jobs
+jobSchema.index({ status: 1, runAt: 1 });
+
+const JobModel = mongoose.model("Bridge-Job", jobSchema);
+JobModel.JOB_TYPE = JOB_TYPE;
+JobModel.JOB_STATUS = JOB_STATUS;
+
+module.exports = JobModel;
@@ -0,0 +1,93 @@
+const mongoose = require("mongoose");
+
+// A run of the reconciler: OK when both chains match the transfer ledger, MISMATCH when a balance or
+// a transfer disagrees with the ledger, BROKEN when the wrapped supply is no longer backed by locked tokens
+const RECONCILIATION_STATUS = ["OK", "MISMATCH", "BROKEN", "FAILED"];
+
+// Balances of one lock and mint route, amounts in wei. Expected values are derived from the transfer ledger
+const routeReconciliationSchema = new mongoose.Schema({
+    sourceChainId: {
+        type: Number, // Chain of the lock contract
+        required: true,
+    },
+    destinationChainId: {
+        type: Number, // Chain of the wrapped token
+        required: true,
+    },
+    locked: {
+        type: String, // Tokens held by the lock contract
+        required: true,
+    },
+    expectedLocked: {
+        type: String, // Locks minus releases and withdrawn fees
+        required: true,
+    },
+    supply: {
+        type: String, // Wrapped supply minus the premint
+        required: true,
+    },
+    expectedSupply: {
+        type: String, // Mints minus burns
+        required: true,
+    },
+    backed: {
+        type: Boolean, // Whether the locked tokens cover the wrapped supply
+        required: true,
+    },
+}, { _id: false });
+
+// A transfer whose status in the ledger does not match whether it was settled on chain
+const discrepancySchema = new mongoose.Schema({
+    transfer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Bridge-Transfer",
+        required: true,
+    },
+    sourceNonce: {
+        type: String,
+        required: true,
+    },
+    status: {
+        type: String, // Status of the transfer in the ledger
+        required: true,
+    },
+    chainId: {
+        type: Number, // Chain the transfer settles on
+        required: true,
+    },
+    message: {
+        type: String,
+        required: true,
+    },
+}, { _id: false });
+
+const reconciliationSchema = new mongoose.Schema({
+    status: {
+        type: String,
+        required: true,
+        enum: RECONCILIATION_STATUS,
+        index: true,
+    },
+    routes: {
+        type: [routeReconciliationSchema],
+        default: [],
+    },
+    discrepancies: {
+        type: [discrepancySchema],
+        default: [],
+    },
+    pausedChainIds: {
+        type: [Number], // Chains minting was paused on by this run
+        default: [],
+    },
+    error: {
+        type: String,
+    },
+}, { timestamps: true });
+
+reconciliationSchema.index({ createdAt: -1 });
+
+const ReconciliationModel = mongoose.model("Bridge-Reconciliation", reconciliationSchema);
+ReconciliationModel.RECONCILIATION_STATUS = RECONCILIATION_STATUS;
+
+module.exports = ReconciliationModel;
@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+const relayerCursorSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true, // One cursor per watched contract
+    },
+    contractAddress: {
+        type: String,
+        required: true,
+    },
+    lastProcessedBlock: {
+        type: Number,
+        required: true,
+    },
+    lastProcessedBlockHash: {
+        type: String, // A different block at lastProcessedBlock means the scanned blocks were reorged
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+module.exports = mongoose.model("Relayer-Cursor", relayerCursorSchema);
@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+// Pause switch of the relayer and the job worker, a single document shared by every process.
+// While paused no new lock or burn is recorded and no job is run, queued jobs wait until it is resumed
+const relayerStatusSchema = new mongoose.Schema({
+    name: {
+        type: String, // Always "relayer"
+        required: true,
+        unique: true,
+    },
+    paused: {
+        type: Boolean,
+        default: false,
+    },
+    reason: {
+        type: String,
+    },
+    pausedAt: {
+        type: Date,
+    },
+    pausedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+    },
+    resumedAt: {
+        type: Date,
+    },
+    resumedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+    },
+}, { timestamps: true });
+
+module.exports = mongoose.model("Bridge-Relayer-Status", relayerStatusSchema);
@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+// A login session, identified by the refresh token issued for it
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true,
+    },
+    refreshTokenHash: {
+        type: String, // SHA-256 of the current refresh token, rotated on every refresh
+        required: true,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+        index: { expires: 0 }, // Expired sessions are removed by MongoDB
+    },
+    revokedAt: {
+        type: Date,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+module.exports = mongoose.model("Session", sessionSchema);
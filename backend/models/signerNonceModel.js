@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+// Nonce of a backend account on one chain. The lease lets a single process at a time sign for the account,
+// the next nonce is kept so a transaction the node has not seen yet is not given the same nonce again
+const signerNonceSchema = new mongoose.Schema({
+    chainId: {
+        type: Number,
+        required: true,
+    },
+    address: {
+        type: String, // Checksummed address of the account
+        required: true,
+    },
+    nextNonce: {
+        type: Number,
+        default: 0,
+    },
+    usedAt: {
+        type: Date, // When nextNonce was last advanced
+    },
+    lockedBy: {
+        type: String, // Process holding the lease
+    },
+    lockedUntil: {
+        type: Date, // The lease of a crashed process expires here
+    },
+}, { timestamps: true });
+
+signerNonceSchema.index({ chainId: 1, address: 1 }, { unique: true });
+
+const SignerNonceModel = mongoose.model("Bridge-Signer-Nonce", signerNonceSchema);
+
+module.exports = SignerNonceModel;
@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+// A withdrawal reserves its amount while PENDING, so concurrent withdrawals cannot overdraw the fees
+const WITHDRAWAL_STATUS = ["PENDING", "COMPLETED", "FAILED"];
+
+const treasuryWithdrawalSchema = new mongoose.Schema({
+    chainId: {
+        type: Number, // Chain of the lock contract the fees are withdrawn from
+        required: true,
+        index: true,
+    },
+    amount: {
+        type: String, // Amount in wei, stored as a string to keep full precision
+        required: true,
+    },
+    to: {
+        type: String,
+        required: true,
+    },
+    requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    status: {
+        type: String,
+        default: "PENDING",
+        enum: WITHDRAWAL_STATUS,
+        index: true,
+    },
+    txHash: {
+        type: String,
+    },
+    // Account and nonce of the transaction, a pending withdrawal whose nonce was used by another one was dropped
+    from: {
+        type: String,
+    },
+    nonce: {
+        type: Number,
+    },
+    error: {
+        type: String,
+    },
+    completedAt: {
+        type: Date,
+    },
+}, { timestamps: true });
+
+const TreasuryWithdrawalModel = mongoose.model("Bridge-Treasury-Withdrawal", treasuryWithdrawalSchema);
+TreasuryWithdrawalModel.WITHDRAWAL_STATUS = WITHDRAWAL_STATUS;
+
+module.exports = TreasuryWithdrawalModel;
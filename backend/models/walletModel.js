@@ -1,46 +1,33 @@
 const mongoose = require("mongoose");
 
 const walletSchema = new mongoose.Schema({
-    address: {
-        type: String,
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
         required: true,
-        unique: true, // Ensure no duplicate addresses
-        index: true, // Index for faster querying
+        index: true,
     },
-    privateKey: {
+    type: {
         type: String,
-        required: true, // Handle securely in production (encrypt if necessary)
+        default: "custodial", // Custodial wallets are generated and signed for by the backend
+        enum: ["custodial", "external"], // External wallets are MetaMask addresses proven with a signed message
     },
-    publicKey: {
-        type: String,
+    address: {
+        type: String, // The same address is used on every chain in the registry
         required: true,
+        unique: true, // Ensure no duplicate addresses
+        index: true, // Index for faster querying
     },
-    mnemonic: {
-        phrase: {
-            type: String,
-            required: true,
-        },
-        password: {
-            type: String,
-            default: "", // Empty if no password is set
-        },
-        entropy: {
-            type: String,
-            required: true,
-        },
-        wordlist: {
-            locale: {
-                type: String,
-                default: "en",
-            },
-        },
+    keystore: {
+        type: String, // Encrypted JSON keystore (scrypt + AES-128-CTR), holds the private key and mnemonic
+        required: function () { return this.type === "custodial"; },
     },
-    chainCode: {
+    publicKey: {
         type: String,
+        required: function () { return this.type === "custodial"; },
     },
     path: {
         type: String,
-        required: true,
     },
     index: {
         type: Number,
@@ -50,18 +37,18 @@ const walletSchema = new mongoose.Schema({
         type: Number,
         default: 0,
     },
-    network: {
-        type: String,
-        default: "Ethereum Mainnet", // Default to Ethereum Mainnet
-        enum: ["Ethereum Mainnet", "Sepolia Testnet", "Goerli Testnet", "Other"], // Add other networks as needed
-    },
     createdAt: {
         type: Date,
         default: Date.now,
     },
-    wallet: {
-        type: Object,
+});
+
+// The keystore never leaves the backend, even encrypted
+walletSchema.set("toJSON", {
+    transform: (doc, ret) => {
+        delete ret.keystore;
+        return ret;
     },
 });
 
-module.exports = mongoose.model("Wallet-Model", walletSchema);
\ No newline at end of file
+module.exports = mongoose.model("Wallet-Model", walletSchema);
@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+// A Sign-In with Ethereum challenge issued to a user for linking an external wallet
+const walletNonceSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true,
+    },
+    address: {
+        type: String,
+        required: true,
+    },
+    nonce: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    message: {
+        type: String, // The exact EIP-4361 message the wallet has to sign
+        required: true,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+        index: { expires: 0 }, // Expired challenges are removed by MongoDB
+    },
+    usedAt: {
+        type: Date,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+module.exports = mongoose.model("Wallet-Nonce", walletNonceSchema);
@@ -0,0 +1,31 @@
+// Importing libraries
+const mongoose = require("mongoose");
+
+// Getting the configuration values
+const config = require("./configuration/config");
+
+// Importing the reconciler service
+const ReconcilerService = require("./services/ReconcilerService");
+const reconcilerService = new ReconcilerService();
+
+// Stopping the reconciler cleanly so the run in progress is stored
+async function shutdown(signal) {
+  console.log(`Received ${signal}, shutting down reconciler...`);
+  await reconcilerService.stop();
+  await mongoose.disconnect();
+  process.exit(0);
+}
+
+process.on("SIGINT", () => shutdown("SIGINT"));
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+
+// Verifying the connection to database and starting the reconciler
+mongoose
+  .connect(config.MONGO_URI)
+  .then(() => {
+    reconcilerService.start();
+  })
+  .catch((error) => {
+    console.log(error);
+    process.exit(1);
+  });
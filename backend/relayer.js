@@ -0,0 +1,31 @@
+// Importing libraries
+const mongoose = require("mongoose");
+
+// Getting the configuration values
+const config = require("./configuration/config");
+
+// Importing the relayer service
+const RelayerService = require("./services/RelayerService");
+const relayerService = new RelayerService();
+
+// Stopping the relayer cleanly so an in-flight lock is not left half-processed
+async function shutdown(signal) {
+  console.log(`Received ${signal}, shutting down relayer...`);
+  await relayerService.stop();
+  await mongoose.disconnect();
+  process.exit(0);
+}
+
+process.on("SIGINT", () => shutdown("SIGINT"));
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+
+// Verifying the connection to database and starting the relayer
+mongoose
+  .connect(config.MONGO_URI)
+  .then(() => {
+    relayerService.start();
+  })
+  .catch((error) => {
+    console.log(error);
+    process.exit(1);
+  });
@@ -0,0 +1,24 @@
+const AdminController = require("../controllers/AdminController");
+const auditAdminAction = require("../middlewares/auditAdminAction");
+const treasuryRoute = require("./treasury");
+const circuitBreakerRoute = require("./circuitBreakers");
+const reconciliationRoute = require("./reconciliation");
+
+const express = require("express");
+const router = express.Router();
+
+// Bridge operations, every action that changes something is audited
+router.get("/relayer", AdminController.getRelayerStatus);
+router.post("/relayer/pause", auditAdminAction("relayer.pause"), AdminController.pauseRelayer);
+router.post("/relayer/resume", auditAdminAction("relayer.resume"), AdminController.resumeRelayer);
+router.post("/transfers/:id/requeue", auditAdminAction("transfer.requeue"), AdminController.requeueTransfer);
+router.post("/transfers/:id/cancel", auditAdminAction("transfer.cancel"), AdminController.cancelTransfer);
+router.get("/contracts", AdminController.getContracts);
+router.get("/rpc", AdminController.getRpcMetrics);
+router.get("/audit-log", AdminController.getAuditLog);
+
+router.use("/treasury", treasuryRoute);
+router.use("/circuit-breakers", circuitBreakerRoute);
+router.use("/reconciliation", reconciliationRoute);
+
+module.exports = router;
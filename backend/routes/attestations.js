@@ -0,0 +1,9 @@
+const AttestationController = require("../controllers/AttestationController");
+
+const express = require("express");
+const router = express.Router();
+
+router.get("/pending", AttestationController.getPendingTransfers);
+router.post("/", AttestationController.submitAttestation);
+
+module.exports = router;
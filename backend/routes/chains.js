@@ -0,0 +1,9 @@
+const ChainController = require("../controllers/ChainController");
+
+const express = require("express");
+const router = express.Router();
+
+router.get("/", ChainController.getChains);
+
+
+module.exports = router;
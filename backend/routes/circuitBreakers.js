@@ -0,0 +1,10 @@
+const CircuitBreakerController = require("../controllers/CircuitBreakerController");
+const auditAdminAction = require("../middlewares/auditAdminAction");
+
+const express = require("express");
+const router = express.Router();
+
+router.get("/", CircuitBreakerController.getCircuitBreakers);
+router.post("/:chainId/reset", auditAdminAction("circuit-breaker.reset"), CircuitBreakerController.resetCircuitBreaker);
+
+module.exports = router;
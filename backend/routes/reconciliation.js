@@ -0,0 +1,11 @@
+const ReconciliationController = require("../controllers/ReconciliationController");
+const auditAdminAction = require("../middlewares/auditAdminAction");
+
+const express = require("express");
+const router = express.Router();
+
+router.get("/", ReconciliationController.getLatestReconciliation);
+router.get("/history", ReconciliationController.getReconciliations);
+router.post("/run", auditAdminAction("reconciliation.run"), ReconciliationController.runReconciliation);
+
+module.exports = router;
@@ -3,7 +3,14 @@ const TransactionController = require("../controllers/TransactionController");
 const express = require("express");
 const router = express.Router();
 
+router.post("/initiate", TransactionController.initiateTransfer);
 router.post("/send", TransactionController.sendTokens);
+router.get("/", TransactionController.listTransfers);
+router.get("/stream", TransactionController.streamTransfers);
+router.get("/quote", TransactionController.getQuote);
+router.get("/by-hash/:sourceTxHash", TransactionController.getTransfersByHash);
+router.get("/:id", TransactionController.getTransfer);
+router.post("/:id/retry", TransactionController.retryTransfer);
 
 module.exports = router;
 
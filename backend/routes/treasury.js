@@ -0,0 +1,11 @@
+const TreasuryController = require("../controllers/TreasuryController");
+const auditAdminAction = require("../middlewares/auditAdminAction");
+
+const express = require("express");
+const router = express.Router();
+
+router.get("/", TreasuryController.getBalances);
+router.get("/withdrawals", TreasuryController.getWithdrawals);
+router.post("/withdraw", auditAdminAction("treasury.withdraw"), TreasuryController.withdraw);
+
+module.exports = router;
@@ -5,6 +5,8 @@ const router = express.Router();
 
 router.post("/register", UserController.userRegistration);
 router.post("/login", UserController.userLogin);
+router.post("/refresh", UserController.refreshToken);
+router.post("/logout", UserController.userLogout);
 
 module.exports = router;
 
@@ -3,10 +3,12 @@ const WalletController = require("../controllers/WalletController");
 const express = require("express");
 const router = express.Router();
 
+router.get("/", WalletController.listWallets);
 router.post("/create", WalletController.createWallet);
+router.post("/nonce", WalletController.createNonce);
+router.post("/register-external", WalletController.registerExternalWallet);
 router.post("/connect-sepolia", WalletController.connectSepolia);
 router.post("/send", WalletController.sendTokens);
 
 
 module.exports = router;
-
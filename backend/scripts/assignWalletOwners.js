@@ -0,0 +1,67 @@
+// Importing libraries
+const mongoose = require("mongoose");
+const { ethers } = require("ethers");
+
+// Getting the configuration values
+const config = require("../configuration/config");
+const UserModel = require("../models/userModel");
+const WalletModel = require("../models/walletModel");
+
+// Wallets created before they belonged to a user have no owner, no account can use them and their
+// address cannot be linked again until they are assigned. Run it after migrate:wallets.
+// Usage: npm run migrate:wallet-owners -- [<address> <email>]...
+// Without arguments it only lists the wallets that still have no owner. It exits with 1 while any are left
+async function assignOwners() {
+    const pairs = process.argv.slice(2);
+    if (pairs.length % 2 !== 0) {
+        console.error("Usage: npm run migrate:wallet-owners -- [<address> <email>]...");
+        return 1;
+    }
+
+    // Step 1: Assign each given wallet to the user with the given email
+    let failed = 0;
+    for (let i = 0; i < pairs.length; i += 2) {
+        const [address, email] = pairs.slice(i, i + 2);
+        try {
+            const user = await UserModel.findOne({ email: email });
+            if (!user) {
+                throw new Error(`No user with email ${email}`);
+            }
+
+            // Raw collection update, the documents without an owner do not pass the schema validation
+            const result = await WalletModel.collection.updateOne(
+                { address: { $in: [ethers.getAddress(address), address.toLowerCase()] }, user: null },
+                { $set: { user: user._id } }
+            );
+            if (result.matchedCount === 0) {
+                throw new Error(`No wallet without an owner at ${address}`);
+            }
+            console.log(`Wallet ${ethers.getAddress(address)} now belongs to ${user.email}`);
+        } catch (error) {
+            failed++;
+            console.error(`Error assigning wallet ${address}:`, error.message);
+        }
+    }
+
+    // Step 2: List every wallet that still has no owner
+    const unassigned = await WalletModel.collection.find({ user: null }, { projection: { address: 1, createdAt: 1 } }).toArray();
+    for (const wallet of unassigned) {
+        console.error(`Wallet ${wallet.address} (created ${wallet.createdAt ? wallet.createdAt.toISOString() : "unknown"}) has no owner`);
+    }
+
+    console.log(`Wallet owner migration done: ${pairs.length / 2 - failed} assigned, ${failed} failed, ${unassigned.length} without an owner`);
+    return failed > 0 || unassigned.length > 0 ? 1 : 0;
+}
+
+mongoose
+    .connect(config.MONGO_URI)
+    .then(assignOwners)
+    .then(async (exitCode) => {
+        await mongoose.disconnect();
+        process.exit(exitCode);
+    })
+    .catch(async (error) => {
+        console.log(error);
+        await mongoose.disconnect();
+        process.exit(1);
+    });
@@ -0,0 +1,53 @@
+// Importing libraries
+const mongoose = require("mongoose");
+
+// Getting the configuration values
+const config = require("../configuration/config");
+const BridgeTransferModel = require("../models/bridgeTransferModel");
+const TransactionService = require("../services/TransactionService");
+
+async function migrate() {
+    const transactionService = new TransactionService();
+
+    // Step 1: Read the raw documents recorded before transfers carried a replay nonce
+    const documents = await BridgeTransferModel.collection.find({ sourceNonce: { $exists: false } }).toArray();
+    let migrated = 0;
+    let failed = 0;
+
+    for (const document of documents) {
+        try {
+            // Step 2: Derive the nonce the same way new transfers are recorded
+            const sourceNonce = transactionService.getSourceNonce(document.sourceChainId, document.sourceTxHash, document.logIndex);
+            await BridgeTransferModel.collection.updateOne(
+                { _id: document._id },
+                { $set: { sourceNonce: sourceNonce } }
+            );
+            migrated++;
+            console.log(`Added nonce to transfer ${document.sourceTxHash}:${document.logIndex}`);
+        } catch (error) {
+            failed++;
+            console.error(`Error migrating transfer ${document._id}:`, error.message);
+        }
+    }
+
+    // Step 3: Replace the old (sourceTxHash, logIndex) index with the unique nonce index
+    if (failed === 0) {
+        await BridgeTransferModel.syncIndexes();
+    }
+
+    console.log(`Transfer nonce migration done: ${migrated} updated, ${failed} failed`);
+    return failed;
+}
+
+mongoose
+    .connect(config.MONGO_URI)
+    .then(migrate)
+    .then(async (failed) => {
+        await mongoose.disconnect();
+        process.exit(failed > 0 ? 1 : 0);
+    })
+    .catch(async (error) => {
+        console.log(error);
+        await mongoose.disconnect();
+        process.exit(1);
+    });
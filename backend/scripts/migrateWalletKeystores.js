@@ -0,0 +1,95 @@
+// Importing libraries
+const mongoose = require("mongoose");
+const { Wallet, HDNodeWallet } = require("ethers");
+
+// Getting the configuration values
+const config = require("../configuration/config");
+const WalletModel = require("../models/walletModel");
+
+// Rebuilds the signer from whatever the stored document holds
+async function loadWallet(document, previousPassword) {
+    if (document.keystore) {
+        if (!previousPassword) return null;
+        try {
+            return await Wallet.fromEncryptedJson(document.keystore, previousPassword);
+        } catch (error) {
+            // Already re-encrypted by an earlier run
+            await Wallet.fromEncryptedJson(document.keystore, config.WALLET_KEYSTORE_PASSWORD);
+            return null;
+        }
+    }
+
+    // Legacy plaintext documents, prefer the mnemonic so the keystore keeps it
+    if (document.mnemonic && document.mnemonic.phrase) {
+        return HDNodeWallet.fromPhrase(document.mnemonic.phrase, document.mnemonic.password || "", document.path || undefined);
+    }
+    if (document.privateKey) {
+        return new Wallet(document.privateKey);
+    }
+    throw new Error("Document has neither a keystore nor a private key");
+}
+
+// Keystores encrypted with an earlier master password are re-encrypted with the current one
+async function migrate(previousPassword = process.env.PREVIOUS_WALLET_KEYSTORE_PASSWORD) {
+    // Step 1: Read the raw documents, the legacy fields are no longer in the schema
+    const documents = await WalletModel.collection.find({}).toArray();
+    let migrated = 0;
+    let skipped = 0;
+    let failed = 0;
+
+    for (const document of documents) {
+        try {
+            // Step 2: Decrypt or load the key and make sure it belongs to the stored address
+            const wallet = await loadWallet(document, previousPassword);
+            if (!wallet) {
+                skipped++;
+                continue;
+            }
+            if (wallet.address.toLowerCase() !== document.address.toLowerCase()) {
+                throw new Error(`Key does not match address ${document.address}`);
+            }
+
+            // Step 3: Encrypt with the master password and drop every plaintext secret
+            const keystore = await wallet.encrypt(config.WALLET_KEYSTORE_PASSWORD);
+            await WalletModel.collection.updateOne(
+                { _id: document._id },
+                {
+                    $set: { keystore: keystore },
+                    $unset: { privateKey: "", mnemonic: "", chainCode: "", wallet: "" },
+                }
+            );
+            migrated++;
+            console.log(`Encrypted wallet ${document.address}`);
+        } catch (error) {
+            failed++;
+            console.error(`Error migrating wallet ${document._id}:`, error.message);
+        }
+    }
+
+    console.log(`Wallet keystore migration done: ${migrated} encrypted, ${skipped} already encrypted, ${failed} failed`);
+
+    // Wallets from before they belonged to a user are unusable until they are assigned
+    const ownerless = await WalletModel.collection.countDocuments({ user: null });
+    if (ownerless > 0) {
+        console.error(`${ownerless} wallets have no owner, assign them with npm run migrate:wallet-owners`);
+    }
+    return failed;
+}
+
+// The tests call migrate against their own database
+if (require.main === module) {
+    mongoose
+        .connect(config.MONGO_URI)
+        .then(() => migrate())
+        .then(async (failed) => {
+            await mongoose.disconnect();
+            process.exit(failed > 0 ? 1 : 0);
+        })
+        .catch(async (error) => {
+            console.log(error);
+            await mongoose.disconnect();
+            process.exit(1);
+        });
+}
+
+module.exports = { migrate };
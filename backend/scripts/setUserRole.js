@@ -0,0 +1,37 @@
+// Importing libraries
+const mongoose = require("mongoose");
+
+// Getting the configuration values
+const config = require("../configuration/config");
+const UserModel = require("../models/userModel");
+
+// Usage: npm run user:role -- <email> <user|admin>
+async function setRole() {
+    const [email, role] = process.argv.slice(2);
+    if (!email || !UserModel.schema.path("role").enumValues.includes(role)) {
+        console.error("Usage: npm run user:role -- <email> <user|admin>");
+        return 1;
+    }
+
+    const user = await UserModel.findOneAndUpdate({ email: email }, { role: role }, { new: true });
+    if (!user) {
+        console.error(`No user with email ${email}`);
+        return 1;
+    }
+
+    console.log(`${user.email} is now ${user.role}`);
+    return 0;
+}
+
+mongoose
+    .connect(config.MONGO_URI)
+    .then(setRole)
+    .then(async (exitCode) => {
+        await mongoose.disconnect();
+        process.exit(exitCode);
+    })
+    .catch(async (error) => {
+        console.log(error);
+        await mongoose.disconnect();
+        process.exit(1);
+    });
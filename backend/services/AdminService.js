@@ -0,0 +1,209 @@
+const lockContractABI = require("../blockchain/ABI/LockTokenABI");
+const mintContractABI = require("../blockchain/ABI/MintTokenABI");
+const tokenContractABI = require("../blockchain/ABI/ZKPridgeCoinABI");
+const wrappedTokenContractABI = require("../blockchain/ABI/WrappedZKPridgeCoinABI");
+const BridgeTransferModel = require("../models/bridgeTransferModel");
+const RelayerStatusModel = require("../models/relayerStatusModel");
+const AdminAuditLogModel = require("../models/adminAuditLogModel");
+const TransactionService = require("./TransactionService");
+const ChainService = require("./ChainService");
+const { ethers } = require("ethers");
+const mongoose = require("mongoose");
+const Joi = require("joi");
+
+// Name of the single relayer status document
+const RELAYER_STATUS = "relayer";
+
+class AdminService {
+    constructor() {
+        this.chainService = new ChainService();
+        this.transactionService = new TransactionService();
+    }
+
+    async getRelayerStatus() {
+        const status = await RelayerStatusModel.findOne({ name: RELAYER_STATUS });
+        return status || { name: RELAYER_STATUS, paused: false };
+    }
+
+    // Checked by the relayer and the job worker before every tick
+    async isRelayerPaused() {
+        return Boolean(await RelayerStatusModel.exists({ name: RELAYER_STATUS, paused: true }));
+    }
+
+    async pauseRelayer(pauseParams, user) {
+        // Validate the input
+        const { error, value } = this.validateReasonInput(pauseParams);
+        if (error) {
+            throw new Error(error.details[0].message);
+        }
+
+        try {
+            const status = await RelayerStatusModel.findOneAndUpdate(
+                { name: RELAYER_STATUS, paused: { $ne: true } },
+                { $set: { paused: true, reason: value.reason, pausedAt: new Date(), pausedBy: user.id } },
+                { upsert: true, new: true }
+            );
+            console.log(`Relayer paused by ${user.email}: ${value.reason}`);
+            return status;
+        } catch (updateError) {
+            // The status document is paused already, the upsert collided with it on its name
+            if (updateError.code === 11000) {
+                throw new Error("Relayer is already paused");
+            }
+            throw updateError;
+        }
+    }
+
+    async resumeRelayer(user) {
+        const status = await RelayerStatusModel.findOneAndUpdate(
+            { name: RELAYER_STATUS, paused: true },
+            { $set: { paused: false, resumedAt: new Date(), resumedBy: user.id } },
+            { new: true }
+        );
+        if (!status) {
+            throw new Error("Relayer is not paused");
+        }
+
+        console.log(`Relayer resumed by ${user.email}`);
+        return status;
+    }
+
+    validateReasonInput(params) {
+        const schema = Joi.object({
+            reason: Joi.string().trim().min(1).max(500).required(),
+        });
+
+        return schema.validate(params);
+    }
+
+    // Any transfer that is not settled yet, whoever it belongs to, runs its current step again
+    async requeueTransfer(transferId) {
+        const transfer = await this.findTransfer(transferId);
+        if (transfer.status === "MINTED" || transfer.status === "RELEASED") {
+            throw new Error(`Transfer ${transferId} is already ${transfer.status}`);
+        }
+        return this.transactionService.requeueTransfer(transfer);
+    }
+
+    async cancelTransfer(transferId, cancelParams) {
+        // Validate the input, the reason is kept on the transfer
+        const { error, value } = this.validateReasonInput(cancelParams);
+        if (error) {
+            throw new Error(error.details[0].message);
+        }
+
+        const transfer = await this.findTransfer(transferId);
+        return this.transactionService.cancelTransfer(transfer, value.reason);
+    }
+
+    async findTransfer(transferId) {
+        if (!mongoose.isValidObjectId(transferId)) {
+            throw new Error("Transfer not found");
+        }
+        const transfer = await BridgeTransferModel.findById(transferId);
+        if (!transfer) {
+            throw new Error("Transfer not found");
+        }
+        return transfer;
+    }
+
+    // Owners, the lock relayer, the wrapped token minter and the mint validators of every contract in the registry, read from chain.
+    // An unreachable chain is reported with its error instead of failing the whole list
+    async getContracts() {
+        return Promise.all(this.chainService.getChains().map(async (chain) => {
+            const provider = this.chainService.getProvider(chain.chainId);
+            const { token, lock, mint } = chain.contracts;
+
+            try {
+                const contracts = {};
+                if (token) {
+                    // Chains with a mint contract hold the wrapped token, which has a minter
+                    const tokenContract = mint
+                        ? new ethers.Contract(token, wrappedTokenContractABI, provider)
+                        : new ethers.Contract(token, tokenContractABI, provider);
+                    contracts.token = {
+                        address: token,
+                        owner: await tokenContract.owner(),
+                        ...(mint ? { minter: await tokenContract.minter() } : {}),
+                    };
+                }
+                if (lock) {
+                    const lockContract = new ethers.Contract(lock, lockContractABI, provider);
+                    contracts.lock = {
+                        address: lock,
+                        owner: await lockContract.owner(),
+                        relayer: await lockContract.relayer(),
+                    };
+                }
+                if (mint) {
+                    const mintContract = new ethers.Contract(mint, mintContractABI, provider);
+                    contracts.mint = {
+                        address: mint,
+                        owner: await mintContract.owner(),
+                        validators: await mintContract.getValidators(),
+                        threshold: Number(await mintContract.threshold()),
+                    };
+                }
+                return { chainId: chain.chainId, name: chain.name, contracts: contracts };
+            } catch (error) {
+                console.error(`Error while reading the contracts of chain ${chain.chainId}:`, error);
+                return { chainId: chain.chainId, name: chain.name, error: error.message };
+            }
+        }));
+    }
+
+    // Health and usage of the RPC endpoints of every chain, as seen by the API process.
+    // The relayer and the job worker keep their own providers and metrics
+    getRpcMetrics() {
+        return this.chainService.getRpcMetrics();
+    }
+
+    async getAuditLog(queryParams) {
+        // Validate query parameters
+        const { error, value } = this.validateAuditLogQuery(queryParams);
+        if (error) {
+            throw new Error(error.details[0].message);
+        }
+
+        const filter = {};
+        if (value.action) {
+            filter.action = value.action;
+        }
+        if (value.user) {
+            filter.user = value.user;
+        }
+
+        const [entries, total] = await Promise.all([
+            AdminAuditLogModel.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((value.page - 1) * value.limit)
+                .limit(value.limit),
+            AdminAuditLogModel.countDocuments(filter),
+        ]);
+
+        return {
+            entries: entries,
+            pagination: {
+                page: value.page,
+                limit: value.limit,
+                total: total,
+                totalPages: Math.ceil(total / value.limit),
+            },
+        };
+    }
+
+    validateAuditLogQuery(queryParams) {
+        const schema = Joi.object({
+            action: Joi.string(),
+            user: Joi.string().custom((id, helpers) => (
+                mongoose.isValidObjectId(id) ? id : helpers.message("user must be a valid id")
+            )),
+            page: Joi.number().integer().min(1).default(1),
+            limit: Joi.number().integer().min(1).max(100).default(20),
+        });
+
+        return schema.validate(queryParams);
+    }
+}
+
+module.exports = AdminService;
@@ -0,0 +1,145 @@
+const mintContractABI = require("../blockchain/ABI/MintTokenABI");
+const BridgeTransferModel = require("../models/bridgeTransferModel");
+const AttestationModel = require("../models/attestationModel");
+const TreasuryService = require("./TreasuryService");
+const ChainService = require("./ChainService");
+const { ethers } = require("ethers");
+const mongoose = require("mongoose");
+const Joi = require("joi");
+
+// Transfers validators can attest: confirmed on the source chain and not settled or failed yet
+const ATTESTABLE_STATUS = ["CONFIRMED", "PROOF_GENERATED", "PROOF_VERIFIED"];
+
+class AttestationService {
+    constructor() {
+        this.chainService = new ChainService();
+        this.treasuryService = new TreasuryService();
+    }
+
+    // Domain, types and value a validator signs for the mint of amount to the recipient of a lock
+    getTypedData(chain, to, amount, lockId) {
+        return this.chainService.getAttestationTypedData(chain, to, amount, lockId);
+    }
+
+    getTransferTypedData(transfer) {
+        const chain = this.chainService.getChain(transfer.destinationChainId);
+        return this.getTypedData(chain, transfer.destinationAddress, this.treasuryService.getReceivedAmount(transfer), transfer.sourceNonce);
+    }
+
+    getMintContract(chainId) {
+        const chain = this.chainService.getChain(chainId);
+        return new ethers.Contract(chain.contracts.mint, mintContractABI, this.chainService.getProvider(chain.chainId));
+    }
+
+    // Locks still waiting for attestations, with the validators that already signed them
+    async getPendingTransfers() {
+        const transfers = await BridgeTransferModel.find({ direction: "LOCK_MINT", status: { $in: ATTESTABLE_STATUS } })
+            .sort({ createdAt: 1 })
+            .limit(100);
+        const attestations = await AttestationModel.find(
+            { transfer: { $in: transfers.map(({ _id }) => _id) } },
+            { transfer: 1, validator: 1 }
+        ).lean();
+
+        return transfers.map((transfer) => ({
+            id: transfer._id,
+            sourceChainId: transfer.sourceChainId,
+            destinationChainId: transfer.destinationChainId,
+            sourceTxHash: transfer.sourceTxHash,
+            logIndex: transfer.logIndex,
+            sourceNonce: transfer.sourceNonce,
+            destinationAddress: transfer.destinationAddress,
+            amount: transfer.amount,
+            receivedAmount: this.treasuryService.getReceivedAmount(transfer).toString(),
+            attestedBy: attestations
+                .filter((attestation) => attestation.transfer.equals(transfer._id))
+                .map((attestation) => attestation.validator),
+        }));
+    }
+
+    // Stores the signature of a validator. The signer is recovered from the signature, so a validator
+    // needs no account on the backend, only a key in the validator set of the mint contract
+    async submitAttestation(attestationParams) {
+        // Validate the input
+        const { error, value } = this.validateAttestationInput(attestationParams);
+        if (error) {
+            throw new Error(error.details[0].message);
+        }
+
+        const transfer = await BridgeTransferModel.findOne({ _id: value.transferId, direction: "LOCK_MINT" });
+        if (!transfer) {
+            throw new Error("Transfer not found");
+        }
+        if (!ATTESTABLE_STATUS.includes(transfer.status)) {
+            throw new Error(`Transfer ${transfer._id} is ${transfer.status}, it cannot be attested`);
+        }
+
+        const { domain, types, value: typedValue } = this.getTransferTypedData(transfer);
+        const validator = ethers.verifyTypedData(domain, types, typedValue, value.signature);
+        if (!(await this.getMintContract(transfer.destinationChainId).isValidator(validator))) {
+            throw new Error(`Signer ${validator} is not a validator of chain ${transfer.destinationChainId}`);
+        }
+
+        const attestation = await AttestationModel.findOneAndUpdate(
+            { transfer: transfer._id, validator: validator },
+            {
+                $set: { signature: value.signature },
+                $setOnInsert: { sourceNonce: transfer.sourceNonce, chainId: transfer.destinationChainId },
+            },
+            { upsert: true, new: true }
+        );
+        console.log(`Validator ${validator} attested transfer ${transfer._id}`);
+        return attestation;
+    }
+
+    validateAttestationInput(attestationParams) {
+        const schema = Joi.object({
+            transferId: Joi.string().custom((id, helpers) => (
+                mongoose.isValidObjectId(id) ? id : helpers.message("transferId must be a valid id")
+            )).required(),
+            signature: Joi.string().pattern(/^0x[0-9a-fA-F]{130}$/).required()
+                .messages({ "string.pattern.base": "signature must be a 65 byte hex string" }),
+        });
+
+        return schema.validate(attestationParams);
+    }
+
+    // Attestations of a lock that was reorged, the validators sign it again once it is confirmed in the new chain
+    async clearAttestations(transferId) {
+        return AttestationModel.deleteMany({ transfer: transferId });
+    }
+
+    // Signatures of the current validator set for the mint, in the ascending signer order the mint contract
+    // expects. Validators sign independently, so a transfer without enough of them yet waits instead of failing
+    async getSignatures(transfer) {
+        const mintContract = this.getMintContract(transfer.destinationChainId);
+        const { domain, types, value } = this.getTransferTypedData(transfer);
+
+        const [threshold, attestations] = await Promise.all([
+            mintContract.threshold(),
+            AttestationModel.find({ transfer: transfer._id }),
+        ]);
+
+        // Attestations of validators removed since they signed no longer count
+        const valid = [];
+        for (const attestation of attestations) {
+            const signer = ethers.verifyTypedData(domain, types, value, attestation.signature);
+            if (signer === attestation.validator && await mintContract.isValidator(signer)) {
+                valid.push(attestation);
+            }
+        }
+
+        if (BigInt(valid.length) < threshold) {
+            const error = new Error(`Transfer ${transfer._id} has ${valid.length} of ${threshold} required attestations`);
+            error.deferred = true;
+            throw error;
+        }
+
+        return valid
+            .sort((a, b) => (BigInt(a.validator) < BigInt(b.validator) ? -1 : 1))
+            .slice(0, Number(threshold))
+            .map((attestation) => attestation.signature);
+    }
+}
+
+module.exports = AttestationService;
@@ -0,0 +1,127 @@
+const config = require("../configuration/config");
+const SessionModel = require("../models/sessionModel");
+const UserModel = require("../models/userModel");
+const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+class AuthService {
+    async createSession(user) {
+        // The session id is embedded in both tokens so it can be revoked server side
+        const sessionId = new mongoose.Types.ObjectId();
+        const refreshToken = this.signRefreshToken(user, sessionId);
+
+        await SessionModel.create({
+            _id: sessionId,
+            user: user._id,
+            refreshTokenHash: this.hashToken(refreshToken),
+            expiresAt: this.getExpiry(refreshToken),
+        });
+
+        return {
+            accessToken: this.signAccessToken(user, sessionId),
+            refreshToken: refreshToken,
+        };
+    }
+
+    async refreshSession(refreshToken) {
+        const payload = this.verifyToken(refreshToken, config.JWT_REFRESH_SECRET, "refresh");
+
+        const session = await SessionModel.findById(payload.sid);
+        if (!session || session.revokedAt) {
+            throw new Error("Session has been revoked");
+        }
+
+        // A rotated refresh token is being reused, which means it leaked: revoke the whole session
+        if (session.refreshTokenHash !== this.hashToken(refreshToken)) {
+            await SessionModel.updateOne({ _id: session._id }, { revokedAt: new Date() });
+            throw new Error("Refresh token has already been used");
+        }
+
+        const user = await UserModel.findById(session.user);
+        if (!user) {
+            throw new Error("User not found");
+        }
+
+        // Rotate the refresh token, matching on the old hash so two refreshes cannot both succeed
+        const newRefreshToken = this.signRefreshToken(user, session._id);
+        const rotated = await SessionModel.findOneAndUpdate(
+            { _id: session._id, refreshTokenHash: session.refreshTokenHash, revokedAt: { $exists: false } },
+            { refreshTokenHash: this.hashToken(newRefreshToken), expiresAt: this.getExpiry(newRefreshToken) }
+        );
+        if (!rotated) {
+            throw new Error("Refresh token has already been used");
+        }
+
+        return {
+            accessToken: this.signAccessToken(user, session._id),
+            refreshToken: newRefreshToken,
+        };
+    }
+
+    async revokeSession(refreshToken) {
+        // Logging out must work even when the refresh token already expired
+        const payload = this.verifyToken(refreshToken, config.JWT_REFRESH_SECRET, "refresh", { ignoreExpiration: true });
+
+        await SessionModel.updateOne(
+            { _id: payload.sid, user: payload.sub, revokedAt: { $exists: false } },
+            { revokedAt: new Date() }
+        );
+    }
+
+    async authenticate(accessToken) {
+        const payload = this.verifyToken(accessToken, config.JWT_ACCESS_SECRET, "access");
+
+        // Access tokens stop working as soon as their session is revoked
+        const session = await SessionModel.findById(payload.sid);
+        if (!session || session.revokedAt || session.expiresAt < new Date()) {
+            throw new Error("Session has expired or been revoked");
+        }
+
+        return {
+            id: payload.sub,
+            email: payload.email,
+            sessionId: payload.sid,
+        };
+    }
+
+    signAccessToken(user, sessionId) {
+        return jwt.sign(
+            { email: user.email, sid: sessionId.toString(), type: "access" },
+            config.JWT_ACCESS_SECRET,
+            { subject: user._id.toString(), expiresIn: config.JWT_ACCESS_EXPIRES_IN }
+        );
+    }
+
+    signRefreshToken(user, sessionId) {
+        return jwt.sign(
+            { sid: sessionId.toString(), type: "refresh" },
+            config.JWT_REFRESH_SECRET,
+            { subject: user._id.toString(), expiresIn: config.JWT_REFRESH_EXPIRES_IN, jwtid: crypto.randomUUID() }
+        );
+    }
+
+    verifyToken(token, secret, type, options = {}) {
+        let payload;
+        try {
+            payload = jwt.verify(token, secret, options);
+        } catch (error) {
+            throw new Error("Invalid or expired token");
+        }
+
+        if (payload.type !== type) {
+            throw new Error("Invalid token type");
+        }
+        return payload;
+    }
+
+    hashToken(token) {
+        return crypto.createHash("sha256").update(token).digest("hex");
+    }
+
+    getExpiry(token) {
+        return new Date(jwt.decode(token).exp * 1000);
+    }
+}
+
+module.exports = AuthService;
@@ -0,0 +1,129 @@
+const FailoverRpcProvider = require("./providers/FailoverRpcProvider");
+const { ethers } = require("ethers");
+
+// EIP-712 type of a mint attestation, must match MINT_ATTESTATION_TYPEHASH of the mint contract
+const ATTESTATION_TYPES = {
+    MintAttestation: [
+        { name: "to", type: "address" },
+        { name: "amount", type: "uint256" },
+        { name: "lockId", type: "bytes32" },
+    ],
+};
+
+// Providers are shared by every service instance, one per chain
+const providers = new Map();
+
+class ChainService {
+    // The backend configuration is only loaded when no registry is given, the validator brings its own
+    constructor(registry = require("../configuration/config").CHAIN_REGISTRY) {
+        this.registry = registry;
+    }
+
+    getChains() {
+        return this.registry.chains;
+    }
+
+    getRoutes() {
+        return this.registry.routes;
+    }
+
+    findChain(chainId) {
+        return this.registry.chains.find((chain) => chain.chainId === Number(chainId)) || null;
+    }
+
+    getChain(chainId) {
+        const chain = this.findChain(chainId);
+        if (!chain) {
+            throw new Error(`Unsupported chain: ${chainId}`);
+        }
+        return chain;
+    }
+
+    getChainByKey(key) {
+        const chain = this.registry.chains.find((item) => item.key === key);
+        if (!chain) {
+            throw new Error(`Unsupported chain: ${key}`);
+        }
+        return chain;
+    }
+
+    // Without chain ids the first route in the registry is used
+    getRoute(sourceChainId, destinationChainId) {
+        if (sourceChainId === undefined && destinationChainId === undefined) {
+            return this.registry.routes[0];
+        }
+
+        const route = this.registry.routes.find((item) => (
+            item.sourceChainId === Number(sourceChainId)
+            && (destinationChainId === undefined || item.destinationChainId === Number(destinationChainId))
+        ));
+        if (!route) {
+            throw new Error(`Unsupported route: ${sourceChainId} -> ${destinationChainId}`);
+        }
+        return route;
+    }
+
+    // Fee in wei of a transfer of amount wei on the route
+    getFee(route, amount) {
+        const { flat = "0", bps = 0, min = "0", max } = route.fee || {};
+
+        let fee = ethers.parseUnits(flat, 18) + (amount * BigInt(bps)) / 10000n;
+        if (fee < ethers.parseUnits(min, 18)) {
+            fee = ethers.parseUnits(min, 18);
+        }
+        if (max !== undefined && fee > ethers.parseUnits(max, 18)) {
+            fee = ethers.parseUnits(max, 18);
+        }
+        return fee;
+    }
+
+    // Domain, types and value a validator signs for the mint of amount to the recipient of a lock
+    getAttestationTypedData(chain, to, amount, lockId) {
+        return {
+            domain: {
+                name: "ZKPridge MintContract",
+                version: "1",
+                chainId: chain.chainId,
+                verifyingContract: chain.contracts.mint,
+            },
+            types: ATTESTATION_TYPES,
+            value: { to: to, amount: amount, lockId: lockId },
+        };
+    }
+
+    getProvider(chainId) {
+        const chain = this.getChain(chainId);
+        if (!providers.has(chain.chainId)) {
+            providers.set(chain.chainId, new FailoverRpcProvider(chain));
+        }
+        return providers.get(chain.chainId);
+    }
+
+    // Calls served and failed by each RPC endpoint, counted by this process since it started
+    getRpcMetrics() {
+        return this.registry.chains.map((chain) => ({
+            name: chain.name,
+            ...this.getProvider(chain.chainId).getMetrics(),
+        }));
+    }
+
+    // Registry as served to clients, backend RPC URLs can contain API keys
+    getPublicRegistry() {
+        return {
+            chains: this.registry.chains.map((chain) => ({
+                chainId: chain.chainId,
+                key: chain.key,
+                name: chain.name,
+                icon: chain.icon,
+                nativeCurrency: chain.nativeCurrency,
+                rpcUrls: chain.publicRpcUrls,
+                explorerUrl: chain.explorerUrl,
+                confirmations: chain.confirmations,
+                contracts: chain.contracts,
+            })),
+            routes: this.registry.routes,
+        };
+    }
+}
+
+module.exports = ChainService;
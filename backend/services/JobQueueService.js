@@ -0,0 +1,158 @@
+const config = require("../configuration/config");
+const JobModel = require("../models/jobModel");
+
+// Job that moves a transfer on from its current status, terminal statuses have none
+const STATUS_JOB = {
+    LOCKED: "CONFIRM_TRANSFER",
+    BURNED: "CONFIRM_TRANSFER",
+    CONFIRMED: "PROVE_TRANSFER",
+    PROOF_GENERATED: "VERIFY_TRANSFER",
+    PROOF_VERIFIED: "SETTLE_TRANSFER",
+};
+
+class JobQueueService {
+    async enqueue(type, transferId, runAt = new Date()) {
+        // Upsert on (transfer, type) keeps this idempotent, a step is only ever queued once
+        await JobModel.updateOne(
+            { transfer: transferId, type: type },
+            {
+                $setOnInsert: {
+                    status: "PENDING",
+                    runAt: runAt,
+                    attempts: 0,
+                    maxAttempts: config.JOB_MAX_ATTEMPTS,
+                },
+            },
+            { upsert: true }
+        );
+
+        return JobModel.findOne({ transfer: transferId, type: type });
+    }
+
+    async enqueueTransfer(transfer) {
+        const type = STATUS_JOB[transfer.status];
+        return type ? this.enqueue(type, transfer._id) : null;
+    }
+
+    // Runs the step of the transfer again with a fresh set of attempts, whatever happened to its job before
+    async requeueTransfer(transfer) {
+        const type = STATUS_JOB[transfer.status];
+        if (!type) {
+            return null;
+        }
+
+        try {
+            return await JobModel.findOneAndUpdate(
+                { transfer: transfer._id, type: type, status: { $ne: "RUNNING" } },
+                {
+                    $set: { status: "PENDING", runAt: new Date(), attempts: 0, maxAttempts: config.JOB_MAX_ATTEMPTS },
+                    $unset: { lastError: "", lockedBy: "", lockedUntil: "", completedAt: "" },
+                },
+                { upsert: true, new: true }
+            );
+        } catch (error) {
+            // The job is running right now, the upsert collided with it on (transfer, type)
+            if (error.code === 11000) {
+                return JobModel.findOne({ transfer: transfer._id, type: type });
+            }
+            throw error;
+        }
+    }
+
+    async claimNext(workerId) {
+        const now = new Date();
+
+        // Due jobs, and jobs whose worker died before finishing them
+        return JobModel.findOneAndUpdate(
+            {
+                $or: [
+                    { status: "PENDING", runAt: { $lte: now } },
+                    { status: "RUNNING", lockedUntil: { $lte: now } },
+                ],
+            },
+            {
+                $set: {
+                    status: "RUNNING",
+                    lockedBy: workerId,
+                    lockedUntil: new Date(now.getTime() + config.JOB_LEASE_MS),
+                },
+                $inc: { attempts: 1 },
+            },
+            { new: true, sort: { runAt: 1 } }
+        );
+    }
+
+    async complete(job) {
+        // Matching on the worker keeps a job that was reclaimed after its lease from being finished twice
+        return JobModel.findOneAndUpdate(
+            { _id: job._id, status: "RUNNING", lockedBy: job.lockedBy },
+            {
+                $set: { status: "COMPLETED", completedAt: new Date() },
+                $unset: { lockedBy: "", lockedUntil: "" },
+            },
+            { new: true }
+        );
+    }
+
+    async fail(job, error) {
+        const dead = job.attempts >= job.maxAttempts;
+
+        return JobModel.findOneAndUpdate(
+            { _id: job._id, status: "RUNNING", lockedBy: job.lockedBy },
+            {
+                $set: {
+                    status: dead ? "DEAD" : "PENDING",
+                    runAt: dead ? job.runAt : new Date(Date.now() + this.getBackoffMs(job.attempts)),
+                    lastError: error.message,
+                },
+                $unset: { lockedBy: "", lockedUntil: "" },
+            },
+            { new: true }
+        );
+    }
+
+    // Puts a job back without using up its attempt, for transfers waiting on a paused route, a full daily limit
+    // or a destination transaction that is not mined yet
+    async defer(job, error) {
+        return JobModel.findOneAndUpdate(
+            { _id: job._id, status: "RUNNING", lockedBy: job.lockedBy },
+            {
+                $set: {
+                    status: "PENDING",
+                    runAt: new Date(Date.now() + config.JOB_DEFER_MS),
+                    lastError: error.message,
+                },
+                $inc: { attempts: -1 },
+                $unset: { lockedBy: "", lockedUntil: "" },
+            },
+            { new: true }
+        );
+    }
+
+    // Stops the queued steps of a cancelled transfer, a requeue starts its current step again
+    async cancelTransferJobs(transferId, reason) {
+        return JobModel.updateMany(
+            { transfer: transferId, status: "PENDING" },
+            { $set: { status: "DEAD", lastError: reason } }
+        );
+    }
+
+    // Forgets the steps of a transfer that goes back to its first status, they are queued again as it moves on.
+    // A step that is running is left alone
+    async clearTransferJobs(transferId) {
+        return JobModel.deleteMany({ transfer: transferId, status: { $ne: "RUNNING" } });
+    }
+
+    getBackoffMs(attempts) {
+        // Doubles with every attempt: base, 2 x base, 4 x base, ... up to the maximum
+        return Math.min(config.JOB_BACKOFF_BASE_MS * 2 ** (attempts - 1), config.JOB_BACKOFF_MAX_MS);
+    }
+
+    async getTransferJobs(transferId) {
+        return JobModel.find({ transfer: transferId }).sort({ createdAt: 1, _id: 1 });
+    }
+}
+
+JobQueueService.STATUS_JOB = STATUS_JOB;
+
+module.exports = JobQueueService;
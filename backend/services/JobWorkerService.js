@@ -0,0 +1,144 @@
+const os = require("os");
+const config = require("../configuration/config");
+const BridgeTransferModel = require("../models/bridgeTransferModel");
+const JobQueueService = require("./JobQueueService");
+const TransactionService = require("./TransactionService");
+const AdminService = require("./AdminService");
+
+class JobWorkerService {
+    constructor() {
+        this.workerId = `${os.hostname()}-${process.pid}`;
+        this.jobQueueService = new JobQueueService();
+        this.transactionService = new TransactionService();
+        this.adminService = new AdminService();
+        this.running = false;
+        this.stopping = false;
+        this.timer = null;
+        this.currentTick = null;
+
+        // A job can run more than once (crash, expired lease), so every handler
+        // only acts when the transfer is still at the status of its step
+        this.handlers = {
+            CONFIRM_TRANSFER: (transfer) => this.confirmTransfer(transfer),
+            PROVE_TRANSFER: (transfer) => this.proveTransfer(transfer),
+            VERIFY_TRANSFER: (transfer) => this.verifyTransfer(transfer),
+            SETTLE_TRANSFER: (transfer) => this.settleTransfer(transfer),
+        };
+    }
+
+    start() {
+        if (this.running) return;
+        this.running = true;
+        this.stopping = false;
+        console.log(`Job worker ${this.workerId} started`);
+        this.scheduleTick(0);
+    }
+
+    async stop() {
+        this.running = false;
+        this.stopping = true;
+        clearTimeout(this.timer);
+
+        // Let the job in progress finish so its transfer is not left half-processed
+        if (this.currentTick) {
+            await this.currentTick;
+        }
+        console.log("Job worker stopped");
+    }
+
+    scheduleTick(delay) {
+        this.timer = setTimeout(async () => {
+            this.currentTick = this.processDueJobs()
+                .catch((error) => console.error("Error in job worker tick:", error));
+            await this.currentTick;
+            this.currentTick = null;
+
+            if (this.running) {
+                this.scheduleTick(config.JOB_POLL_INTERVAL_MS);
+            }
+        }, delay);
+    }
+
+    // Runs jobs until none is due, the next step of a transfer is picked up in the same pass
+    async processDueJobs() {
+        // Paused by an admin, due jobs wait until it is resumed
+        if (await this.adminService.isRelayerPaused()) {
+            return;
+        }
+
+        while (!this.stopping) {
+            const job = await this.jobQueueService.claimNext(this.workerId);
+            if (!job) break;
+            await this.runJob(job);
+        }
+    }
+
+    async runJob(job) {
+        try {
+            const transfer = await BridgeTransferModel.findById(job.transfer);
+            if (!transfer) {
+                throw new Error(`Transfer ${job.transfer} not found`);
+            }
+
+            await this.handlers[job.type](transfer);
+
+            // The step the transfer is now at is queued before completing, a crash in between
+            // only re-runs this idempotent step. Terminal transfers have no next step.
+            await this.jobQueueService.enqueueTransfer(await BridgeTransferModel.findById(transfer._id));
+            await this.jobQueueService.complete(job);
+        } catch (error) {
+            if (error.deferred) {
+                console.log(`Deferring ${job.type} job for transfer ${job.transfer}: ${error.message}`);
+                await this.jobQueueService.defer(job, error);
+                return;
+            }
+
+            console.error(`Error running ${job.type} job for transfer ${job.transfer} (attempt ${job.attempts}/${job.maxAttempts}):`, error);
+            const failed = await this.jobQueueService.fail(job, error);
+
+            // Out of attempts, the transfer fails unless a signed destination transaction may still be mined
+            if (failed && failed.status === "DEAD") {
+                const transfer = await BridgeTransferModel.findById(job.transfer);
+                if (transfer && !transfer.destinationTxHash) {
+                    await this.transactionService.failTransfer(transfer._id, error);
+                }
+            }
+        }
+    }
+
+    async confirmTransfer(transfer) {
+        if (transfer.status === "LOCKED" || transfer.status === "BURNED") {
+            await this.transactionService.confirmTransfer(transfer);
+        }
+    }
+
+    async proveTransfer(transfer) {
+        if (transfer.status === "CONFIRMED") {
+            await this.transactionService.proveTransfer(transfer);
+        }
+    }
+
+    async verifyTransfer(transfer) {
+        if (transfer.status === "PROOF_GENERATED") {
+            await this.transactionService.verifyTransfer(transfer);
+        }
+    }
+
+    async settleTransfer(transfer) {
+        if (transfer.status !== "PROOF_VERIFIED") {
+            return;
+        }
+
+        const settled = transfer.destinationTxHash
+            ? await this.transactionService.resumeSettlement(transfer)
+            : await this.transactionService.settleTransfer(transfer);
+
+        // Dropped and cleared for a new signature: signed again after a backoff. An unmined transaction is deferred
+        // by the settlement itself, so the job stays alive for as long as the transaction can still be mined
+        if (!settled || settled.status === "PROOF_VERIFIED") {
+            throw new Error(`Destination transaction of transfer ${transfer._id} is not settled yet`);
+        }
+    }
+}
+
+module.exports = JobWorkerService;
@@ -0,0 +1,135 @@
+const tokenContractABI = require("../blockchain/ABI/ZKPridgeCoinABI");
+const BridgeTransferModel = require("../models/bridgeTransferModel");
+const CircuitBreakerModel = require("../models/circuitBreakerModel");
+const ChainService = require("./ChainService");
+const { ethers } = require("ethers");
+
+// Daily limits cover a rolling window
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class LimitService {
+    constructor() {
+        this.chainService = new ChainService();
+    }
+
+    // Errors of limits that free up by themselves, the job worker defers the transfer instead of failing it
+    deferredError(message) {
+        const error = new Error(message);
+        error.deferred = true;
+        return error;
+    }
+
+    // Checks an amount against the limits of the route. A recorded transfer only counts the transfers recorded before it
+    async checkTransferLimits(route, sender, amount, transfer) {
+        const { min = "0", max, dailyPerAddress, dailyTotal } = route.limits || {};
+
+        if (amount < ethers.parseUnits(min, 18)) {
+            throw new Error(`Amount must be at least ${min}`);
+        }
+        if (max !== undefined && amount > ethers.parseUnits(max, 18)) {
+            throw new Error(`Amount must be at most ${max}`);
+        }
+
+        if (dailyTotal !== undefined) {
+            const volume = await this.getDailyVolume(route, {}, transfer);
+            const remaining = ethers.parseUnits(dailyTotal, 18) - volume;
+            if (amount > remaining) {
+                throw this.deferredError(`Daily limit of ${dailyTotal} on this route reached, ${ethers.formatUnits(remaining > 0n ? remaining : 0n, 18)} left`);
+            }
+        }
+
+        if (dailyPerAddress !== undefined && sender) {
+            const volume = await this.getDailyVolume(route, { sender: ethers.getAddress(sender) }, transfer);
+            const remaining = ethers.parseUnits(dailyPerAddress, 18) - volume;
+            if (amount > remaining) {
+                throw this.deferredError(`Daily limit of ${dailyPerAddress} per address reached, ${ethers.formatUnits(remaining > 0n ? remaining : 0n, 18)} left`);
+            }
+        }
+    }
+
+    // Amount sent over the route in the last 24 hours, failed transfers do not count
+    async getDailyVolume(route, filter, transfer) {
+        const createdAt = { $gte: new Date(Date.now() - DAY_MS) };
+        if (transfer) {
+            createdAt.$lt = transfer.createdAt;
+        }
+
+        const transfers = await BridgeTransferModel.find(
+            {
+                ...filter,
+                sourceChainId: route.sourceChainId,
+                destinationChainId: route.destinationChainId,
+                status: { $ne: "FAILED" },
+                createdAt: createdAt,
+                ...(transfer ? { _id: { $ne: transfer._id } } : {}),
+            },
+            { amount: 1 }
+        ).lean();
+        return transfers.reduce((total, item) => total + BigInt(item.amount), 0n);
+    }
+
+    // Refuses new transfers onto a chain minting is paused on
+    async checkNotPaused(route) {
+        if (route.direction !== "LOCK_MINT") {
+            return;
+        }
+
+        const breaker = await CircuitBreakerModel.findOne({ chainId: route.destinationChainId, tripped: true });
+        if (breaker) {
+            throw this.deferredError(`Minting on chain ${route.destinationChainId} is paused: ${breaker.reason}`);
+        }
+    }
+
+    // Wrapped tokens are only minted while the tokens locked on the source chain back them,
+    // otherwise minting onto the chain is paused until an admin resets the breaker
+    async checkCircuitBreaker(route, mintAmount) {
+        await this.checkNotPaused(route);
+        if (route.direction !== "LOCK_MINT") {
+            return;
+        }
+
+        const source = this.chainService.getChain(route.sourceChainId);
+        const destination = this.chainService.getChain(route.destinationChainId);
+        const lockedToken = new ethers.Contract(source.contracts.token, tokenContractABI, this.chainService.getProvider(source.chainId));
+        const wrappedToken = new ethers.Contract(destination.contracts.token, tokenContractABI, this.chainService.getProvider(destination.chainId));
+
+        // The premint of the wrapped token is not backed by the lock contract
+        const [locked, totalSupply] = await Promise.all([
+            lockedToken.balanceOf(source.contracts.lock),
+            wrappedToken.totalSupply(),
+        ]);
+        const supply = totalSupply - ethers.parseUnits(destination.premint || "0", 18);
+        if (supply + mintAmount > locked) {
+            const reason = `wrapped supply of ${ethers.formatUnits(supply, 18)} plus ${ethers.formatUnits(mintAmount, 18)} would exceed the ${ethers.formatUnits(locked, 18)} locked on chain ${source.chainId}`;
+            await this.tripCircuitBreaker(destination.chainId, reason);
+            throw this.deferredError(`Minting on chain ${destination.chainId} is paused: ${reason}`);
+        }
+    }
+
+    async tripCircuitBreaker(chainId, reason) {
+        console.error(`Circuit breaker for chain ${chainId} tripped: ${reason}`);
+        return CircuitBreakerModel.findOneAndUpdate(
+            { chainId: chainId },
+            { $set: { tripped: true, reason: reason, trippedAt: new Date() } },
+            { upsert: true, new: true }
+        );
+    }
+
+    async resetCircuitBreaker(chainId, user) {
+        const breaker = await CircuitBreakerModel.findOneAndUpdate(
+            { chainId: Number(chainId), tripped: true },
+            { $set: { tripped: false, resetAt: new Date(), resetBy: user.id } },
+            { new: true }
+        );
+        if (!breaker) {
+            throw new Error(`Circuit breaker for chain ${chainId} is not tripped`);
+        }
+        return breaker;
+    }
+
+    async getCircuitBreakers() {
+        return CircuitBreakerModel.find().sort({ chainId: 1 });
+    }
+}
+
+module.exports = LimitService;
@@ -0,0 +1,268 @@
+const config = require("../configuration/config");
+const lockContractABI = require("../blockchain/ABI/LockTokenABI");
+const mintContractABI = require("../blockchain/ABI/MintTokenABI");
+const tokenContractABI = require("../blockchain/ABI/ZKPridgeCoinABI");
+const BridgeTransferModel = require("../models/bridgeTransferModel");
+const TreasuryWithdrawalModel = require("../models/treasuryWithdrawalModel");
+const CircuitBreakerModel = require("../models/circuitBreakerModel");
+const ReconciliationModel = require("../models/reconciliationModel");
+const TransactionService = require("./TransactionService");
+const LimitService = require("./LimitService");
+const TreasuryService = require("./TreasuryService");
+const ChainService = require("./ChainService");
+const { ethers } = require("ethers");
+
+// Settled status of each direction, checked against the processed flags of the destination contract
+const SETTLED_STATUS = {
+    LOCK_MINT: "MINTED",
+    BURN_RELEASE: "RELEASED",
+};
+
+class ReconcilerService {
+    constructor() {
+        this.chainService = new ChainService();
+        this.transactionService = new TransactionService();
+        this.limitService = new LimitService();
+        this.treasuryService = new TreasuryService();
+        this.running = false;
+        this.timer = null;
+        this.currentRun = null;
+    }
+
+    start() {
+        if (this.running) return;
+        this.running = true;
+        console.log(`Reconciler started, running every ${config.RECONCILER_INTERVAL_MS} ms`);
+        this.scheduleRun(0);
+    }
+
+    async stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+
+        // Let the run in progress finish so its result is stored
+        if (this.currentRun) {
+            await this.currentRun;
+        }
+        console.log("Reconciler stopped");
+    }
+
+    scheduleRun(delay) {
+        this.timer = setTimeout(async () => {
+            this.currentRun = this.reconcile()
+                .catch((error) => console.error("Error in reconciler run:", error));
+            await this.currentRun;
+            this.currentRun = null;
+
+            if (this.running) {
+                this.scheduleRun(config.RECONCILER_INTERVAL_MS);
+            }
+        }, delay);
+    }
+
+    // Compares both chains of every lock and mint route with the transfer ledger and stores the result.
+    // Transfers the relayer has not recorded yet, or settlements still being written back, show up as
+    // a mismatch until the next run. Only an unbacked wrapped supply breaks the invariant and pauses minting
+    async reconcile() {
+        try {
+            // Fee withdrawals mined since they were sent count as withdrawn from the lock contract
+            await this.treasuryService.resolvePendingWithdrawals();
+
+            const routes = [];
+            const discrepancies = [];
+            for (const route of this.chainService.getRoutes().filter((item) => item.direction === "LOCK_MINT")) {
+                // Step 1: Balances of both chains against the ledger
+                routes.push(await this.reconcileBalances(route));
+
+                // Step 2: Settled status of each recent transfer against the destination contract
+                discrepancies.push(...await this.reconcileTransfers(route));
+            }
+
+            const unbacked = routes.filter((item) => !item.backed);
+            const mismatched = discrepancies.length > 0 || routes.some((item) => (
+                item.locked !== item.expectedLocked || item.supply !== item.expectedSupply
+            ));
+
+            // Step 3: Pause minting onto every chain whose wrapped supply is not backed anymore
+            const pausedChainIds = [];
+            if (config.RECONCILER_PAUSE_ON_BREAK) {
+                for (const item of unbacked) {
+                    if (await this.pauseMinting(item)) {
+                        pausedChainIds.push(item.destinationChainId);
+                    }
+                }
+            }
+
+            const status = unbacked.length > 0 ? "BROKEN" : mismatched ? "MISMATCH" : "OK";
+            if (status !== "OK") {
+                console.error(`Reconciliation ${status}: ${discrepancies.length} transfer discrepancies, ${unbacked.length} unbacked routes`);
+            }
+            const reconciliation = await ReconciliationModel.create({
+                status: status,
+                routes: routes,
+                discrepancies: discrepancies,
+                pausedChainIds: pausedChainIds,
+            });
+            return this.formatReconciliation(reconciliation);
+        } catch (error) {
+            console.error("Error while reconciling:", error);
+            const reconciliation = await ReconciliationModel.create({ status: "FAILED", error: error.message });
+            return this.formatReconciliation(reconciliation);
+        }
+    }
+
+    // Tokens in the lock contract and the wrapped supply against what the ledger says they should be.
+    // Every recorded lock or burn counts, whatever its status, since the tokens moved on chain either way
+    async reconcileBalances(route) {
+        const source = this.chainService.getChain(route.sourceChainId);
+        const destination = this.chainService.getChain(route.destinationChainId);
+        const lockedToken = new ethers.Contract(source.contracts.token, tokenContractABI, this.chainService.getProvider(source.chainId));
+        const wrappedToken = new ethers.Contract(destination.contracts.token, tokenContractABI, this.chainService.getProvider(destination.chainId));
+
+        const [locked, totalSupply, transfers, withdrawals] = await Promise.all([
+            lockedToken.balanceOf(source.contracts.lock),
+            wrappedToken.totalSupply(),
+            BridgeTransferModel.find(
+                {
+                    $or: [
+                        { sourceChainId: source.chainId, destinationChainId: destination.chainId, direction: "LOCK_MINT" },
+                        { sourceChainId: destination.chainId, destinationChainId: source.chainId, direction: "BURN_RELEASE" },
+                    ],
+                },
+                { amount: 1, fee: 1, direction: 1, status: 1 }
+            ).lean(),
+            TreasuryWithdrawalModel.find({ chainId: source.chainId, status: "COMPLETED" }, { amount: 1 }).lean(),
+        ]);
+        const supply = totalSupply - ethers.parseUnits(destination.premint || "0", 18);
+
+        let expectedLocked = 0n;
+        let expectedSupply = 0n;
+        for (const transfer of transfers) {
+            if (transfer.direction === "LOCK_MINT") {
+                expectedLocked += BigInt(transfer.amount);
+                if (transfer.status === "MINTED") {
+                    expectedSupply += this.transactionService.getReceivedAmount(transfer);
+                }
+            } else {
+                expectedSupply -= BigInt(transfer.amount);
+                if (transfer.status === "RELEASED") {
+                    expectedLocked -= this.transactionService.getReceivedAmount(transfer);
+                }
+            }
+        }
+        for (const withdrawal of withdrawals) {
+            expectedLocked -= BigInt(withdrawal.amount);
+        }
+
+        return {
+            sourceChainId: source.chainId,
+            destinationChainId: destination.chainId,
+            locked: locked.toString(),
+            expectedLocked: expectedLocked.toString(),
+            supply: supply.toString(),
+            expectedSupply: expectedSupply.toString(),
+            backed: supply <= locked,
+        };
+    }
+
+    // Recent transfers of the route in both directions against the processed flags of the contract
+    // they settle on. Transfers updated within the grace period may still be settling and are left for later
+    async reconcileTransfers(route) {
+        const now = Date.now();
+        const transfers = await BridgeTransferModel.find({
+            $or: [
+                { sourceChainId: route.sourceChainId, destinationChainId: route.destinationChainId, direction: "LOCK_MINT" },
+                { sourceChainId: route.destinationChainId, destinationChainId: route.sourceChainId, direction: "BURN_RELEASE" },
+            ],
+            updatedAt: {
+                $gte: new Date(now - config.RECONCILER_LOOKBACK_MS),
+                $lte: new Date(now - config.RECONCILER_GRACE_MS),
+            },
+        });
+
+        const discrepancies = [];
+        for (const transfer of transfers) {
+            const settledStatus = SETTLED_STATUS[transfer.direction];
+            const processed = await this.isProcessed(transfer);
+            const settled = transfer.status === settledStatus;
+
+            if (settled && !processed) {
+                discrepancies.push(this.discrepancy(transfer, `Transfer is ${settledStatus} but was not processed on chain ${transfer.destinationChainId}`));
+            } else if (!settled && processed) {
+                discrepancies.push(this.discrepancy(transfer, `Transfer was processed on chain ${transfer.destinationChainId} but is ${transfer.status}`));
+            }
+        }
+        return discrepancies;
+    }
+
+    // Mints are recorded by the mint contract, releases by the lock contract
+    async isProcessed(transfer) {
+        const chain = this.chainService.getChain(transfer.destinationChainId);
+        const provider = this.chainService.getProvider(chain.chainId);
+        if (transfer.direction === "BURN_RELEASE") {
+            return new ethers.Contract(chain.contracts.lock, lockContractABI, provider).processedBurns(transfer.sourceNonce);
+        }
+        return new ethers.Contract(chain.contracts.mint, mintContractABI, provider).processedLocks(transfer.sourceNonce);
+    }
+
+    discrepancy(transfer, message) {
+        return {
+            transfer: transfer._id,
+            sourceNonce: transfer.sourceNonce,
+            status: transfer.status,
+            chainId: transfer.destinationChainId,
+            message: message,
+        };
+    }
+
+    // Trips the circuit breaker of the wrapped chain, unless it is tripped already. Returns whether it was tripped now
+    async pauseMinting(route) {
+        const breaker = await CircuitBreakerModel.findOne({ chainId: route.destinationChainId, tripped: true });
+        if (breaker) {
+            return false;
+        }
+
+        const reason = `reconciler found a wrapped supply of ${ethers.formatUnits(route.supply, 18)} above the ${ethers.formatUnits(route.locked, 18)} locked on chain ${route.sourceChainId}`;
+        await this.limitService.tripCircuitBreaker(route.destinationChainId, reason);
+        return true;
+    }
+
+    async getLatestReconciliation() {
+        const reconciliation = await ReconciliationModel.findOne().sort({ createdAt: -1 });
+        if (!reconciliation) {
+            throw new Error("No reconciliation has run yet");
+        }
+        return this.formatReconciliation(reconciliation);
+    }
+
+    async getReconciliations(limit = 20) {
+        const reconciliations = await ReconciliationModel.find().sort({ createdAt: -1 }).limit(limit);
+        return reconciliations.map((reconciliation) => this.formatReconciliation(reconciliation));
+    }
+
+    formatReconciliation(reconciliation) {
+        return {
+            id: reconciliation._id,
+            status: reconciliation.status,
+            routes: reconciliation.routes.map((route) => ({
+                sourceChainId: route.sourceChainId,
+                destinationChainId: route.destinationChainId,
+                locked: route.locked,
+                expectedLocked: route.expectedLocked,
+                supply: route.supply,
+                expectedSupply: route.expectedSupply,
+                backed: route.backed,
+                formattedLocked: ethers.formatUnits(route.locked, 18),
+                formattedExpectedLocked: ethers.formatUnits(route.expectedLocked, 18),
+                formattedSupply: ethers.formatUnits(route.supply, 18),
+                formattedExpectedSupply: ethers.formatUnits(route.expectedSupply, 18),
+            })),
+            discrepancies: reconciliation.discrepancies,
+            pausedChainIds: reconciliation.pausedChainIds,
+            error: reconciliation.error,
+            createdAt: reconciliation.createdAt,
+        };
+    }
+}
+
+module.exports = ReconcilerService;
@@ -0,0 +1,216 @@
+const config = require("../configuration/config");
+const lockContractABI = require("../blockchain/ABI/LockTokenABI");
+const mintContractABI = require("../blockchain/ABI/MintTokenABI");
+const RelayerCursorModel = require("../models/relayerCursorModel");
+const BridgeTransferModel = require("../models/bridgeTransferModel");
+const TransactionService = require("./TransactionService");
+const JobQueueService = require("./JobQueueService");
+const AdminService = require("./AdminService");
+const ChainService = require("./ChainService");
+const { ethers } = require("ethers");
+
+class RelayerService {
+    constructor() {
+        this.chainService = new ChainService();
+
+        // One source contract to watch per route in the chain registry: locks are read from
+        // the lock contract, burns of wrapped tokens from the mint contract
+        this.sources = this.chainService.getRoutes().map((route) => {
+            const chain = this.chainService.getChain(route.sourceChainId);
+            const provider = this.chainService.getProvider(chain.chainId);
+            const burning = route.direction === "BURN_RELEASE";
+            return {
+                route: route,
+                chain: chain,
+                provider: provider,
+                contract: burning
+                    ? new ethers.Contract(chain.contracts.mint, mintContractABI, provider)
+                    : new ethers.Contract(chain.contracts.lock, lockContractABI, provider),
+                eventName: burning ? "TokensBurned" : "TokensLocked",
+                cursorName: burning ? `${chain.key}-mint-contract` : `${chain.key}-lock-contract`,
+            };
+        });
+
+        this.transactionService = new TransactionService();
+        this.jobQueueService = new JobQueueService();
+        this.adminService = new AdminService();
+        this.running = false;
+        this.timer = null;
+        this.currentTick = null;
+    }
+
+    start() {
+        if (this.running) return;
+        this.running = true;
+        const routes = this.sources.map(({ route, chain }) => `${route.sourceChainId} -> ${route.destinationChainId} ${route.direction} (confirmations: ${chain.confirmations})`);
+        console.log(`Relayer started for routes: ${routes.join(", ")}`);
+        this.scheduleTick(0);
+    }
+
+    async stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+
+        // Let the tick in progress finish so the cursor matches the stored events
+        if (this.currentTick) {
+            await this.currentTick;
+        }
+        console.log("Relayer stopped");
+    }
+
+    scheduleTick(delay) {
+        this.timer = setTimeout(async () => {
+            this.currentTick = this.tick()
+                .catch((error) => console.error("Error in relayer tick:", error));
+            await this.currentTick;
+            this.currentTick = null;
+
+            if (this.running) {
+                this.scheduleTick(config.RELAYER_POLL_INTERVAL_MS);
+            }
+        }, delay);
+    }
+
+    async tick() {
+        // Paused by an admin: the cursors stay put, so the events are picked up once it is resumed
+        if (await this.adminService.isRelayerPaused()) {
+            return;
+        }
+
+        for (const source of this.sources) {
+            if (!this.running) break;
+
+            // The head, the logs and the block hashes of a pass all come from one node
+            const pinnedSource = this.pinSource(source);
+
+            // An unreachable chain must not hold up the other routes
+            try {
+                // Step 1: Roll back transfers whose source block is no longer in the chain
+                const headBlock = await pinnedSource.provider.getBlockNumber();
+                await this.checkSourceReorgs(pinnedSource, headBlock);
+
+                // Step 2: Record new lock or burn events from the stored cursor up to the chain head
+                await this.syncSourceEvents(pinnedSource, headBlock);
+
+                // Step 3: Queue transfers that reached the confirmation depth for the job worker
+                await this.enqueueConfirmedTransfers(pinnedSource, headBlock);
+            } catch (error) {
+                console.error(`Error relaying from chain ${source.chain.chainId}:`, error);
+            } finally {
+                pinnedSource.provider.destroy();
+            }
+        }
+    }
+
+    // Copy of the source with every call on one RPC endpoint. A node lagging behind the one that gave the head
+    // returns no logs for the blocks it does not have yet, and the cursor would move past those events for good
+    pinSource(source) {
+        const provider = source.provider.pinEndpoint();
+        return { ...source, provider: provider, contract: source.contract.connect(provider) };
+    }
+
+    async getCursor(source, headBlock) {
+        let cursor = await RelayerCursorModel.findOne({ name: source.cursorName });
+        if (!cursor) {
+            // First run: start from the configured block, or from the current head
+            const startBlock = source.chain.startBlock !== undefined ? source.chain.startBlock : headBlock;
+            cursor = await RelayerCursorModel.create({
+                name: source.cursorName,
+                contractAddress: await source.contract.getAddress(),
+                lastProcessedBlock: startBlock - 1,
+            });
+        }
+        return cursor;
+    }
+
+    // Compares the block hashes of the transfers recorded within the reorg window with the chain
+    async checkSourceReorgs(source, headBlock) {
+        const transfers = await BridgeTransferModel.find({
+            sourceChainId: source.chain.chainId,
+            direction: source.route.direction,
+            status: { $ne: "FAILED" },
+            reorged: { $ne: true },
+            // Blocks past the head are not on the node of this pass yet, that does not make them reorged
+            blockNumber: { $gte: headBlock - source.chain.reorgWindow, $lte: headBlock },
+        }).sort({ blockNumber: 1, logIndex: 1 });
+
+        const blockHashes = new Map();
+        for (const transfer of transfers) {
+            if (!blockHashes.has(transfer.blockNumber)) {
+                const block = await source.provider.getBlock(transfer.blockNumber);
+                blockHashes.set(transfer.blockNumber, block ? block.hash : null);
+            }
+            if (transfer.blockHash && transfer.blockHash === blockHashes.get(transfer.blockNumber)) {
+                continue;
+            }
+
+            // A transfer that cannot be rolled back yet is checked again on the next tick
+            try {
+                await this.transactionService.handleSourceReorg(transfer);
+            } catch (error) {
+                console.error(`Error handling reorg of transfer ${transfer._id}:`, error.message);
+            }
+        }
+    }
+
+    async syncSourceEvents(source, headBlock) {
+        const cursor = await this.getCursor(source, headBlock);
+
+        // The last block scanned was reorged out, its replacement and the blocks before it may hold other events.
+        // A cursor past the head was moved by a node ahead of this one, there is nothing to scan on this pass
+        if (cursor.lastProcessedBlockHash && cursor.lastProcessedBlock <= headBlock) {
+            const block = await source.provider.getBlock(cursor.lastProcessedBlock);
+            if (!block || block.hash !== cursor.lastProcessedBlockHash) {
+                const rewindBlock = Math.max(cursor.lastProcessedBlock - source.chain.reorgWindow, (source.chain.startBlock || 0) - 1);
+                console.warn(`Block ${cursor.lastProcessedBlock} of chain ${source.chain.chainId} was reorged, scanning again from block ${rewindBlock + 1}`);
+                cursor.lastProcessedBlock = rewindBlock;
+                cursor.lastProcessedBlockHash = undefined;
+            }
+        }
+
+        let fromBlock = cursor.lastProcessedBlock + 1;
+
+        while (fromBlock <= headBlock) {
+            const toBlock = Math.min(fromBlock + config.RELAYER_BLOCK_RANGE - 1, headBlock);
+            const events = await source.contract.queryFilter(source.eventName, fromBlock, toBlock);
+
+            for (const event of events) {
+                await this.transactionService.recordSourceTransfer({
+                    transactionHash: event.transactionHash,
+                    logIndex: event.index,
+                    blockNumber: event.blockNumber,
+                    blockHash: event.blockHash,
+                    sender: event.args.user,
+                    amount: event.args.amount,
+                    destinationAddress: event.args.destinationAddress,
+                }, source.route);
+            }
+
+            // The cursor only moves once every event in the range is stored. The hash of its block shows a reorg later on
+            const block = await source.provider.getBlock(toBlock);
+            cursor.lastProcessedBlock = toBlock;
+            cursor.lastProcessedBlockHash = block ? block.hash : undefined;
+            cursor.updatedAt = Date.now();
+            await cursor.save();
+
+            fromBlock = toBlock + 1;
+        }
+    }
+
+    async enqueueConfirmedTransfers(source, headBlock) {
+        // A lock or burn in block N has (head - N + 1) confirmations
+        const confirmedBlock = headBlock - source.chain.confirmations + 1;
+        const transfers = await BridgeTransferModel.find({
+            sourceChainId: source.chain.chainId,
+            status: { $in: Object.keys(JobQueueService.STATUS_JOB) },
+            blockNumber: { $lte: confirmedBlock },
+        }).sort({ blockNumber: 1, logIndex: 1 });
+
+        // Queueing is idempotent, this also picks up transfers left without a job, e.g. from before the queue existed
+        for (const transfer of transfers) {
+            await this.jobQueueService.enqueueTransfer(transfer);
+        }
+    }
+}
+
+module.exports = RelayerService;
@@ -0,0 +1,46 @@
+const config = require("../configuration/config");
+const ManagedSigner = require("./signers/ManagedSigner");
+const { loadSigner } = require("./signers/loadSigner");
+const ChainService = require("./ChainService");
+
+// Signers are shared by every service instance, one per account. Keystores are decrypted once per process,
+// decryption is slow on purpose
+const signers = new Map();
+
+class SignerService {
+    constructor() {
+        this.chainService = new ChainService();
+    }
+
+    // Signer of a backend account. With a chain id it is connected to that chain and its nonces are managed,
+    // so concurrent transactions of the account never share a nonce
+    async getSigner(name, chainId) {
+        if (!signers.has(name)) {
+            const signer = this.createSigner(name);
+            signers.set(name, signer);
+            // A failed keystore decryption or missing setting is retried on the next call
+            signer.catch(() => signers.delete(name));
+        }
+
+        const signer = await signers.get(name);
+        if (chainId === undefined) {
+            return signer;
+        }
+        return this.manage(signer.connect(this.chainService.getProvider(chainId)));
+    }
+
+    async getAddress(name) {
+        return (await this.getSigner(name)).getAddress();
+    }
+
+    // Nonce management for any signer connected to a chain, custodial wallets included
+    manage(signer) {
+        return new ManagedSigner(signer);
+    }
+
+    async createSigner(name) {
+        return loadSigner(name, config);
+    }
+}
+
+module.exports = SignerService;
@@ -0,0 +1,88 @@
+const lockContractABI = require("../blockchain/ABI/LockTokenABI");
+const mintContractABI = require("../blockchain/ABI/MintTokenABI");
+const { ethers } = require("ethers");
+
+// Locks and burns as the source chain has them, read from the chain alone. Shared by the backend and
+// the validators, it needs no database and no configuration beyond the chain registry of the ChainService
+class SourceEventService {
+    constructor(chainService) {
+        this.chainService = chainService;
+    }
+
+    // Locks or burns of the route in a mined source transaction, read from the chain alone.
+    // Unless told otherwise the transaction must have the confirmations of the chain
+    async readSourceEvents(sourceTxHash, route, requireConfirmations = true) {
+        const chain = this.chainService.getChain(route.sourceChainId);
+        const receipt = requireConfirmations
+            ? await this.getConfirmedReceipt(chain, sourceTxHash)
+            : await this.getMinedReceipt(chain, sourceTxHash);
+
+        const sourceEvents = this.parseSourceEvents(receipt, route);
+        if (sourceEvents.length === 0) {
+            const burning = route.direction === "BURN_RELEASE";
+            throw new Error(`Transaction ${sourceTxHash} has no ${burning ? "TokensBurned" : "TokensLocked"} event from the ${burning ? "mint" : "lock"} contract`);
+        }
+        return sourceEvents;
+    }
+
+    parseSourceEvents(receipt, route) {
+        const chain = this.chainService.getChain(route.sourceChainId);
+        const burning = route.direction === "BURN_RELEASE";
+        const contractAddress = burning ? chain.contracts.mint : chain.contracts.lock;
+        const contractInterface = new ethers.Interface(burning ? mintContractABI : lockContractABI);
+        const eventName = burning ? "TokensBurned" : "TokensLocked";
+
+        // Only logs of the bridge contract count, any contract can emit an event with the same signature
+        return receipt.logs
+            .filter((log) => log.address.toLowerCase() === contractAddress.toLowerCase())
+            .map((log) => ({ log, parsed: contractInterface.parseLog(log) }))
+            .filter(({ parsed }) => parsed && parsed.name === eventName)
+            .map(({ log, parsed }) => ({
+                transactionHash: receipt.hash,
+                logIndex: log.index,
+                blockNumber: receipt.blockNumber,
+                blockHash: receipt.blockHash,
+                sender: parsed.args.user,
+                amount: parsed.args.amount,
+                destinationAddress: parsed.args.destinationAddress,
+            }));
+    }
+
+    async getMinedReceipt(chain, sourceTxHash) {
+        const provider = this.chainService.getProvider(chain.chainId);
+
+        const receipt = await provider.getTransactionReceipt(sourceTxHash);
+        if (!receipt) {
+            throw new Error(`Transaction ${sourceTxHash} not found on chain ${chain.chainId}`);
+        }
+        if (receipt.status !== 1) {
+            throw new Error(`Transaction ${sourceTxHash} reverted`);
+        }
+        return receipt;
+    }
+
+    async getConfirmedReceipt(chain, sourceTxHash) {
+        const provider = this.chainService.getProvider(chain.chainId);
+        const receipt = await this.getMinedReceipt(chain, sourceTxHash);
+
+        // Same depth as the relayer, a transaction in block N has (head - N + 1) confirmations.
+        // The job worker waits for more blocks instead of failing the step
+        const confirmations = await provider.getBlockNumber() - receipt.blockNumber + 1;
+        if (confirmations < chain.confirmations) {
+            const error = new Error(`Transaction ${sourceTxHash} has ${confirmations} of ${chain.confirmations} required confirmations`);
+            error.deferred = true;
+            throw error;
+        }
+        return receipt;
+    }
+
+    // Replay nonce of a lock or burn, the destination contract refuses to settle the same one twice
+    getSourceNonce(sourceChainId, sourceTxHash, logIndex) {
+        return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+            ["uint256", "bytes32", "uint256"],
+            [sourceChainId, sourceTxHash, logIndex]
+        ));
+    }
+}
+
+module.exports = SourceEventService;
@@ -0,0 +1,332 @@
+const { hash, num } = require("starknet");
+
+// JavaScript port of the proof system in blockchain/circuit/src/codev2.cairo, so proofs can be
+// generated and checked without a StarkNet node. Constants and transcript order must stay in
+// sync with the Cairo contract.
+const FIELD_PRIME = 0x800000000000011000000000000000000000000000000000000000000000001n;
+const GENERATOR = 3n;
+const FRI_ROUNDS = 8;
+const BLOW_UP_FACTOR = 16;
+const NUM_QUERIES = 32;
+const CONSTRAINT_DEGREE = 2n;
+const FIAT_SHAMIR_DOMAIN_SEPARATOR = 0x46696174536861n;
+
+// Test values the Cairo constraint evaluation compares the trace against
+const EXPECTED_MESSAGE_HASH = 123456789n;
+const EXPECTED_PUBLIC_KEY = 987654321n;
+
+// Transcript domain separators used by codev2.cairo
+const SEPARATOR = {
+    INIT: 1n,
+    PUBLIC_INPUT: 2n,
+    COMMITMENT: 3n,
+    CHALLENGE: 4n,
+    DOMAIN_SIZE: 5n,
+    POINT_COUNT: 6n,
+    POINT_INDEX: 7n,
+    FRI_ROUND: 8n,
+    CONSTRAINT_DEGREE: 9n,
+    EVALUATION: 10n,
+};
+
+class StarkProverService {
+    // Same inputs and STARKProof shape as generate_stark_proof in CircuitABI
+    generateStarkProof(publicInput, privateInput) {
+        const input = this.normalizePublicInput(publicInput);
+        const transcript = this.initTranscript(input);
+
+        // Step 1: Execution trace and its low degree extension
+        const traceRow = [
+            input.message_hash,
+            input.public_key,
+            this.toFelt(privateInput[0]),
+            this.toFelt(privateInput[1]),
+        ];
+        const extendedTrace = this.computeLowDegreeExtension(traceRow);
+
+        // Step 2: Commit to the extended trace
+        const traceTree = this.buildMerkleTree(extendedTrace);
+        this.appendCommitment(transcript, traceTree.root);
+
+        // Step 3: FRI folding with transcript challenges
+        const fri = this.generateFriProof(extendedTrace, transcript);
+
+        // Step 4: Constraint evaluations at transcript-derived points
+        const points = this.generateRandomPoints(transcript, extendedTrace.length, NUM_QUERIES);
+        const evaluations = this.evaluateConstraints(traceRow, points, transcript);
+
+        const publicCoinSeed = this.generatePublicCoinSeed(input, traceTree.root);
+
+        return {
+            trace_commitment: [traceTree.root, BigInt(traceTree.height), publicCoinSeed].map((value) => this.toHex(value)),
+            trace_evaluation: evaluations.map((value) => this.toHex(value)),
+            fri_commitments: {
+                layers: fri.layers.map((layer) => layer.map((value) => this.toHex(value))),
+                final_polynomial: fri.finalPolynomial.map((value) => this.toHex(value)),
+            },
+            low_degree_proof: extendedTrace.map((value) => this.toHex(value)),
+        };
+    }
+
+    // Replays the transcript from the public input and checks every commitment in the proof
+    verifyStarkProof(publicInput, proof) {
+        try {
+            const input = this.normalizePublicInput(publicInput);
+            const [traceRoot, traceHeight, publicCoinSeed] = proof.trace_commitment.map((value) => this.toFelt(value));
+            const extendedTrace = proof.low_degree_proof.map((value) => this.toFelt(value));
+            const layers = proof.fri_commitments.layers.map((layer) => layer.map((value) => this.toFelt(value)));
+            const finalPolynomial = proof.fri_commitments.final_polynomial.map((value) => this.toFelt(value));
+            const evaluations = proof.trace_evaluation.map((value) => this.toFelt(value));
+
+            // The extension must be the one derived from the committed message hash
+            const expectedTrace = this.computeLowDegreeExtension([input.message_hash]);
+            if (!this.equalArrays(extendedTrace, expectedTrace)) {
+                console.log("FAILED: Low degree extension does not match the public input");
+                return false;
+            }
+
+            const traceTree = this.buildMerkleTree(extendedTrace);
+            if (traceTree.root !== traceRoot || BigInt(traceTree.height) !== traceHeight) {
+                console.log("FAILED: Trace commitment");
+                return false;
+            }
+
+            if (this.generatePublicCoinSeed(input, traceRoot) !== publicCoinSeed) {
+                console.log("FAILED: Public coin seed");
+                return false;
+            }
+
+            // Replay the prover transcript, FRI layers must fold with the derived challenges
+            const transcript = this.initTranscript(input);
+            this.appendCommitment(transcript, traceRoot);
+
+            const fri = this.generateFriProof(extendedTrace, transcript);
+            if (fri.layers.length !== layers.length
+                || !fri.layers.every((layer, index) => this.equalArrays(layer, layers[index]))
+                || !this.equalArrays(fri.finalPolynomial, finalPolynomial)) {
+                console.log("FAILED: FRI layers");
+                return false;
+            }
+
+            // Constraint evaluations only depend on the public part of the first trace row
+            const points = this.generateRandomPoints(transcript, extendedTrace.length, NUM_QUERIES);
+            if (evaluations.length !== points.length) {
+                console.log("FAILED: Constraint evaluation count");
+                return false;
+            }
+            const expectedEvaluation = this.evaluateConstraintAtPoint([input.message_hash, input.public_key]);
+            if (!evaluations.every((evaluation) => evaluation === expectedEvaluation)) {
+                console.log("FAILED: Constraint evaluations");
+                return false;
+            }
+
+            return true;
+        } catch (error) {
+            console.error("Error verifying STARK proof:", error);
+            return false;
+        }
+    }
+
+    // ============ TRANSCRIPT ============
+
+    initTranscript(publicInput) {
+        const transcript = { elements: [], separators: [], roundCounter: 0n };
+        this.appendToTranscript(transcript, FIAT_SHAMIR_DOMAIN_SEPARATOR, SEPARATOR.INIT);
+        this.appendToTranscript(transcript, publicInput.message_hash, SEPARATOR.PUBLIC_INPUT);
+        this.appendToTranscript(transcript, publicInput.public_key, SEPARATOR.PUBLIC_INPUT);
+        this.appendToTranscript(transcript, publicInput.signature, SEPARATOR.PUBLIC_INPUT);
+        return transcript;
+    }
+
+    appendToTranscript(transcript, value, separator) {
+        transcript.elements.push(value);
+        transcript.separators.push(separator);
+    }
+
+    appendCommitment(transcript, root) {
+        this.appendToTranscript(transcript, root, SEPARATOR.COMMITMENT);
+        transcript.roundCounter += 1n;
+    }
+
+    getChallenge(transcript) {
+        const nonce = BigInt(transcript.elements.length) + transcript.roundCounter;
+        const challenge = this.poseidon([transcript.roundCounter, nonce, ...transcript.elements]);
+        this.appendToTranscript(transcript, challenge, SEPARATOR.CHALLENGE);
+        return challenge;
+    }
+
+    generateRandomPoints(transcript, domainSize, count) {
+        this.appendToTranscript(transcript, BigInt(domainSize), SEPARATOR.DOMAIN_SIZE);
+        this.appendToTranscript(transcript, BigInt(count), SEPARATOR.POINT_COUNT);
+
+        const points = [];
+        for (let i = 0; i < count; i++) {
+            this.appendToTranscript(transcript, BigInt(i), SEPARATOR.POINT_INDEX);
+            const challenge = this.getChallenge(transcript);
+            points.push(challenge % BigInt(domainSize));
+        }
+        return points;
+    }
+
+    // ============ FIELD ARITHMETIC ============
+
+    fieldMul(a, b) {
+        return (a * b) % FIELD_PRIME;
+    }
+
+    fieldAdd(a, b) {
+        return (a + b) % FIELD_PRIME;
+    }
+
+    fieldSub(a, b) {
+        return ((a - b) % FIELD_PRIME + FIELD_PRIME) % FIELD_PRIME;
+    }
+
+    fieldPow(base, exp) {
+        let result = 1n;
+        let basePower = base;
+        let remaining = exp;
+        while (remaining > 0) {
+            if (remaining % 2 === 1) {
+                result = this.fieldMul(result, basePower);
+            }
+            basePower = this.fieldMul(basePower, basePower);
+            remaining = Math.floor(remaining / 2);
+        }
+        return result;
+    }
+
+    findRootOfUnity(size) {
+        let generator = GENERATOR;
+        for (let order = 1; order < size; order *= 2) {
+            generator = this.fieldMul(generator, generator);
+        }
+        return generator;
+    }
+
+    computeLowDegreeExtension(traceRow) {
+        // A single-row trace evaluated over the blow-up domain, as in codev2.cairo
+        const generator = this.findRootOfUnity(BLOW_UP_FACTOR);
+        const extended = [];
+        for (let i = 0; i < BLOW_UP_FACTOR; i++) {
+            extended.push(this.fieldMul(traceRow[0], this.fieldPow(generator, i)));
+        }
+        return extended;
+    }
+
+    // ============ MERKLE TREE ============
+
+    buildMerkleTree(leaves) {
+        if (leaves.length === 0 || (leaves.length & (leaves.length - 1)) !== 0) {
+            throw new Error("Leaves must be a non-empty power of 2");
+        }
+
+        const nodes = [leaves];
+        let level = leaves;
+        while (level.length > 1) {
+            const next = [];
+            for (let i = 0; i < level.length; i += 2) {
+                next.push(this.poseidon([level[i], level[i + 1]]));
+            }
+            nodes.push(next);
+            level = next;
+        }
+
+        return { root: level[0], height: nodes.length - 1, nodes };
+    }
+
+    // ============ FRI ============
+
+    generateFriProof(evaluations, transcript) {
+        const layers = [evaluations];
+        this.appendCommitment(transcript, this.buildMerkleTree(evaluations).root);
+
+        let current = evaluations;
+        for (let round = 0; round < FRI_ROUNDS && current.length > 2; round++) {
+            this.appendToTranscript(transcript, BigInt(round), SEPARATOR.FRI_ROUND);
+            const challenge = this.getChallenge(transcript);
+
+            current = this.friFold(current, challenge);
+            this.appendCommitment(transcript, this.buildMerkleTree(current).root);
+            layers.push(current);
+        }
+
+        // Query phase: the positions only advance the transcript, layers are sent in full
+        this.generateRandomPoints(transcript, evaluations.length, NUM_QUERIES);
+        this.getChallenge(transcript);
+
+        return { layers, finalPolynomial: current };
+    }
+
+    friFold(evaluations, challenge) {
+        const half = evaluations.length / 2;
+        const folded = [];
+        for (let i = 0; i < half; i++) {
+            folded.push(this.fieldAdd(evaluations[i], this.fieldMul(challenge, evaluations[i + half])));
+        }
+        return folded;
+    }
+
+    // ============ CONSTRAINTS ============
+
+    evaluateConstraints(traceRow, points, transcript) {
+        this.appendToTranscript(transcript, CONSTRAINT_DEGREE, SEPARATOR.CONSTRAINT_DEGREE);
+
+        return points.map(() => {
+            const evaluation = this.evaluateConstraintAtPoint(traceRow);
+            this.appendToTranscript(transcript, evaluation, SEPARATOR.EVALUATION);
+            return evaluation;
+        });
+    }
+
+    evaluateConstraintAtPoint(traceRow) {
+        // Boundary and transition constraints of codev2.cairo, the permutation constraint is always zero
+        const boundary = this.fieldSub(traceRow[0], EXPECTED_MESSAGE_HASH);
+        const transition = this.fieldSub(
+            this.fieldAdd(traceRow[0], traceRow[1]),
+            this.fieldAdd(EXPECTED_MESSAGE_HASH, EXPECTED_PUBLIC_KEY)
+        );
+        return this.fieldAdd(boundary, transition);
+    }
+
+    generatePublicCoinSeed(publicInput, root) {
+        return this.poseidon([
+            FIAT_SHAMIR_DOMAIN_SEPARATOR,
+            publicInput.message_hash,
+            publicInput.public_key,
+            publicInput.signature,
+            root,
+        ]);
+    }
+
+    // ============ HELPERS ============
+
+    poseidon(values) {
+        // Same as poseidon_hash_span in Cairo
+        return BigInt(hash.computePoseidonHashOnElements(values));
+    }
+
+    normalizePublicInput(publicInput) {
+        return {
+            message_hash: this.toFelt(publicInput.message_hash),
+            public_key: this.toFelt(publicInput.public_key),
+            signature: this.toFelt(publicInput.signature),
+        };
+    }
+
+    toFelt(value) {
+        return ((BigInt(value) % FIELD_PRIME) + FIELD_PRIME) % FIELD_PRIME;
+    }
+
+    toHex(value) {
+        return num.toHex(value);
+    }
+
+    equalArrays(a, b) {
+        return a.length === b.length && a.every((value, index) => value === b[index]);
+    }
+}
+
+StarkProverService.FIELD_PRIME = FIELD_PRIME;
+
+module.exports = StarkProverService;
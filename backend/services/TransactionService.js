@@ -3,106 +3,871 @@ const lockContractABI = require("../blockchain/ABI/LockTokenABI");
 const tokenContractABI = require("../blockchain/ABI/ZKPridgeCoinABI");
 const mintContractABI = require("../blockchain/ABI/MintTokenABI");
 const CircuitABI = require("../blockchain/ABI/CircuitABI");
+const BridgeTransferModel = require("../models/bridgeTransferModel");
+const StarkProverService = require("./StarkProverService");
+const WalletService = require("./WalletService");
+const ChainService = require("./ChainService");
+const JobQueueService = require("./JobQueueService");
+const TreasuryService = require("./TreasuryService");
+const LimitService = require("./LimitService");
+const AttestationService = require("./AttestationService");
+const SignerService = require("./SignerService");
+const SourceEventService = require("./SourceEventService");
 const { ethers } = require("ethers");
-const { Contract, Provider, constants, hash, num } = require("starknet");
+const mongoose = require("mongoose");
+const Joi = require("joi");
+const { Contract, Provider, hash, num } = require("starknet");
+
+// Allowed status transitions of a bridge transfer
+const TRANSFER_TRANSITIONS = {
+    LOCKED: ["CONFIRMED", "FAILED"],
+    BURNED: ["CONFIRMED", "FAILED"],
+    CONFIRMED: ["PROOF_GENERATED", "FAILED"],
+    PROOF_GENERATED: ["PROOF_VERIFIED", "FAILED"],
+    PROOF_VERIFIED: ["MINTED", "RELEASED", "FAILED"],
+    MINTED: [],
+    RELEASED: [],
+    FAILED: [],
+};
+
+// First and last status of each direction
+const DIRECTION_STATUS = {
+    LOCK_MINT: { initial: "LOCKED", settled: "MINTED" },
+    BURN_RELEASE: { initial: "BURNED", settled: "RELEASED" },
+};
+
+// EIP-2612 permits signed for a lock, valid long enough for the lock transaction to be mined
+const PERMIT_DEADLINE_SECONDS = 60 * 60;
+const PERMIT_TYPES = {
+    Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+    ],
+};
+
+// Gas limits quoted when a call cannot be estimated, e.g. lockTokens before the approval exists
+// or mintTokens before the validators attested the lock
+const FALLBACK_GAS_LIMITS = {
+    approve: 60000n,
+    lockTokens: 150000n,
+    lockTokensWithPermit: 200000n,
+    burnTokens: 100000n,
+    mintTokens: 200000n,
+    releaseTokens: 100000n,
+};
 
 class TransactionService {
     constructor() {
-        // Initialize StarkNet provider
-        this.starkProvider = new Provider({     
-            sequencer: { network: config.STARKNET_NETWORK }
+        // Local proving mirrors the Cairo circuit in-process, no StarkNet node needed
+        this.starkProver = new StarkProverService();
+        this.walletService = new WalletService();
+        this.chainService = new ChainService();
+        this.jobQueueService = new JobQueueService();
+        this.treasuryService = new TreasuryService();
+        this.limitService = new LimitService();
+        this.attestationService = new AttestationService();
+        this.signerService = new SignerService();
+        this.sourceEventService = new SourceEventService(this.chainService);
+
+        if (config.PROOF_MODE === "onchain") {
+            // Initialize StarkNet provider
+            this.starkProvider = new Provider({
+                sequencer: { network: config.STARKNET_NETWORK }
+            });
+
+            // Initialize STARK verification contract
+            this.starkContract = new Contract(
+                CircuitABI,
+                config.STARK_CONTRACT_ADDRESS,
+                this.starkProvider
+            );
+        }
+    }
+
+    // Locks or burns from one of the caller's custodial wallets, the transfer itself is then submitted to sendTokens
+    async initiateTransfer(walletParams, user) {
+        // Validate the input
+        const { error, value } = this.validateInitiateInput(walletParams);
+        if (error) {
+            throw new Error(error.details[0].message);
+        }
+
+        const route = this.chainService.getRoute(value.sourceChainId, value.destinationChainId);
+        const amount = ethers.parseUnits(value.amount, 18);
+        this.checkCoversFee(route, amount);
+
+        const sourceChain = this.chainService.getChain(route.sourceChainId);
+        const provider = this.chainService.getProvider(route.sourceChainId);
+        const signer = await this.walletService.getSigner(value.walletID, user, provider);
+
+        // Nothing is locked or burned beyond the limits of the route
+        await this.limitService.checkTransferLimits(route, await signer.getAddress(), amount);
+        await this.limitService.checkNotPaused(route);
+        const receipt = route.direction === "BURN_RELEASE"
+            ? await this.burnTokensInContract(value, signer, sourceChain)
+            : await this.lockTokensInContract(value, signer, sourceChain);
+
+        return {
+            "Message": `Tokens ${route.direction === "BURN_RELEASE" ? "burned" : "locked"}, the transfer is settled once the transaction has ${sourceChain.confirmations} confirmations`,
+            "sourceTxHash": receipt.hash,
+            "sourceChainId": route.sourceChainId,
+            "confirmations": sourceChain.confirmations
+        };
+    }
+
+    validateInitiateInput(walletParams) {
+        const schema = Joi.object({
+            walletID: Joi.string().required(),
+            amount: Joi.string().pattern(/^\d+(\.\d{1,18})?$/).required()
+                .messages({ "string.pattern.base": "amount must be a positive decimal with at most 18 decimals" }),
+            destinationAddress: Joi.string().custom((address, helpers) => (
+                ethers.isAddress(address) ? address : helpers.message("destinationAddress must be a valid address")
+            )).required(),
+            sourceChainId: Joi.number().integer().positive(),
+            destinationChainId: Joi.number().integer().positive(),
+        });
+
+        return schema.validate(walletParams);
+    }
+
+    async sendTokens(transferParams, user) {
+        // Validate the input, amount and destination are only ever read from the chain
+        const { error, value } = this.validateSendInput(transferParams);
+        if (error) {
+            throw new Error(error.details[0].message);
+        }
+
+        // Step 1: Decode the lock or burn events from the mined source receipt, the confirmation job waits for the depth
+        const route = this.chainService.getRoute(value.sourceChainId, value.destinationChainId);
+        const sourceEvents = await this.getSourceEvents(value.sourceTxHash, route, user);
+
+        // Step 2: Record every lock or burn of the transaction, each one is only processed once
+        const transfers = [];
+        for (const sourceEvent of sourceEvents) {
+            this.checkCoversFee(route, sourceEvent.amount);
+
+            // The relayer may have recorded the event already, then only earlier transfers count against the limits
+            const recorded = await BridgeTransferModel.findOne({
+                sourceNonce: this.getSourceNonce(route.sourceChainId, sourceEvent.transactionHash, sourceEvent.logIndex),
+            });
+            await this.limitService.checkTransferLimits(route, sourceEvent.sender, sourceEvent.amount, recorded);
+        }
+        await this.limitService.checkNotPaused(route);
+        for (const sourceEvent of sourceEvents) {
+            const transfer = await this.recordSourceTransfer(sourceEvent, route);
+            if (transfer.status !== DIRECTION_STATUS[route.direction].initial) {
+                throw new Error(`Transfer ${transfer.sourceNonce} already processed`);
+            }
+            transfers.push(transfer);
+        }
+
+        // Step 3: Confirming, proving, verifying and settling run in the job worker
+        const queued = [];
+        for (const transfer of transfers) {
+            const job = await this.jobQueueService.enqueueTransfer(transfer);
+            queued.push({ ...this.formatTransfer(transfer), jobId: job._id });
+        }
+
+        return {
+            "Message": "Transfer accepted and queued for processing",
+            "Transfers": queued
+        };
+    }
+
+    // Nothing would arrive on the destination chain, so the transfer is refused
+    checkCoversFee(route, amount) {
+        const fee = this.treasuryService.getFee(route, amount);
+        if (amount <= fee) {
+            throw new Error(`Amount of ${ethers.formatUnits(amount, 18)} does not cover the bridge fee of ${ethers.formatUnits(fee, 18)}`);
+        }
+    }
+
+    validateSendInput(transferParams) {
+        const schema = Joi.object({
+            sourceTxHash: Joi.string().pattern(/^0x[0-9a-fA-F]{64}$/).required()
+                .messages({ "string.pattern.base": "sourceTxHash must be a transaction hash" }),
+            sourceChainId: Joi.number().integer().positive(),
+            destinationChainId: Joi.number().integer().positive(),
         });
-        
-        // Initialize STARK verification contract
-        this.starkContract = new Contract(
-            CircuitABI,
-            config.STARK_CONTRACT_ADDRESS,
-            this.starkProvider
+
+        return schema.validate(transferParams);
+    }
+
+    // Estimated costs of a transfer on the given route, nothing is signed or sent
+    async getQuote(queryParams, user) {
+        // Validate query parameters
+        const { error, value } = this.validateQuoteQuery(queryParams);
+        if (error) {
+            throw new Error(error.details[0].message);
+        }
+
+        // The limits and allowance of a sender are only shown to the user it is linked to
+        if (value.sender) {
+            const addresses = (await this.walletService.getUserAddresses(user)).map((address) => address.toLowerCase());
+            if (!addresses.includes(value.sender.toLowerCase())) {
+                throw new Error("sender is not one of your wallets");
+            }
+        }
+
+        const route = this.chainService.getRoute(value.from, value.to);
+        const amount = ethers.parseUnits(value.amount, 18);
+
+        // A transfer over the limits of the route is refused up front
+        await this.limitService.checkTransferLimits(route, value.sender, amount);
+        await this.limitService.checkNotPaused(route);
+        const sourceChain = this.chainService.getChain(route.sourceChainId);
+        const destinationChain = this.chainService.getChain(route.destinationChainId);
+        const sourceProvider = this.chainService.getProvider(sourceChain.chainId);
+        const destinationProvider = this.chainService.getProvider(destinationChain.chainId);
+        const relayer = await this.signerService.getAddress("relayer");
+
+        // Step 1: Source transactions, signed by the user. Without a sender they are not estimated, the relayer
+        // only stands in as the recipient of the calls
+        const sender = value.sender ? ethers.getAddress(value.sender) : null;
+        const recipient = sender || relayer;
+        const sourceCalls = [];
+        if (route.direction === "BURN_RELEASE") {
+            const mintContract = new ethers.Contract(sourceChain.contracts.mint, mintContractABI, sourceProvider);
+            sourceCalls.push({ name: "burnTokens", method: mintContract.burnTokens, args: [amount, recipient] });
+        } else {
+            const tokenContract = new ethers.Contract(sourceChain.contracts.token, tokenContractABI, sourceProvider);
+            const lockContract = new ethers.Contract(sourceChain.contracts.lock, lockContractABI, sourceProvider);
+
+            // A sender with a large enough allowance skips the approval, a token with permits approves in the lock itself
+            const allowance = sender ? await tokenContract.allowance(sender, sourceChain.contracts.lock) : 0n;
+            if (allowance >= amount) {
+                sourceCalls.push({ name: "lockTokens", method: lockContract.lockTokens, args: [amount, recipient] });
+            } else if (await this.getPermitDomain(tokenContract)) {
+                sourceCalls.push({
+                    name: "lockTokensWithPermit",
+                    method: lockContract.lockTokensWithPermit,
+                    args: [amount, recipient, 0n, 0, ethers.ZeroHash, ethers.ZeroHash],
+                });
+            } else {
+                sourceCalls.push({ name: "approve", method: tokenContract.approve, args: [sourceChain.contracts.lock, amount] });
+                sourceCalls.push({ name: "lockTokens", method: lockContract.lockTokens, args: [amount, recipient] });
+            }
+        }
+
+        // Step 2: Destination transaction, signed and paid for by the relayer with a placeholder nonce
+        const destinationCall = route.direction === "BURN_RELEASE"
+            ? { name: "releaseTokens", method: new ethers.Contract(destinationChain.contracts.lock, lockContractABI, destinationProvider).releaseTokens }
+            : { name: "mintTokens", method: new ethers.Contract(destinationChain.contracts.mint, mintContractABI, destinationProvider).mintTokens };
+        destinationCall.args = route.direction === "BURN_RELEASE"
+            ? [recipient, amount, ethers.ZeroHash]
+            : [recipient, amount, ethers.ZeroHash, []];
+
+        const [source, destination] = await Promise.all([
+            this.estimateCosts(sourceChain, sourceProvider, sender, sourceCalls),
+            this.estimateCosts(destinationChain, destinationProvider, relayer, [destinationCall]),
+        ]);
+
+        // Step 3: The bridge fee is kept from the amount, an amount that does not cover it receives nothing
+        const bridgeFee = this.treasuryService.getFee(route, amount);
+        const receivedAmount = amount > bridgeFee ? amount - bridgeFee : 0n;
+        return {
+            sourceChainId: route.sourceChainId,
+            destinationChainId: route.destinationChainId,
+            direction: route.direction,
+            amount: amount.toString(),
+            formattedAmount: ethers.formatUnits(amount, 18),
+            bridgeFee: bridgeFee.toString(),
+            formattedBridgeFee: ethers.formatUnits(bridgeFee, 18),
+            receivedAmount: receivedAmount.toString(),
+            formattedReceivedAmount: ethers.formatUnits(receivedAmount, 18),
+            source: { ...source, paidBy: "sender" },
+            destination: { ...destination, paidBy: "relayer" },
+        };
+    }
+
+    validateQuoteQuery(queryParams) {
+        const schema = Joi.object({
+            amount: Joi.string().pattern(/^\d+(\.\d{1,18})?$/).required()
+                .messages({ "string.pattern.base": "amount must be a positive decimal with at most 18 decimals" }),
+            from: Joi.number().integer().positive(),
+            to: Joi.number().integer().positive(),
+            sender: Joi.string().custom((address, helpers) => (
+                ethers.isAddress(address) ? address : helpers.message("sender must be a valid address")
+            )),
+        });
+
+        return schema.validate(queryParams);
+    }
+
+    // Gas of a list of calls on one chain, priced at the current max fee per gas. Without a caller
+    // the typical gas limits are quoted
+    async estimateCosts(chain, provider, from, calls) {
+        const feeData = await provider.getFeeData();
+        const gasPrice = feeData.maxFeePerGas || feeData.gasPrice || 0n;
+
+        const steps = [];
+        for (const call of calls) {
+            let gasLimit = FALLBACK_GAS_LIMITS[call.name];
+            let estimated = false;
+            if (from) {
+                try {
+                    gasLimit = await call.method.estimateGas(...call.args, { from });
+                    estimated = true;
+                } catch (error) {
+                    // Reverts without the user's balance or allowance, the typical gas limit is quoted instead
+                }
+            }
+            steps.push({ name: call.name, gasLimit: gasLimit.toString(), estimated });
+        }
+
+        const gasCost = steps.reduce((total, step) => total + BigInt(step.gasLimit), 0n) * gasPrice;
+        return {
+            chainId: chain.chainId,
+            gasPrice: gasPrice.toString(),
+            steps,
+            gasCost: gasCost.toString(),
+            formattedGasCost: ethers.formatUnits(gasCost, chain.nativeCurrency.decimals),
+            currency: chain.nativeCurrency.symbol,
+        };
+    }
+
+    async getSourceEvents(sourceTxHash, route, user) {
+        const sourceEvents = await this.readSourceEvents(sourceTxHash, route, false);
+
+        // Only the sender can submit its own locks and burns
+        const addresses = (await this.walletService.getUserAddresses(user)).map((address) => address.toLowerCase());
+        if (sourceEvents.some((sourceEvent) => !addresses.includes(sourceEvent.sender.toLowerCase()))) {
+            throw new Error(`Transaction ${sourceTxHash} was not sent from one of your wallets`);
+        }
+
+        return sourceEvents;
+    }
+
+    // Locks or burns of the route in a mined source transaction, read from the chain alone
+    async readSourceEvents(sourceTxHash, route, requireConfirmations = true) {
+        return this.sourceEventService.readSourceEvents(sourceTxHash, route, requireConfirmations);
+    }
+
+    // The lock or burn of a recorded transfer as the source chain has it now, null once it is no longer there.
+    // The log index is part of the source nonce, a lock that moved within its block counts as gone
+    async findSourceEvent(transfer) {
+        const route = this.chainService.getRoute(transfer.sourceChainId, transfer.destinationChainId);
+        const provider = this.chainService.getProvider(transfer.sourceChainId);
+
+        const receipt = await provider.getTransactionReceipt(transfer.sourceTxHash);
+        if (!receipt || receipt.status !== 1) {
+            return null;
+        }
+        return this.sourceEventService.parseSourceEvents(receipt, route).find((sourceEvent) => (
+            sourceEvent.logIndex === transfer.logIndex
+            && sourceEvent.amount.toString() === transfer.amount
+            && sourceEvent.sender.toLowerCase() === transfer.sender.toLowerCase()
+        )) || null;
+    }
+
+    // Replay nonce of a lock or burn, the destination contract refuses to settle the same one twice
+    getSourceNonce(sourceChainId, sourceTxHash, logIndex) {
+        return this.sourceEventService.getSourceNonce(sourceChainId, sourceTxHash, logIndex);
+    }
+
+    async recordSourceTransfer(sourceEvent, route) {
+        const initialStatus = DIRECTION_STATUS[route.direction].initial;
+        const sourceNonce = this.getSourceNonce(route.sourceChainId, sourceEvent.transactionHash, sourceEvent.logIndex);
+
+        // Upsert keeps this idempotent when the same lock or burn is seen twice
+        await BridgeTransferModel.updateOne(
+            { sourceNonce: sourceNonce },
+            {
+                $setOnInsert: {
+                    sourceTxHash: sourceEvent.transactionHash,
+                    logIndex: sourceEvent.logIndex,
+                    blockNumber: sourceEvent.blockNumber,
+                    blockHash: sourceEvent.blockHash,
+                    sender: sourceEvent.sender,
+                    destinationAddress: ethers.isAddress(sourceEvent.destinationAddress)
+                        ? ethers.getAddress(sourceEvent.destinationAddress)
+                        : sourceEvent.destinationAddress,
+                    amount: sourceEvent.amount.toString(),
+                    fee: this.treasuryService.getFee(route, BigInt(sourceEvent.amount)).toString(),
+                    sourceChainId: route.sourceChainId,
+                    destinationChainId: route.destinationChainId,
+                    direction: route.direction,
+                    status: initialStatus,
+                    history: [{ status: initialStatus, at: new Date() }],
+                },
+            },
+            { upsert: true }
+        );
+
+        return BridgeTransferModel.findOne({ sourceNonce: sourceNonce });
+    }
+
+    // Only transfers sent from or to one of the caller's wallets are visible to them
+    async getOwnerFilter(user) {
+        const addresses = await this.walletService.getUserAddresses(user);
+        return { $or: [{ sender: { $in: addresses } }, { destinationAddress: { $in: addresses } }] };
+    }
+
+    async getTransfer(transferId, user) {
+        if (!mongoose.isValidObjectId(transferId)) {
+            return null;
+        }
+
+        const transfer = await BridgeTransferModel.findOne({ _id: transferId, ...(await this.getOwnerFilter(user)) });
+        return transfer ? this.formatTransfer(transfer) : null;
+    }
+
+    async getTransfersBySourceTxHash(sourceTxHash, user) {
+        // A single transaction can emit more than one lock
+        const transfers = await BridgeTransferModel.find({
+            sourceTxHash: sourceTxHash.toLowerCase(),
+            ...(await this.getOwnerFilter(user)),
+        }).sort({ logIndex: 1 });
+        return transfers.map((transfer) => this.formatTransfer(transfer));
+    }
+
+    async listTransfers(queryParams, user) {
+        // Validate query parameters
+        const { error, value } = this.validateListQuery(queryParams);
+        if (error) {
+            throw new Error(error.details[0].message);
+        }
+
+        const filter = { $and: [await this.getOwnerFilter(user)] };
+        if (value.address) {
+            const address = ethers.getAddress(value.address);
+            filter.$and.push({ $or: [{ sender: address }, { destinationAddress: address }] });
+        }
+        if (value.status) {
+            filter.status = value.status;
+        }
+        if (value.direction) {
+            filter.direction = value.direction;
+        }
+        if (value.chain) {
+            filter.$and.push({ $or: [{ sourceChainId: value.chain }, { destinationChainId: value.chain }] });
+        }
+        if (value.from || value.to) {
+            filter.createdAt = {};
+            if (value.from) filter.createdAt.$gte = value.from;
+            if (value.to) filter.createdAt.$lte = value.to;
+        }
+
+        const [transfers, total] = await Promise.all([
+            BridgeTransferModel.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((value.page - 1) * value.limit)
+                .limit(value.limit),
+            BridgeTransferModel.countDocuments(filter),
+        ]);
+
+        return {
+            transfers: transfers.map((transfer) => this.formatTransfer(transfer)),
+            pagination: {
+                page: value.page,
+                limit: value.limit,
+                total: total,
+                totalPages: Math.ceil(total / value.limit),
+            },
+        };
+    }
+
+    validateListQuery(queryParams) {
+        const schema = Joi.object({
+            address: Joi.string().custom((address, helpers) => (
+                ethers.isAddress(address) ? address : helpers.message("address must be a valid address")
+            )),
+            status: Joi.string().valid(...BridgeTransferModel.TRANSFER_STATUS),
+            direction: Joi.string().valid(...BridgeTransferModel.TRANSFER_DIRECTION),
+            chain: Joi.number().integer().positive(),
+            from: Joi.date(),
+            to: Joi.date(),
+            page: Joi.number().integer().min(1).default(1),
+            limit: Joi.number().integer().min(1).max(100).default(20),
+        });
+
+        return schema.validate(queryParams);
+    }
+
+    // A stream of transfers: a loader for the current ones and a matcher for later changes
+    async getTransferStream(queryParams, user) {
+        // Validate query parameters
+        const { error, value } = this.validateStreamQuery(queryParams);
+        if (error) {
+            throw new Error(error.details[0].message);
+        }
+
+        const addresses = (await this.walletService.getUserAddresses(user)).map((address) => address.toLowerCase());
+        const address = value.address && value.address.toLowerCase();
+        if (address && !addresses.includes(address)) {
+            throw new Error("Address is not one of your wallets");
+        }
+
+        let filter;
+        if (value.transferId) {
+            filter = { _id: value.transferId };
+        } else if (value.address) {
+            filter = { $or: [{ sender: ethers.getAddress(address) }, { destinationAddress: ethers.getAddress(address) }] };
+        } else {
+            filter = { sourceTxHash: value.sourceTxHash.toLowerCase() };
+        }
+
+        const ownerFilter = await this.getOwnerFilter(user);
+        const load = async () => {
+            const transfers = await BridgeTransferModel.find({ $and: [filter, ownerFilter] }).sort({ createdAt: 1 });
+            return transfers.map((transfer) => this.formatTransfer(transfer));
+        };
+
+        // Same conditions as the filter, applied to the changed documents
+        const matches = (transfer) => {
+            const parties = [transfer.sender.toLowerCase(), transfer.destinationAddress.toLowerCase()];
+            if (!parties.some((party) => addresses.includes(party))) return false;
+            if (value.transferId) return String(transfer._id) === value.transferId;
+            if (address) return parties.includes(address);
+            return transfer.sourceTxHash === value.sourceTxHash.toLowerCase();
+        };
+
+        return { load: load, matches: matches };
+    }
+
+    validateStreamQuery(queryParams) {
+        const schema = Joi.object({
+            transferId: Joi.string().custom((transferId, helpers) => (
+                mongoose.isValidObjectId(transferId) ? transferId : helpers.message("transferId must be a valid id")
+            )),
+            address: Joi.string().custom((address, helpers) => (
+                ethers.isAddress(address) ? address : helpers.message("address must be a valid address")
+            )),
+            sourceTxHash: Joi.string().pattern(/^0x[0-9a-fA-F]{64}$/)
+                .messages({ "string.pattern.base": "sourceTxHash must be a transaction hash" }),
+        }).xor("transferId", "address", "sourceTxHash");
+
+        return schema.validate(queryParams);
+    }
+
+    formatTransfer(transfer) {
+        const sourceExplorer = this.getExplorerUrl(transfer.sourceChainId);
+        const destinationExplorer = this.getExplorerUrl(transfer.destinationChainId);
+
+        return {
+            id: transfer._id,
+            sourceNonce: transfer.sourceNonce,
+            sourceTxHash: transfer.sourceTxHash,
+            logIndex: transfer.logIndex,
+            blockNumber: transfer.blockNumber,
+            sender: transfer.sender,
+            destinationAddress: transfer.destinationAddress,
+            amount: transfer.amount,
+            formattedAmount: ethers.formatUnits(transfer.amount, 18),
+            fee: transfer.fee,
+            formattedFee: ethers.formatUnits(transfer.fee, 18),
+            receivedAmount: this.getReceivedAmount(transfer).toString(),
+            formattedReceivedAmount: ethers.formatUnits(this.getReceivedAmount(transfer), 18),
+            sourceChainId: transfer.sourceChainId,
+            destinationChainId: transfer.destinationChainId,
+            direction: transfer.direction,
+            status: transfer.status,
+            history: transfer.history.map(({ status, at, error }) => ({ status, at, error })),
+            proofHash: transfer.proofHash,
+            destinationTxHash: transfer.destinationTxHash,
+            error: transfer.error,
+            reorged: transfer.reorged,
+            explorerLinks: {
+                source: sourceExplorer ? `${sourceExplorer}/tx/${transfer.sourceTxHash}` : null,
+                destination: destinationExplorer && transfer.destinationTxHash
+                    ? `${destinationExplorer}/tx/${transfer.destinationTxHash}`
+                    : null,
+            },
+            createdAt: transfer.createdAt,
+            updatedAt: transfer.updatedAt,
+        };
+    }
+
+    getReceivedAmount(transfer) {
+        return this.treasuryService.getReceivedAmount(transfer);
+    }
+
+    getExplorerUrl(chainId) {
+        const chain = this.chainService.findChain(chainId);
+        return chain ? chain.explorerUrl : null;
+    }
+
+    async transitionTransfer(transferId, nextStatus, updates = {}) {
+        const transfer = await BridgeTransferModel.findById(transferId);
+        if (!transfer) {
+            throw new Error("Transfer not found");
+        }
+
+        const allowed = TRANSFER_TRANSITIONS[transfer.status] || [];
+        if (!allowed.includes(nextStatus)) {
+            throw new Error(`Invalid transfer transition from ${transfer.status} to ${nextStatus}`);
+        }
+
+        // Matching on the current status makes the transition atomic
+        const updated = await BridgeTransferModel.findOneAndUpdate(
+            { _id: transferId, status: transfer.status },
+            {
+                $set: { ...updates, status: nextStatus },
+                $push: { history: { status: nextStatus, at: new Date(), error: updates.error } },
+            },
+            { new: true }
         );
+        if (!updated) {
+            throw new Error(`Transfer ${transferId} was updated concurrently`);
+        }
+        return updated;
     }
 
-    async sendTokens(walletParams,res) {
-        try{    
-            // const lockContractResponse = await this.lockTokensInContract(walletParams);
+    // Puts a failed transfer back at the step it failed in and queues that step again
+    async retryTransfer(transferId, user) {
+        if (!mongoose.isValidObjectId(transferId)) {
+            throw new Error("Transfer not found");
+        }
 
-            const proofResult = await this.generateAndVerifyProof(walletParams, "0x1234567890abcdef"); // Replace with actual lock transaction hash
-                
-            if (!proofResult.verified) {
-                throw new Error("STARK proof verification failed");
+        const transfer = await BridgeTransferModel.findOne({ _id: transferId, ...(await this.getOwnerFilter(user)) });
+        if (!transfer) {
+            throw new Error("Transfer not found");
+        }
+        if (transfer.status !== "FAILED") {
+            throw new Error(`Only failed transfers can be retried, this one is ${transfer.status}`);
+        }
+
+        return this.requeueTransfer(transfer);
+    }
+
+    // Queues the step the transfer is at again with fresh attempts, a failed transfer first goes back to the step it failed in
+    async requeueTransfer(transfer) {
+        let requeued = transfer;
+        if (transfer.status === "FAILED") {
+            // FAILED is terminal for the worker, only a requeue leaves it
+            const failedStep = [...transfer.history].reverse().find(({ status }) => status !== "FAILED");
+            requeued = await BridgeTransferModel.findOneAndUpdate(
+                { _id: transfer._id, status: "FAILED" },
+                {
+                    $set: { status: failedStep.status },
+                    $unset: { error: "" },
+                    $push: { history: { status: failedStep.status, at: new Date() } },
+                },
+                { new: true }
+            );
+            if (!requeued) {
+                throw new Error(`Transfer ${transfer._id} was updated concurrently`);
             }
+        }
 
-            // const mintContractResponse = await this.mintTokensInContract(walletParams);
-            // return {
-            //     "Message":"Tokens locked and minted successfully",
-            //     "Lock Contract Response": lockContractResponse,
-            //     "Proof Verification": proofResult,
-            //     "Mint Contract Response": mintContractResponse
-            // };
-            return {
-                "Message":"Tokens locked and minted successfully",
-                "Proof Verification": proofResult
-            };
-        } catch (error) {
-            console.error("Error in sendTokens:", error);
-            throw error;
+        const job = await this.jobQueueService.requeueTransfer(requeued);
+        if (!job) {
+            throw new Error(`Transfer ${transfer._id} is ${transfer.status}, it has no step left to run`);
         }
+        return { ...this.formatTransfer(requeued), jobId: job._id };
+    }
+
+    // Fails a transfer on purpose and stops its queued steps. A settlement that may already be on chain
+    // cannot be cancelled, the transfer would be settled twice if it were requeued later
+    async cancelTransfer(transfer, reason) {
+        if (transfer.destinationTxHash) {
+            throw new Error(`Transfer ${transfer._id} has a settlement transaction ${transfer.destinationTxHash}, it cannot be cancelled`);
+        }
+        const jobs = await this.jobQueueService.getTransferJobs(transfer._id);
+        if (jobs.some((job) => job.status === "RUNNING")) {
+            throw new Error(`Transfer ${transfer._id} has a job running, try again once it is done`);
+        }
+
+        const message = `Cancelled by an admin: ${reason}`;
+        const cancelled = await this.transitionTransfer(transfer._id, "FAILED", { error: message });
+        await this.jobQueueService.cancelTransferJobs(transfer._id, message);
+        return this.formatTransfer(cancelled);
+    }
+
+    async failTransfer(transferId, error) {
+        try {
+            return await this.transitionTransfer(transferId, "FAILED", { error: error.message });
+        } catch (transitionError) {
+            // The transfer may already be terminal, the original error is what matters
+            console.error("Error while failing transfer:", transitionError);
+        }
+    }
+
+    async confirmTransfer(transfer) {
+        // The source transaction must still be in the chain at the required depth, with the lock or burn at its log index
+        const route = this.chainService.getRoute(transfer.sourceChainId, transfer.destinationChainId);
+        const sourceEvents = await this.readSourceEvents(transfer.sourceTxHash, route);
+        const sourceEvent = sourceEvents.find(({ logIndex }) => logIndex === transfer.logIndex);
+        if (!sourceEvent || sourceEvent.amount.toString() !== transfer.amount) {
+            throw new Error(`Transaction ${transfer.sourceTxHash} no longer has this transfer at log index ${transfer.logIndex}`);
+        }
+
+        // A reorg that moved the lock of a settled transfer gave it a new source nonce, it must not be settled twice
+        const reorged = await BridgeTransferModel.exists({ sourceTxHash: transfer.sourceTxHash, _id: { $ne: transfer._id }, reorged: true });
+        if (reorged) {
+            throw new Error(`Transaction ${transfer.sourceTxHash} was settled before a reorg, an admin has to review it`);
+        }
+
+        // Transfers the relayer picked up from the chain were never checked against the limits
+        await this.limitService.checkTransferLimits(route, transfer.sender, BigInt(transfer.amount), transfer);
+        return this.transitionTransfer(transfer._id, "CONFIRMED", { blockNumber: sourceEvent.blockNumber, blockHash: sourceEvent.blockHash });
+    }
+
+    // Called when the block a transfer was recorded in is no longer in the source chain. A transfer that is not
+    // settled yet goes back to LOCKED or BURNED and waits for the confirmation depth again. A settled one whose
+    // lock or burn is gone is flagged, the tokens it paid out are no longer backed
+    async handleSourceReorg(transfer) {
+        const sourceEvent = await this.findSourceEvent(transfer);
+        const block = sourceEvent ? { blockNumber: sourceEvent.blockNumber, blockHash: sourceEvent.blockHash } : {};
+
+        // Same block after all, or a transfer recorded before block hashes were kept
+        if (sourceEvent && (!transfer.blockHash || sourceEvent.blockHash === transfer.blockHash)) {
+            if (!transfer.blockHash) {
+                await BridgeTransferModel.updateOne({ _id: transfer._id }, { $set: block });
+            }
+            return BridgeTransferModel.findById(transfer._id);
+        }
+
+        const { initial, settled } = DIRECTION_STATUS[transfer.direction];
+        const message = sourceEvent
+            ? `Source block ${transfer.blockNumber} was reorged, the transaction is now in block ${sourceEvent.blockNumber}`
+            : `Source block ${transfer.blockNumber} was reorged, the transaction is no longer in the chain`;
+
+        // A signed settlement may still be mined, so it is treated like a settled transfer
+        if (transfer.status === settled || transfer.destinationTxHash) {
+            if (sourceEvent) {
+                console.warn(`Transfer ${transfer._id}: ${message}`);
+                return BridgeTransferModel.findByIdAndUpdate(transfer._id, { $set: block }, { new: true });
+            }
+            console.error(`Transfer ${transfer._id} was settled, but its ${transfer.direction === "LOCK_MINT" ? "lock" : "burn"} is gone. ${message}`);
+            return BridgeTransferModel.findByIdAndUpdate(transfer._id, { $set: { reorged: true, error: message } }, { new: true });
+        }
+
+        if (transfer.status === "FAILED") {
+            return BridgeTransferModel.findByIdAndUpdate(transfer._id, { $set: block }, { new: true });
+        }
+
+        // The step in progress would move the transfer on from a block that no longer exists, try again next time
+        const jobs = await this.jobQueueService.getTransferJobs(transfer._id);
+        if (jobs.some((job) => job.status === "RUNNING")) {
+            throw new Error(`Transfer ${transfer._id} has a job running, its reorg is handled once it is done`);
+        }
+
+        console.warn(`Transfer ${transfer._id} goes back to ${initial}: ${message}`);
+        const rolledBack = await BridgeTransferModel.findOneAndUpdate(
+            { _id: transfer._id, status: transfer.status, destinationTxHash: { $exists: false } },
+            {
+                $set: { ...block, status: initial },
+                $unset: { proof: "", proofHash: "" },
+                $push: { history: { status: initial, at: new Date(), error: message } },
+            },
+            { new: true }
+        );
+        if (!rolledBack) {
+            throw new Error(`Transfer ${transfer._id} was updated concurrently`);
+        }
+
+        // Every step runs again, the confirmation first, which waits for the depth of the new block
+        await this.jobQueueService.clearTransferJobs(transfer._id);
+        await this.attestationService.clearAttestations(transfer._id);
+        await this.jobQueueService.requeueTransfer(rolledBack);
+        return rolledBack;
+    }
+
+    async proveTransfer(transfer) {
+        if (!ethers.isAddress(transfer.destinationAddress)) {
+            throw new Error(`Invalid destination address: ${transfer.destinationAddress}`);
+        }
+
+        const { proof, publicInput } = await this.generateProof(
+            { amount: ethers.formatUnits(transfer.amount, 18) },
+            transfer.sourceTxHash
+        );
+
+        return this.transitionTransfer(transfer._id, "PROOF_GENERATED", {
+            proof: JSON.parse(this.serializeProof({ proof, publicInput })),
+            proofHash: ethers.id(this.serializeProof(proof)),
+        });
+    }
+
+    async verifyTransfer(transfer) {
+        const verified = await this.verifyProof(transfer.proof.publicInput, transfer.proof.proof);
+        if (!verified) {
+            throw new Error("STARK proof verification failed");
+        }
+
+        return this.transitionTransfer(transfer._id, "PROOF_VERIFIED");
+    }
+
+    serializeProof(value) {
+        // Proof values returned by starknet.js are BigInts
+        return JSON.stringify(value, (key, item) => typeof item === "bigint" ? item.toString() : item);
     }
 
     async generateAndVerifyProof(walletParams, lockTxHash) {
+        const { proof, publicInput } = await this.generateProof(walletParams, lockTxHash);
+        const verificationResult = await this.verifyProof(publicInput, proof);
+
+        return {
+            verified: verificationResult,
+            proof: proof,
+            publicInput: publicInput
+        };
+    }
+
+    async generateProof(walletParams, lockTxHash) {
         try {
-            // Convert amount to hex string
+            // Convert amount to wei
             const amountInWei = ethers.parseUnits(walletParams.amount.toString(), 18);
-            // const amountBN = number.toBN(amountInWei.toString());
 
-            // Create message hash using pedersen
-            const messageHash = hash.pedersen([
-                num.hexToDecimalString(lockTxHash),
-                amountStr
-            ])
+            // Create message hash using pedersen, the tx hash is reduced into the field first
+            const messageHash = hash.computePedersenHash(
+                num.toHex(BigInt(lockTxHash) % StarkProverService.FIELD_PRIME),
+                num.toHex(amountInWei)
+            );
 
             // Prepare public input
             const publicInput = {
                 message_hash: messageHash,
-                public_key: number.toHex(number.toBN("0xA3F3b3f28C537a151527203deA65D40F45F86661")),
+                public_key: num.toHex("0xA3F3b3f28C537a151527203deA65D40F45F86661"),
                 signature: await this.generateSignature(messageHash)
             };
 
             // Prepare private input with proper conversion
             const privateInput = [
-                number.toHex(number.toBN(config.STARK_PRIVATE_INPUT_1)),
-                number.toHex(number.toBN(config.STARK_PRIVATE_INPUT_2))
+                num.toHex(config.STARK_PRIVATE_INPUT_1),
+                num.toHex(config.STARK_PRIVATE_INPUT_2)
             ];
 
             console.log("Public Input:", publicInput);
-            console.log("Private Input:", privateInput);
-            console.log("Generating STARK proof...");
-            
+            console.log(`Generating STARK proof (${config.PROOF_MODE})...`);
+
             // Generate proof
-            const proof = await this.starkContract.generate_stark_proof(
-                publicInput,
-                privateInput
-            );
+            const proof = config.PROOF_MODE === "onchain"
+                ? await this.starkContract.generate_stark_proof(publicInput, privateInput)
+                : this.starkProver.generateStarkProof(publicInput, privateInput);
 
             console.log("Generated Proof:", proof);
-            console.log("Verifying STARK proof...");
-            
-            // Verify proof
-            const verificationResult = await this.starkContract.verify_stark_proof(
-                publicInput,
-                proof
-            );
-
-            console.log("Verification Result:", verificationResult);
 
             return {
-                verified: verificationResult,
                 proof: proof,
                 publicInput: publicInput
             };
 
         } catch (error) {
-            console.error("Detailed error in generateAndVerifyProof:", error);
-            throw new Error(`Failed to generate or verify STARK proof: ${error.message}`);
+            console.error("Detailed error in generateProof:", error);
+            throw new Error(`Failed to generate STARK proof: ${error.message}`);
+        }
+    }
+
+    async verifyProof(publicInput, proof) {
+        try {
+            console.log(`Verifying STARK proof (${config.PROOF_MODE})...`);
+
+            // Verify proof
+            const verificationResult = config.PROOF_MODE === "onchain"
+                ? await this.starkContract.verify_stark_proof(publicInput, proof)
+                : this.starkProver.verifyStarkProof(publicInput, proof);
+
+            console.log("Verification Result:", verificationResult);
+            return verificationResult;
+
+        } catch (error) {
+            console.error("Detailed error in verifyProof:", error);
+            throw new Error(`Failed to verify STARK proof: ${error.message}`);
         }
     }
 
@@ -111,83 +876,276 @@ class TransactionService {
         return messageHash.toString();
     }
 
-    async lockTokensInContract(walletParams) {
+    async lockTokensInContract(walletParams, signer, chain) {
         const { amount, destinationAddress } = walletParams;
-        const lockContractAddress = config.LOCK_CONTRACT_ADDRESS;
-        const tokenContractAddress = config.TOKEN_ADDRESS;
-        const sourceRpcUrl = config.SEPOLIA_RPC;
-
-        // Initialize provider and signer
-        const provider = new ethers.JsonRpcProvider(sourceRpcUrl);
-        const signer = new ethers.Wallet(config.SENDER_PRIVATE_KEY, provider);
+        const lockContractAddress = chain.contracts.lock;
+        const tokenContractAddress = chain.contracts.token;
 
         // ABI for LockContract
         const lockContract = new ethers.Contract(lockContractAddress, lockContractABI, signer);
         const tokenContract = new ethers.Contract(tokenContractAddress, tokenContractABI, signer);
 
         try{
-            // Step 1: Approve the LockContract to transfer user's tokens
-            console.log("Approving LockContract to spend tokens...");
-            const approveTx = await tokenContract.approve(
-                lockContractAddress, 
-                ethers.parseUnits(amount.toString(), 18) // Convert amount to wei
-            );
-    
-            await approveTx.wait();
-            console.log("Tokens approved successfully!");
-    
-            // Step 2: Lock Tokens in LockContract
-            console.log(`Locking ${amount} tokens to destination: ${destinationAddress}`);
-            const tx = await lockContract.lockTokens(
-                ethers.parseUnits(amount.toString(), 18), 
-                destinationAddress
-            );
-            
+            // A token with permits is approved by a signature and locked in a single transaction
+            const permit = await this.signPermit(signer, tokenContract, lockContractAddress, ethers.parseUnits(amount.toString(), 18));
+            let tx;
+            if (permit) {
+                console.log(`Locking ${amount} tokens with a permit to destination: ${destinationAddress}`);
+                tx = await lockContract.lockTokensWithPermit(
+                    ethers.parseUnits(amount.toString(), 18),
+                    destinationAddress,
+                    permit.deadline,
+                    permit.v,
+                    permit.r,
+                    permit.s
+                );
+            } else {
+                // Step 1: Approve the LockContract to transfer user's tokens
+                console.log("Approving LockContract to spend tokens...");
+                const approveTx = await tokenContract.approve(
+                    lockContractAddress,
+                    ethers.parseUnits(amount.toString(), 18) // Convert amount to wei
+                );
+
+                await approveTx.wait();
+                console.log("Tokens approved successfully!");
+
+                // Step 2: Lock Tokens in LockContract
+                console.log(`Locking ${amount} tokens to destination: ${destinationAddress}`);
+                tx = await lockContract.lockTokens(
+                    ethers.parseUnits(amount.toString(), 18),
+                    destinationAddress
+                );
+            }
+
             const receipt = await tx.wait();
-    
+
             console.log("Tokens locked successfully. TX Hash:", receipt.hash);
-            return receipt.hash; // Return transaction hash
+            return receipt;
         } catch (error) {
             console.error("Error while locking tokens:", error);
             throw new Error("Error while locking tokens");
         }
     }
 
-    async mintTokensInContract(walletParams) {
+    // EIP-712 domain of a token with EIP-2612 permits, null for a token without them
+    async getPermitDomain(tokenContract) {
+        try {
+            const [, name, version, chainId, verifyingContract] = await tokenContract.eip712Domain();
+            return { name, version, chainId, verifyingContract };
+        } catch (error) {
+            // The token does not implement eip712Domain, any other error is not an answer
+            if (error.code !== "CALL_EXCEPTION" && error.code !== "BAD_DATA") {
+                throw error;
+            }
+            return null;
+        }
+    }
+
+    // Permit of the signer for the spender, split into the fields lockTokensWithPermit takes
+    async signPermit(signer, tokenContract, spender, value) {
+        const domain = await this.getPermitDomain(tokenContract);
+        if (!domain) {
+            return null;
+        }
+
+        const owner = await signer.getAddress();
+        const nonce = await tokenContract.nonces(owner);
+        const deadline = BigInt(Math.floor(Date.now() / 1000) + PERMIT_DEADLINE_SECONDS);
+        const signature = ethers.Signature.from(await signer.signTypedData(domain, PERMIT_TYPES, {
+            owner: owner,
+            spender: spender,
+            value: value,
+            nonce: nonce,
+            deadline: deadline,
+        }));
+        return { deadline, v: signature.v, r: signature.r, s: signature.s };
+    }
+
+    async burnTokensInContract(walletParams, signer, chain) {
         const { amount, destinationAddress } = walletParams;
 
-        // Mint contract and token configurations
-        const mintContractAddress = config.MINT_CONTRACT_ADDRESS;
-        const destinationRpcUrl = config.AMOY_RPC;
+        // The mint contract is the wrapped token minter, so it burns without an approval
+        const mintContract = new ethers.Contract(chain.contracts.mint, mintContractABI, signer);
 
-        // Initialize provider and signer for destination chain
-        const provider = new ethers.JsonRpcProvider(destinationRpcUrl);
-        const signer = new ethers.Wallet(config.PRIVATE_KEY, provider);
+        try{
+            console.log(`Burning ${amount} tokens to destination: ${destinationAddress}`);
+            const tx = await mintContract.burnTokens(
+                ethers.parseUnits(amount.toString(), 18), // Convert amount to wei
+                destinationAddress
+            );
 
-        const mintContract = new ethers.Contract(
-            mintContractAddress,
-            mintContractABI,
-            signer
-        );
+            const receipt = await tx.wait();
+
+            console.log("Tokens burned successfully. TX Hash:", receipt.hash);
+            return receipt;
+        } catch (error) {
+            console.error("Error while burning tokens:", error);
+            throw new Error("Error while burning tokens");
+        }
+    }
+
+    async getSettlementContract(transfer) {
+        // Relayer signer of the destination chain
+        const chain = this.chainService.getChain(transfer.destinationChainId);
+        const signer = await this.signerService.getSigner("relayer", chain.chainId);
+
+        return transfer.direction === "BURN_RELEASE"
+            ? new ethers.Contract(chain.contracts.lock, lockContractABI, signer)
+            : new ethers.Contract(chain.contracts.mint, mintContractABI, signer);
+    }
+
+    async settleTransfer(transfer) {
+        // A destination transaction was already signed for this transfer
+        if (transfer.destinationTxHash) {
+            return this.resumeSettlement(transfer);
+        }
+
+        const contract = await this.getSettlementContract(transfer);
+        const signer = contract.runner;
+        const releasing = transfer.direction === "BURN_RELEASE";
+        const receivedAmount = this.getReceivedAmount(transfer);
+
+        // Pauses minting when the wrapped supply would no longer be backed by locked tokens
+        const route = this.chainService.getRoute(transfer.sourceChainId, transfer.destinationChainId);
+        await this.limitService.checkCircuitBreaker(route, receivedAmount);
 
         try {
-            console.log(`Minting ${amount} tokens to address: ${destinationAddress}`);
+            // The destination contract keeps every settled nonce, a replay would only revert
+            const processed = releasing
+                ? await contract.processedBurns(transfer.sourceNonce)
+                : await contract.processedLocks(transfer.sourceNonce);
+            if (processed) {
+                throw new Error(`Transfer ${transfer.sourceNonce} already processed on chain ${transfer.destinationChainId}`);
+            }
 
-            // Convert amount to Wei
-            const mintTx = await mintContract.mintTokens(
-                destinationAddress,
-                ethers.parseUnits(amount.toString(), 18)
-            );
+            if (receivedAmount <= 0n) {
+                throw new Error(`Transfer ${transfer.sourceNonce} does not cover its bridge fee`);
+            }
+
+            // Mints are authorized by the attestations of the validators, not by the relayer key
+            const signatures = releasing ? [] : await this.attestationService.getSignatures(transfer);
+
+            console.log(`${releasing ? "Releasing" : "Minting"} ${ethers.formatUnits(receivedAmount, 18)} tokens to address: ${transfer.destinationAddress}`);
+
+            // Sign first and store the raw transaction, so a restart rebroadcasts
+            // the same transaction (same nonce) instead of paying out a second time.
+            // The relayer account signs nothing else until the transaction is broadcast
+            const txRequest = releasing
+                ? await contract.releaseTokens.populateTransaction(transfer.destinationAddress, receivedAmount, transfer.sourceNonce)
+                : await contract.mintTokens.populateTransaction(transfer.destinationAddress, receivedAmount, transfer.sourceNonce, signatures);
+            const claimed = await signer.withNonce(async (nonce) => {
+                const rawTx = await signer.signTransaction(await signer.populateTransaction({ ...txRequest, nonce: nonce }));
+                const destinationTxHash = ethers.Transaction.from(rawTx).hash;
 
-            const receipt = await mintTx.wait();
-            console.log("Tokens minted successfully. TX Hash:", receipt.hash);
+                const claimedTransfer = await BridgeTransferModel.findOneAndUpdate(
+                    { _id: transfer._id, status: "PROOF_VERIFIED", destinationTxHash: { $exists: false } },
+                    { destinationTxHash: destinationTxHash, destinationRawTx: rawTx },
+                    { new: true }
+                );
+                if (claimedTransfer) {
+                    await this.broadcastRawTransaction(claimedTransfer);
+                }
+                return claimedTransfer;
+            });
+            if (!claimed) {
+                // Another process already signed the settlement for this transfer
+                return BridgeTransferModel.findById(transfer._id);
+            }
+
+            return await this.waitForSettlement(claimed);
+        } catch (error) {
+            // Still waiting for attestations or for the transaction to be mined, the job worker defers the settlement
+            if (error.deferred) {
+                throw error;
+            }
+            console.error(`Error while ${releasing ? "releasing" : "minting"} tokens:`, error);
+            throw new Error(`Error while ${releasing ? "releasing" : "minting"} tokens: ${error.message}`);
+        }
+    }
+
+    async broadcastSettlement(transfer) {
+        await this.broadcastRawTransaction(transfer);
+        return this.waitForSettlement(transfer);
+    }
+
+    async broadcastRawTransaction(transfer) {
+        const provider = this.chainService.getProvider(transfer.destinationChainId);
 
-            return receipt.hash;
+        try {
+            await provider.broadcastTransaction(transfer.destinationRawTx);
         } catch (error) {
-            console.error("Error while minting tokens:", error);
-            throw new Error("Error while minting tokens");
+            // The node may already know the transaction from a previous attempt
+            const message = (error.message || "").toLowerCase();
+            if (!message.includes("already known") && !message.includes("known transaction")) {
+                throw error;
+            }
         }
     }
+
+    async waitForSettlement(transfer) {
+        const provider = this.chainService.getProvider(transfer.destinationChainId);
+
+        let receipt;
+        try {
+            receipt = await provider.waitForTransaction(transfer.destinationTxHash, 1, config.SETTLEMENT_RECEIPT_TIMEOUT_MS);
+        } catch (error) {
+            if (error.code !== "TIMEOUT") {
+                throw error;
+            }
+
+            // The transfer keeps its signed transaction and is picked up again by resumeSettlement. The job worker
+            // defers it, a transaction waiting to be mined must not use up the attempts and leave the transfer without a job
+            const pending = new Error(`Destination transaction ${transfer.destinationTxHash} is not mined yet`);
+            pending.deferred = true;
+            throw pending;
+        }
+        return this.finalizeSettlement(transfer, receipt);
+    }
+
+    async resumeSettlement(transfer) {
+        const provider = this.chainService.getProvider(transfer.destinationChainId);
+
+        const receipt = await provider.getTransactionReceipt(transfer.destinationTxHash);
+        if (receipt) {
+            return this.finalizeSettlement(transfer, receipt);
+        }
+
+        // If the signer nonce moved past our transaction and it was still not mined,
+        // it can never be mined, so it is safe to sign a new one
+        const signedTx = ethers.Transaction.from(transfer.destinationRawTx);
+        const confirmedNonce = await provider.getTransactionCount(signedTx.from, "latest");
+        if (confirmedNonce > signedTx.nonce) {
+            const lateReceipt = await provider.getTransactionReceipt(transfer.destinationTxHash);
+            if (lateReceipt) {
+                return this.finalizeSettlement(transfer, lateReceipt);
+            }
+
+            return BridgeTransferModel.findOneAndUpdate(
+                { _id: transfer._id, status: "PROOF_VERIFIED", destinationTxHash: transfer.destinationTxHash },
+                { $unset: { destinationTxHash: "", destinationRawTx: "" } },
+                { new: true }
+            );
+        }
+
+        console.log(`Rebroadcasting destination transaction ${transfer.destinationTxHash}`);
+        return this.broadcastSettlement(transfer);
+    }
+
+    async finalizeSettlement(transfer, receipt) {
+        if (receipt.status !== 1) {
+            // A reverted transaction consumed its nonce without paying out, so a retry may sign a new one
+            await BridgeTransferModel.updateOne(
+                { _id: transfer._id, destinationTxHash: receipt.hash },
+                { $unset: { destinationTxHash: "", destinationRawTx: "" } }
+            );
+            throw new Error(`Destination transaction ${receipt.hash} reverted`);
+        }
+
+        const settledStatus = DIRECTION_STATUS[transfer.direction].settled;
+        console.log(`Tokens ${settledStatus.toLowerCase()} successfully. TX Hash:`, receipt.hash);
+        return this.transitionTransfer(transfer._id, settledStatus, { destinationTxHash: receipt.hash });
+    }
 }
-  
+
 module.exports = TransactionService;
@@ -0,0 +1,111 @@
+const EventEmitter = require("events");
+const config = require("../configuration/config");
+const BridgeTransferModel = require("../models/bridgeTransferModel");
+
+// Publishes every change of a bridge transfer to the open event streams. Change streams need a
+// replica set (Atlas always has one), a standalone MongoDB falls back to polling on updatedAt.
+class TransferEventService {
+    constructor() {
+        this.emitter = new EventEmitter();
+        this.emitter.setMaxListeners(0); // One listener per open stream
+        this.changeStream = null;
+        this.pollTimer = null;
+        this.lastPolledAt = null;
+        this.polledAtBoundary = new Set();
+    }
+
+    // Returns the function that removes the listener, the source stops with the last one
+    subscribe(listener) {
+        this.emitter.on("transfer", listener);
+        if (this.emitter.listenerCount("transfer") === 1) {
+            this.start();
+        }
+
+        return () => {
+            this.emitter.off("transfer", listener);
+            if (this.emitter.listenerCount("transfer") === 0) {
+                this.stop();
+            }
+        };
+    }
+
+    start() {
+        try {
+            this.changeStream = BridgeTransferModel.watch([], { fullDocument: "updateLookup" });
+        } catch (error) {
+            this.startPolling(error);
+            return;
+        }
+
+        this.changeStream.on("change", (change) => {
+            if (change.fullDocument) {
+                this.publish(BridgeTransferModel.hydrate(change.fullDocument));
+            }
+        });
+        this.changeStream.on("error", (error) => {
+            this.closeChangeStream();
+            if (this.emitter.listenerCount("transfer") > 0) {
+                this.startPolling(error);
+            }
+        });
+    }
+
+    stop() {
+        this.closeChangeStream();
+        clearTimeout(this.pollTimer);
+        this.pollTimer = null;
+    }
+
+    closeChangeStream() {
+        if (this.changeStream) {
+            const changeStream = this.changeStream;
+            this.changeStream = null;
+            changeStream.close().catch((error) => console.error("Error closing transfer change stream:", error));
+        }
+    }
+
+    startPolling(reason) {
+        console.warn(`Transfer change stream unavailable (${reason.message}), polling every ${config.TRANSFER_EVENTS_POLL_INTERVAL_MS} ms`);
+        this.lastPolledAt = new Date();
+        this.polledAtBoundary = new Set();
+        this.schedulePoll();
+    }
+
+    schedulePoll() {
+        this.pollTimer = setTimeout(async () => {
+            try {
+                await this.poll();
+            } catch (error) {
+                console.error("Error polling transfer changes:", error);
+            }
+
+            if (this.emitter.listenerCount("transfer") > 0) {
+                this.schedulePoll();
+            }
+        }, config.TRANSFER_EVENTS_POLL_INTERVAL_MS);
+    }
+
+    async poll() {
+        // $gte so updates in the same millisecond as the last poll are not missed,
+        // the ones already published at that boundary are skipped
+        const transfers = await BridgeTransferModel.find({ updatedAt: { $gte: this.lastPolledAt } }).sort({ updatedAt: 1 });
+
+        for (const transfer of transfers) {
+            const key = `${transfer._id}:${transfer.updatedAt.getTime()}`;
+            if (this.polledAtBoundary.has(key)) continue;
+
+            if (transfer.updatedAt.getTime() > this.lastPolledAt.getTime()) {
+                this.lastPolledAt = transfer.updatedAt;
+                this.polledAtBoundary = new Set();
+            }
+            this.polledAtBoundary.add(key);
+            this.publish(transfer);
+        }
+    }
+
+    publish(transfer) {
+        this.emitter.emit("transfer", transfer);
+    }
+}
+
+module.exports = TransferEventService;
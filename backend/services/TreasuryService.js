@@ -0,0 +1,239 @@
+const lockContractABI = require("../blockchain/ABI/LockTokenABI");
+const tokenContractABI = require("../blockchain/ABI/ZKPridgeCoinABI");
+const BridgeTransferModel = require("../models/bridgeTransferModel");
+const TreasuryWithdrawalModel = require("../models/treasuryWithdrawalModel");
+const ChainService = require("./ChainService");
+const SignerService = require("./SignerService");
+const { ethers } = require("ethers");
+const Joi = require("joi");
+
+// Statuses of a transfer whose fee has been collected
+const SETTLED_STATUS = ["MINTED", "RELEASED"];
+
+class TreasuryService {
+    constructor() {
+        this.chainService = new ChainService();
+        this.signerService = new SignerService();
+    }
+
+    // Fee in wei of a transfer of amount wei on the route
+    getFee(route, amount) {
+        return this.chainService.getFee(route, amount);
+    }
+
+    // Amount minted or released on the destination chain, the bridge fee stays in the lock contract
+    getReceivedAmount(transfer) {
+        return BigInt(transfer.amount) - BigInt(transfer.fee || "0");
+    }
+
+    // The fee stays in a lock contract: on the source chain of a lock, on the destination chain of a release
+    getFeeChainId(transfer) {
+        return transfer.direction === "BURN_RELEASE" ? transfer.destinationChainId : transfer.sourceChainId;
+    }
+
+    // Fees per chain with a lock contract: collected, still in flight, withdrawn and available for withdrawal
+    async getBalances() {
+        const [transfers, withdrawals] = await Promise.all([
+            BridgeTransferModel.find(
+                { fee: { $nin: [null, "0"] }, status: { $ne: "FAILED" } },
+                { fee: 1, status: 1, direction: 1, sourceChainId: 1, destinationChainId: 1 }
+            ).lean(),
+            TreasuryWithdrawalModel.find({ status: { $ne: "FAILED" } }, { chainId: 1, amount: 1, status: 1 }).lean(),
+        ]);
+
+        const chains = this.chainService.getChains().filter((chain) => chain.contracts.lock);
+        return Promise.all(chains.map(async (chain) => {
+            let collected = 0n;
+            let pending = 0n;
+            for (const transfer of transfers.filter((item) => this.getFeeChainId(item) === chain.chainId)) {
+                if (SETTLED_STATUS.includes(transfer.status)) {
+                    collected += BigInt(transfer.fee);
+                } else {
+                    pending += BigInt(transfer.fee);
+                }
+            }
+
+            // Pending withdrawals are reserved until they complete or fail
+            let withdrawn = 0n;
+            let reserved = 0n;
+            for (const withdrawal of withdrawals.filter((item) => item.chainId === chain.chainId)) {
+                if (withdrawal.status === "COMPLETED") {
+                    withdrawn += BigInt(withdrawal.amount);
+                } else {
+                    reserved += BigInt(withdrawal.amount);
+                }
+            }
+
+            const available = collected - withdrawn - reserved;
+            return {
+                chainId: chain.chainId,
+                token: chain.contracts.token,
+                lockContract: chain.contracts.lock,
+                collected: collected.toString(),
+                pending: pending.toString(),
+                withdrawn: withdrawn.toString(),
+                reserved: reserved.toString(),
+                available: available.toString(),
+                formattedCollected: ethers.formatUnits(collected, 18),
+                formattedPending: ethers.formatUnits(pending, 18),
+                formattedWithdrawn: ethers.formatUnits(withdrawn, 18),
+                formattedReserved: ethers.formatUnits(reserved, 18),
+                formattedAvailable: ethers.formatUnits(available, 18),
+                lockedBalance: (await this.getLockedBalance(chain)).toString(),
+            };
+        }));
+    }
+
+    // Tokens held by the lock contract: locked transfers plus fees not withdrawn yet
+    async getLockedBalance(chain) {
+        const provider = this.chainService.getProvider(chain.chainId);
+        const tokenContract = new ethers.Contract(chain.contracts.token, tokenContractABI, provider);
+        return tokenContract.balanceOf(chain.contracts.lock);
+    }
+
+    async getWithdrawals() {
+        const withdrawals = await TreasuryWithdrawalModel.find().sort({ createdAt: -1 });
+        return withdrawals.map((withdrawal) => this.formatWithdrawal(withdrawal));
+    }
+
+    // Sends collected fees from a lock contract to the given address
+    async withdraw(withdrawParams, user) {
+        // Validate the input
+        const { error, value } = this.validateWithdrawInput(withdrawParams);
+        if (error) {
+            throw new Error(error.details[0].message);
+        }
+
+        // Withdrawals sent earlier and mined since no longer hold a reservation
+        await this.resolvePendingWithdrawals();
+
+        const chain = this.chainService.getChain(value.chainId);
+        if (!chain.contracts.lock) {
+            throw new Error(`Chain ${chain.chainId} has no lock contract, no fees are collected there`);
+        }
+        const amount = ethers.parseUnits(value.amount, 18);
+        if (amount === 0n) {
+            throw new Error("amount must be greater than zero");
+        }
+
+        // Step 1: Reserve the amount first, so a concurrent withdrawal sees it and cannot overdraw
+        const withdrawal = await TreasuryWithdrawalModel.create({
+            chainId: chain.chainId,
+            amount: amount.toString(),
+            to: ethers.getAddress(value.to),
+            requestedBy: user.id,
+        });
+
+        const balance = (await this.getBalances()).find((item) => item.chainId === chain.chainId);
+        if (BigInt(balance.available) < 0n) {
+            await this.failWithdrawal(withdrawal, "Amount exceeds the available fees");
+            throw new Error(`Amount exceeds the available fees of ${ethers.formatUnits(BigInt(balance.available) + amount, 18)} on chain ${chain.chainId}`);
+        }
+
+        // Step 2: The relayer key owns the lock contract
+        let tx = null;
+        try {
+            const signer = await this.signerService.getSigner("relayer", chain.chainId);
+            const lockContract = new ethers.Contract(chain.contracts.lock, lockContractABI, signer);
+
+            tx = await lockContract.withdrawFees(withdrawal.to, amount);
+            await TreasuryWithdrawalModel.updateOne({ _id: withdrawal._id }, { txHash: tx.hash, from: tx.from, nonce: tx.nonce });
+            const receipt = await tx.wait();
+
+            console.log(`Withdrew ${value.amount} fee tokens on chain ${chain.chainId} to ${withdrawal.to}. TX Hash:`, receipt.hash);
+            return this.formatWithdrawal(await this.settleWithdrawal(withdrawal, receipt));
+        } catch (error) {
+            // A reverted transaction paid nothing out
+            if (error.receipt) {
+                await this.settleWithdrawal(withdrawal, error.receipt);
+                throw new Error(`Error while withdrawing fees: transaction ${error.receipt.hash} reverted`);
+            }
+
+            // Once broadcast the transaction may still be mined, the amount stays reserved until its receipt is read
+            if (tx) {
+                console.error(`Fee withdrawal ${tx.hash} stays pending:`, error);
+                throw new Error(`Fee withdrawal ${tx.hash} was sent but is not confirmed yet, it stays pending: ${error.message}`);
+            }
+
+            console.error("Error while withdrawing fees:", error);
+            await this.failWithdrawal(withdrawal, error.message);
+            throw new Error(`Error while withdrawing fees: ${error.message}`);
+        }
+    }
+
+    // Completes or fails the withdrawals sent earlier whose transaction was mined or dropped since,
+    // like a settlement resumed from its destination transaction
+    async resolvePendingWithdrawals() {
+        const withdrawals = await TreasuryWithdrawalModel.find({ status: "PENDING", txHash: { $exists: true } });
+        for (const withdrawal of withdrawals) {
+            const provider = this.chainService.getProvider(withdrawal.chainId);
+
+            const receipt = await provider.getTransactionReceipt(withdrawal.txHash);
+            if (receipt) {
+                await this.settleWithdrawal(withdrawal, receipt);
+                continue;
+            }
+
+            // The nonce moved past the transaction and it was still not mined, so it can never be mined
+            if (withdrawal.from && withdrawal.nonce !== undefined) {
+                const confirmedNonce = await provider.getTransactionCount(withdrawal.from, "latest");
+                if (confirmedNonce > withdrawal.nonce) {
+                    const lateReceipt = await provider.getTransactionReceipt(withdrawal.txHash);
+                    if (lateReceipt) {
+                        await this.settleWithdrawal(withdrawal, lateReceipt);
+                    } else {
+                        await this.failWithdrawal(withdrawal, `Transaction ${withdrawal.txHash} was dropped`);
+                    }
+                }
+            }
+        }
+    }
+
+    // Completes the withdrawal if its transaction succeeded and fails it otherwise
+    async settleWithdrawal(withdrawal, receipt) {
+        if (receipt.status !== 1) {
+            await this.failWithdrawal(withdrawal, `Transaction ${receipt.hash} reverted`);
+            return TreasuryWithdrawalModel.findById(withdrawal._id);
+        }
+        return TreasuryWithdrawalModel.findOneAndUpdate(
+            { _id: withdrawal._id, status: "PENDING" },
+            { status: "COMPLETED", txHash: receipt.hash, completedAt: new Date() },
+            { new: true }
+        );
+    }
+
+    validateWithdrawInput(withdrawParams) {
+        const schema = Joi.object({
+            chainId: Joi.number().integer().positive().required(),
+            amount: Joi.string().pattern(/^\d+(\.\d{1,18})?$/).required()
+                .messages({ "string.pattern.base": "amount must be a positive decimal with at most 18 decimals" }),
+            to: Joi.string().custom((address, helpers) => (
+                ethers.isAddress(address) ? address : helpers.message("to must be a valid address")
+            )).required(),
+        });
+
+        return schema.validate(withdrawParams);
+    }
+
+    async failWithdrawal(withdrawal, message) {
+        await TreasuryWithdrawalModel.updateOne({ _id: withdrawal._id, status: "PENDING" }, { status: "FAILED", error: message });
+    }
+
+    formatWithdrawal(withdrawal) {
+        return {
+            id: withdrawal._id,
+            chainId: withdrawal.chainId,
+            amount: withdrawal.amount,
+            formattedAmount: ethers.formatUnits(withdrawal.amount, 18),
+            to: withdrawal.to,
+            requestedBy: withdrawal.requestedBy,
+            status: withdrawal.status,
+            txHash: withdrawal.txHash,
+            error: withdrawal.error,
+            createdAt: withdrawal.createdAt,
+            completedAt: withdrawal.completedAt,
+        };
+    }
+}
+
+module.exports = TreasuryService;
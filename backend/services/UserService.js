@@ -1,8 +1,11 @@
 const config = require("../configuration/config");
 const bcrypt = require("bcryptjs");
 const UserModel = require("../models/userModel"); // Assuming you have a User model
+const AuthService = require("./AuthService");
 const Joi = require("joi");
 
+const authService = new AuthService();
+
 class UserService {
     async userRegistrartion(userData) {
         try {
@@ -78,9 +81,19 @@ class UserService {
                 throw new Error("Invalid password");
             }
 
+            // Issue the access and refresh tokens for a new session
+            const tokens = await authService.createSession(user);
+
             return {
                 loginStatus: true,
-                Message: "User logged in successfully"
+                Message: "User logged in successfully",
+                accessToken: tokens.accessToken,
+                refreshToken: tokens.refreshToken,
+                user: {
+                    id: user._id,
+                    email: user.email,
+                    name: user.name
+                }
             };
         } catch (error) {
             console.error("Error in user login:", error);
@@ -96,6 +109,42 @@ class UserService {
 
         return schema.validate(userData);
     }
+
+    async refreshToken(tokenData) {
+        // Validate user input
+        const { error } = this.validateRefreshInput(tokenData);
+        if (error) {
+            throw new Error(error.details[0].message);
+        }
+
+        const tokens = await authService.refreshSession(tokenData.refreshToken);
+        return {
+            Message: "Token refreshed successfully",
+            accessToken: tokens.accessToken,
+            refreshToken: tokens.refreshToken
+        };
+    }
+
+    async userLogout(tokenData) {
+        // Validate user input
+        const { error } = this.validateRefreshInput(tokenData);
+        if (error) {
+            throw new Error(error.details[0].message);
+        }
+
+        await authService.revokeSession(tokenData.refreshToken);
+        return {
+            Message: "User logged out successfully"
+        };
+    }
+
+    validateRefreshInput(tokenData) {
+        const schema = Joi.object({
+            refreshToken: Joi.string().required(),
+        });
+
+        return schema.validate(tokenData);
+    }
 }
   
 module.exports = UserService;
@@ -0,0 +1,127 @@
+const config = require("../configuration/validatorConfig");
+const ChainService = require("./ChainService");
+const SourceEventService = require("./SourceEventService");
+const { loadSigner } = require("./signers/loadSigner");
+const { ethers } = require("ethers");
+
+// A validator signs the mint of a lock only after reading the lock from the source chain itself,
+// the backend only tells it which locks to look at. Each validator runs with its own signer and RPC URLs,
+// the configured validator signer unless one is given. It loads its own configuration, not the backend's
+class ValidatorService {
+    constructor(signer = null) {
+        this.signer = signer;
+        this.chainService = new ChainService(config.CHAIN_REGISTRY);
+        this.sourceEventService = new SourceEventService(this.chainService);
+        this.running = false;
+        this.timer = null;
+        this.currentTick = null;
+    }
+
+    start() {
+        if (this.running) return;
+        this.running = true;
+        console.log(`Validator started, attesting locks from ${config.VALIDATOR_API_URL}`);
+        this.scheduleTick(0);
+    }
+
+    async stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+
+        // Let the tick in progress finish so a signature is not left unsubmitted
+        if (this.currentTick) {
+            await this.currentTick;
+        }
+        console.log("Validator stopped");
+    }
+
+    scheduleTick(delay) {
+        this.timer = setTimeout(async () => {
+            this.currentTick = this.tick()
+                .catch((error) => console.error("Error in validator tick:", error));
+            await this.currentTick;
+            this.currentTick = null;
+
+            if (this.running) {
+                this.scheduleTick(config.VALIDATOR_POLL_INTERVAL_MS);
+            }
+        }, delay);
+    }
+
+    async getSigner() {
+        if (!this.signer) {
+            this.signer = await loadSigner("validator", config);
+        }
+        return this.signer;
+    }
+
+    async tick() {
+        const address = await (await this.getSigner()).getAddress();
+        const { transfers } = await this.request("GET", "/attestations/pending");
+
+        for (const transfer of transfers) {
+            if (!this.running) break;
+            if (transfer.attestedBy.includes(address)) continue;
+
+            // A lock that cannot be verified yet must not hold up the others
+            try {
+                const signature = await this.attest(transfer);
+                await this.request("POST", "/attestations", { transferId: transfer.id, signature: signature });
+            } catch (error) {
+                console.error(`Error attesting transfer ${transfer.id}:`, error.message);
+            }
+        }
+    }
+
+    // Signs the mint of a pending transfer, after checking every field of it against the source chain
+    async attest(transfer) {
+        const route = this.chainService.getRoute(transfer.sourceChainId, transfer.destinationChainId);
+        if (route.direction !== "LOCK_MINT") {
+            throw new Error(`Transfer ${transfer.id} is not a lock, only mints are attested`);
+        }
+
+        // Step 1: The lock must be in a confirmed transaction of the lock contract
+        const sourceEvents = await this.sourceEventService.readSourceEvents(transfer.sourceTxHash, route);
+        const sourceEvent = sourceEvents.find(({ logIndex }) => logIndex === transfer.logIndex);
+        if (!sourceEvent) {
+            throw new Error(`Transaction ${transfer.sourceTxHash} has no lock at log index ${transfer.logIndex}`);
+        }
+
+        // Step 2: Lock id, recipient and amount are derived from the event, never taken from the backend
+        const lockId = this.sourceEventService.getSourceNonce(route.sourceChainId, sourceEvent.transactionHash, sourceEvent.logIndex);
+        if (!ethers.isAddress(sourceEvent.destinationAddress)) {
+            throw new Error(`Lock ${lockId} has no valid recipient address`);
+        }
+        const to = ethers.getAddress(sourceEvent.destinationAddress);
+        const amount = BigInt(sourceEvent.amount) - this.chainService.getFee(route, BigInt(sourceEvent.amount));
+        if (amount <= 0n) {
+            throw new Error(`Lock ${lockId} does not cover its bridge fee`);
+        }
+
+        if (lockId !== transfer.sourceNonce || to !== transfer.destinationAddress || amount.toString() !== transfer.receivedAmount) {
+            throw new Error(`Transfer ${transfer.id} does not match lock ${lockId} on chain ${route.sourceChainId}`);
+        }
+
+        // Step 3: Sign the EIP-712 attestation the mint contract verifies
+        const { domain, types, value } = this.chainService.getAttestationTypedData(
+            this.chainService.getChain(route.destinationChainId), to, amount, lockId
+        );
+        return (await this.getSigner()).signTypedData(domain, types, value);
+    }
+
+    async request(method, path, body) {
+        const response = await fetch(`${config.VALIDATOR_API_URL}${path}`, {
+            method: method,
+            headers: { "Content-Type": "application/json" },
+            body: body ? JSON.stringify(body) : undefined,
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || `${method} ${path} failed with ${response.status}`);
+        }
+        return data;
+    }
+}
+
+module.exports = ValidatorService;
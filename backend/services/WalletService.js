@@ -1,38 +1,211 @@
 const WalletModel = require("../models/walletModel");
+const WalletNonceModel = require("../models/walletNonceModel");
+const ChainService = require("./ChainService");
+const SignerService = require("./SignerService");
 const config = require("../configuration/config");
-const { Wallet, JsonRpcProvider, formatEther} = require("ethers");
+const { Wallet, formatEther, getAddress, isAddress, verifyMessage } = require("ethers");
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+const Joi = require("joi");
 
 class WalletService {
-    async createWallet(walletParams,res) {
+    constructor() {
+        this.chainService = new ChainService();
+        this.signerService = new SignerService();
+    }
+
+    async createWallet(walletParams, user) {
         // Generate a new Ethereum wallet
         const wallet = Wallet.createRandom();
+
+        // Only the encrypted keystore is stored, the private key and mnemonic never reach the database in plaintext
+        const keystore = await wallet.encrypt(config.WALLET_KEYSTORE_PASSWORD);
         const data = new WalletModel({
+            user: user.id,
+            type: "custodial",
             address: wallet.address,
-            privateKey: wallet.privateKey,
+            keystore: keystore,
             publicKey: wallet.publicKey,
-            mnemonic: wallet.mnemonic,
-            chainCode: wallet.chainCode,
             path: wallet.path,
             index: wallet.index,
-            depth: wallet.depth,
-            network: wallet.network || "Ethereum Mainnet",
-            wallet: wallet
+            depth: wallet.depth
         });
         
         const walletData = await data.save();
 
         return {
             message: "Wallet created successfully", 
-            wallet: walletData
+            wallet: walletData.toJSON()
+        };
+    }
+
+    async listWallets(user) {
+        const wallets = await WalletModel.find({ user: user.id }).sort({ createdAt: -1 });
+        return wallets.map((wallet) => wallet.toJSON());
+    }
+
+    // Wallets of other users are reported as missing, so their ids cannot be probed
+    async getUserWallet(walletID, user) {
+        if (!mongoose.isValidObjectId(walletID)) {
+            throw new Error("Wallet not found");
+        }
+
+        const walletData = await WalletModel.findOne({ _id: walletID, user: user.id });
+        if (!walletData) {
+            throw new Error("Wallet not found");
+        }
+        return walletData;
+    }
+
+    async getUserAddresses(user) {
+        return WalletModel.distinct("address", { user: user.id });
+    }
+
+    // Decrypts the keystore of one of the caller's wallets, the key only lives in memory for the signer
+    async getSigner(walletID, user, provider) {
+        const walletData = await this.getUserWallet(walletID, user);
+        if (walletData.type !== "custodial") {
+            throw new Error("External wallets sign their own transactions");
+        }
+
+        // Connected wallets get managed nonces, a user can start several transfers at once
+        const signer = await Wallet.fromEncryptedJson(walletData.keystore, config.WALLET_KEYSTORE_PASSWORD);
+        return provider ? this.signerService.manage(signer.connect(provider)) : signer;
+    }
+
+    async createSiweNonce(walletParams, user) {
+        // Validate wallet input
+        const { error, value } = this.validateNonceInput(walletParams);
+        if (error) {
+            throw new Error(error.details[0].message);
+        }
+
+        const address = getAddress(value.address);
+        const nonce = crypto.randomBytes(16).toString("hex");
+        const issuedAt = new Date();
+        const expiresAt = new Date(issuedAt.getTime() + config.SIWE_NONCE_TTL_MS);
+        const message = this.buildSiweMessage({
+            address: address,
+            chainId: value.chainId,
+            nonce: nonce,
+            issuedAt: issuedAt,
+            expiresAt: expiresAt,
+        });
+
+        await WalletNonceModel.create({
+            user: user.id,
+            address: address,
+            nonce: nonce,
+            message: message,
+            expiresAt: expiresAt,
+        });
+
+        return { nonce, message, expiresAt };
+    }
+
+    buildSiweMessage({ address, chainId, nonce, issuedAt, expiresAt }) {
+        // EIP-4361 message layout, the wallet shows it to the user before signing
+        return [
+            `${config.SIWE_DOMAIN} wants you to sign in with your Ethereum account:`,
+            address,
+            "",
+            "Link this wallet to your ZKPridge account.",
+            "",
+            `URI: ${config.SIWE_URI}`,
+            "Version: 1",
+            `Chain ID: ${chainId}`,
+            `Nonce: ${nonce}`,
+            `Issued At: ${issuedAt.toISOString()}`,
+            `Expiration Time: ${expiresAt.toISOString()}`,
+        ].join("\n");
+    }
+
+    async registerExternalWallet(walletParams, user) {
+        // Validate wallet input
+        const { error, value } = this.validateRegisterExternalInput(walletParams);
+        if (error) {
+            throw new Error(error.details[0].message);
+        }
+
+        // Step 1: Consume the challenge, a nonce can only be used once
+        const challenge = await WalletNonceModel.findOneAndUpdate(
+            { nonce: value.nonce, user: user.id, usedAt: { $exists: false }, expiresAt: { $gt: new Date() } },
+            { usedAt: new Date() },
+            { new: true }
+        );
+        if (!challenge) {
+            throw new Error("Invalid or expired nonce");
+        }
+
+        // Step 2: The signature must recover to the address in the challenge
+        let signerAddress;
+        try {
+            signerAddress = verifyMessage(challenge.message, value.signature);
+        } catch (verifyError) {
+            throw new Error("Invalid signature");
+        }
+        if (signerAddress !== challenge.address) {
+            throw new Error("Signature does not match the wallet address");
+        }
+
+        // Step 3: Link the address, an address belongs to a single account
+        const existingWallet = await WalletModel.findOne({ address: challenge.address });
+        if (existingWallet) {
+            // Wallets from before they belonged to a user are assigned by an admin, see migrate:wallet-owners
+            if (!existingWallet.user) {
+                throw new Error("Wallet has no owner yet, an admin has to assign it");
+            }
+            if (existingWallet.user.toString() !== user.id.toString()) {
+                throw new Error("Wallet is already linked to another account");
+            }
+            return {
+                message: "Wallet already linked",
+                wallet: existingWallet.toJSON()
+            };
+        }
+
+        const walletData = await WalletModel.create({
+            user: user.id,
+            type: "external",
+            address: challenge.address
+        });
+
+        return {
+            message: "Wallet linked successfully",
+            wallet: walletData.toJSON()
         };
     }
 
-    async connectSepolia(walletParams,res) {
-        // connecting to Sepolia Testnet
-        const walletData = await WalletModel.findById(walletParams.walletID);
+    validateNonceInput(walletParams) {
+        const schema = Joi.object({
+            address: Joi.string().required().custom((address, helpers) => (
+                isAddress(address) ? address : helpers.message("address must be a valid address")
+            )),
+            chainId: Joi.number().integer().positive().default(this.chainService.getRoute().sourceChainId)
+                .custom((chainId, helpers) => (
+                    this.chainService.findChain(chainId) ? chainId : helpers.message("chainId must be a supported chain")
+                )),
+        });
+
+        return schema.validate(walletParams);
+    }
+
+    validateRegisterExternalInput(walletParams) {
+        const schema = Joi.object({
+            nonce: Joi.string().required(),
+            signature: Joi.string().required(),
+        });
+
+        return schema.validate(walletParams);
+    }
+
+    async connectSepolia(walletParams, user) {
+        // connecting to the requested chain, the source chain of the default route if none is given
+        const walletData = await this.getUserWallet(walletParams.walletID, user);
+        const chainId = walletParams.chainId || this.chainService.getRoute().sourceChainId;
         
         // Configure the provider
-        const provider = new JsonRpcProvider(config.SEPOLIA_RPC); 
+        const provider = this.chainService.getProvider(chainId); 
 
         // Get the balance in Wei (smallest denomination of ETH)
         const balanceWei = await provider.getBalance(walletData.address);
@@ -41,18 +214,24 @@ class WalletService {
         const balanceEth = formatEther(balanceWei);
 
         console.log(balanceEth);
+
+        return {
+            address: walletData.address,
+            chainId: Number(chainId),
+            balance: balanceEth
+        };
     }
 
     async sendTokens(req, res) {
         try {
-            const { senderPrivateKey, recipient } = req.body;
+            const { walletID, recipient, chainId } = req.body;
     
-            if (!senderPrivateKey || !recipient) {
+            if (!walletID || !recipient) {
                 return res.status(400).json({ error: "Missing required parameters" });
             }
     
-            const provider = new JsonRpcProvider(config.SEPOLIA_RPC);
-            const senderWallet = new Wallet(senderPrivateKey, provider);
+            const provider = this.chainService.getProvider(chainId || this.chainService.getRoute().sourceChainId);
+            const senderWallet = await this.getSigner(walletID, req.user, provider);
     
             // Fetch fee data
             const feeData = await provider.getFeeData();
@@ -65,7 +244,7 @@ class WalletService {
             console.log(gasCost.toString());
 
             // Check sender's balance
-            const balance = await provider.getBalance(senderWallet.address);
+            const balance = await provider.getBalance(await senderWallet.getAddress());
             console.log("Sender Balance:", balance.toString());
     
             if (balance <= gasCost) {
@@ -0,0 +1,284 @@
+const { ethers } = require("ethers");
+
+// JSON-RPC errors some providers return with HTTP 200 when a call is rate limited
+const RATE_LIMIT_CODES = [-32005, 429];
+const RATE_LIMIT_MESSAGE = /rate limit|too many requests|exceeded .*capacity/i;
+
+// Replies to a transaction rebroadcast on another endpoint after the first attempt may have reached the network
+const KNOWN_TRANSACTION_MESSAGE = /already known|known transaction|already imported/i;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Error of an endpoint that did not answer the call, the call moves on to the next endpoint
+class EndpointError extends Error {
+    constructor(message, rateLimited = false) {
+        super(message);
+        this.rateLimited = rateLimited;
+    }
+}
+
+// JSON-RPC provider over every backend RPC endpoint of a chain. Calls go to a healthy endpoint picked by weight
+// and fail over to the others on timeouts, failed responses and rate limits. Connections are kept alive by fetch.
+// JSON-RPC errors like reverts are answers, they are returned to the caller as they are
+class FailoverRpcProvider extends ethers.JsonRpcApiProvider {
+    constructor(chain) {
+        super(chain.chainId, { staticNetwork: true });
+        this.chainId = chain.chainId;
+        this.rpcOptions = chain.rpc;
+        this.requestId = 0;
+        this.endpoints = chain.rpcUrls.map(({ url, weight }, index) => ({
+            index: index,
+            url: url,
+            // RPC URLs often carry an API key in their path, only the host is ever shown
+            host: new URL(url).host,
+            weight: weight,
+            downUntil: 0,
+            blockNumber: null,
+            lastError: null,
+            lastErrorAt: null,
+            lastCheckedAt: null,
+            requests: 0,
+            failures: 0,
+            rateLimited: 0,
+            totalLatencyMs: 0,
+            methods: {},
+        }));
+
+        this.healthCheckTimer = null;
+        if (this.rpcOptions.healthCheckIntervalMs > 0) {
+            this.scheduleHealthCheck(0);
+        }
+    }
+
+    destroy() {
+        clearTimeout(this.healthCheckTimer);
+        this.healthCheckTimer = null;
+        super.destroy();
+    }
+
+    // Healthy endpoints first, the first one drawn by weight and the others by descending weight,
+    // then the endpoints in cooldown, soonest back first, so a call is still tried when all of them are down
+    orderEndpoints() {
+        const now = Date.now();
+        const healthy = this.endpoints.filter((endpoint) => endpoint.downUntil <= now)
+            .sort((a, b) => b.weight - a.weight);
+        const down = this.endpoints.filter((endpoint) => endpoint.downUntil > now)
+            .sort((a, b) => a.downUntil - b.downUntil);
+
+        let draw = Math.random() * healthy.reduce((total, endpoint) => total + endpoint.weight, 0);
+        const first = healthy.findIndex((endpoint) => (draw -= endpoint.weight) < 0);
+        if (first > 0) {
+            healthy.unshift(...healthy.splice(first, 1));
+        }
+        return [...healthy, ...down];
+    }
+
+    // Provider whose calls all go to one endpoint, picked like the first endpoint of any call. For reads that have to
+    // agree with each other: the head of one node and the logs of another lagging behind it would skip events.
+    // Calls are counted in the metrics of this provider, a failed call is not moved to another endpoint
+    pinEndpoint() {
+        return new PinnedRpcProvider(this, this.orderEndpoints()[0]);
+    }
+
+    async _send(payload) {
+        const requests = Array.isArray(payload) ? payload : [payload];
+        const endpoints = this.orderEndpoints();
+
+        let lastError = null;
+        for (let attempt = 0; attempt <= this.rpcOptions.retries; attempt++) {
+            const endpoint = endpoints[attempt % endpoints.length];
+
+            // Every endpoint was tried once, give them time before going around again
+            if (attempt >= endpoints.length) {
+                const round = Math.floor(attempt / endpoints.length);
+                await sleep(Math.min(this.rpcOptions.backoffMs * 2 ** (round - 1), this.rpcOptions.maxBackoffMs));
+            }
+
+            try {
+                const results = await this.sendToEndpoint(endpoint, requests);
+                return attempt > 0 ? this.acceptKnownTransactions(requests, results) : results;
+            } catch (error) {
+                if (!(error instanceof EndpointError)) {
+                    throw error;
+                }
+                lastError = error;
+                if (this.endpoints.length > 1) {
+                    console.warn(`RPC endpoint ${endpoint.host} of chain ${this.chainId} failed, trying the next one: ${error.message}`);
+                }
+            }
+        }
+
+        throw new Error(`Every RPC endpoint of chain ${this.chainId} failed, last error: ${lastError.message}`);
+    }
+
+    async sendToEndpoint(endpoint, requests) {
+        const startedAt = Date.now();
+        endpoint.requests++;
+
+        try {
+            let response;
+            try {
+                response = await fetch(endpoint.url, {
+                    method: "POST",
+                    headers: { "Content-Type": "application/json" },
+                    body: JSON.stringify(requests.length === 1 ? requests[0] : requests),
+                    signal: AbortSignal.timeout(this.rpcOptions.timeoutMs),
+                });
+            } catch (error) {
+                if (error.name === "TimeoutError") {
+                    throw new EndpointError(`timed out after ${this.rpcOptions.timeoutMs} ms`);
+                }
+                throw new EndpointError(error.cause && error.cause.code ? `${error.message} (${error.cause.code})` : error.message);
+            }
+
+            // Busy, rate limited or misconfigured, the next endpoint may do better
+            if (!response.ok) {
+                throw new EndpointError(`HTTP ${response.status}`, response.status === 429);
+            }
+
+            let body;
+            try {
+                body = await response.json();
+            } catch (error) {
+                throw new EndpointError(`invalid JSON-RPC response: ${error.message}`);
+            }
+
+            const results = Array.isArray(body) ? body : [body];
+            const rateLimit = results.find(({ error }) => error && (RATE_LIMIT_CODES.includes(error.code) || RATE_LIMIT_MESSAGE.test(error.message)));
+            if (rateLimit) {
+                throw new EndpointError(rateLimit.error.message, true);
+            }
+
+            // Which endpoint served which call
+            endpoint.totalLatencyMs += Date.now() - startedAt;
+            for (const { method } of requests) {
+                endpoint.methods[method] = (endpoint.methods[method] || 0) + 1;
+            }
+            return results;
+        } catch (error) {
+            if (error instanceof EndpointError) {
+                this.markDown(endpoint, error);
+            }
+            throw error;
+        }
+    }
+
+    // A transaction sent again after a failed attempt may have been broadcast by that attempt already
+    acceptKnownTransactions(requests, results) {
+        return results.map((result) => {
+            const request = requests.find(({ id }) => id === result.id);
+            if (request && request.method === "eth_sendRawTransaction" && result.error && KNOWN_TRANSACTION_MESSAGE.test(result.error.message)) {
+                return { jsonrpc: "2.0", id: result.id, result: ethers.keccak256(request.params[0]) };
+            }
+            return result;
+        });
+    }
+
+    markDown(endpoint, error) {
+        endpoint.failures++;
+        if (error.rateLimited) {
+            endpoint.rateLimited++;
+        }
+        endpoint.lastError = error.message;
+        endpoint.lastErrorAt = new Date();
+        endpoint.downUntil = Date.now() + this.rpcOptions.cooldownMs;
+    }
+
+    scheduleHealthCheck(delay) {
+        this.healthCheckTimer = setTimeout(async () => {
+            await this.checkHealth().catch((error) => console.error(`Error in RPC health check of chain ${this.chainId}:`, error));
+            if (this.healthCheckTimer) {
+                this.scheduleHealthCheck(this.rpcOptions.healthCheckIntervalMs);
+            }
+        }, delay);
+
+        // Health checks never keep a process alive
+        this.healthCheckTimer.unref();
+    }
+
+    // Asks every endpoint for its latest block. Endpoints that do not answer, or lag behind the best one,
+    // are left out until the next check. Endpoints that answer and keep up are used again at once
+    async checkHealth() {
+        const checks = await Promise.all(this.endpoints.map(async (endpoint) => {
+            try {
+                const [{ result, error }] = await this.sendToEndpoint(endpoint, [
+                    { jsonrpc: "2.0", id: `health-${++this.requestId}`, method: "eth_blockNumber", params: [] },
+                ]);
+                if (error) {
+                    this.markDown(endpoint, new EndpointError(error.message));
+                    return false;
+                }
+                endpoint.blockNumber = Number(result);
+                return true;
+            } catch (error) {
+                return false;
+            } finally {
+                endpoint.lastCheckedAt = new Date();
+            }
+        }));
+
+        const bestBlock = Math.max(...this.endpoints.map(({ blockNumber }) => blockNumber || 0));
+        this.endpoints.forEach((endpoint, index) => {
+            if (!checks[index]) {
+                return;
+            }
+            if (bestBlock - endpoint.blockNumber > this.rpcOptions.maxBlockLag) {
+                // It answers, so it is not counted as a failure, but its state would be stale
+                endpoint.lastError = `${bestBlock - endpoint.blockNumber} blocks behind`;
+                endpoint.lastErrorAt = new Date();
+                endpoint.downUntil = Date.now() + this.rpcOptions.cooldownMs;
+            } else if (endpoint.downUntil > Date.now()) {
+                console.log(`RPC endpoint ${endpoint.host} of chain ${this.chainId} is back`);
+                endpoint.downUntil = 0;
+            }
+        });
+    }
+
+    getMetrics() {
+        const now = Date.now();
+        return {
+            chainId: this.chainId,
+            endpoints: this.endpoints.map((endpoint) => {
+                const served = endpoint.requests - endpoint.failures;
+                return {
+                    index: endpoint.index,
+                    host: endpoint.host,
+                    weight: endpoint.weight,
+                    healthy: endpoint.downUntil <= now,
+                    downUntil: endpoint.downUntil > now ? new Date(endpoint.downUntil) : null,
+                    blockNumber: endpoint.blockNumber,
+                    requests: endpoint.requests,
+                    failures: endpoint.failures,
+                    rateLimited: endpoint.rateLimited,
+                    averageLatencyMs: served > 0 ? Math.round(endpoint.totalLatencyMs / served) : null,
+                    methods: { ...endpoint.methods },
+                    lastError: endpoint.lastError,
+                    lastErrorAt: endpoint.lastErrorAt,
+                    lastCheckedAt: endpoint.lastCheckedAt,
+                };
+            }),
+        };
+    }
+}
+
+// Provider over a single endpoint of a FailoverRpcProvider, see pinEndpoint
+class PinnedRpcProvider extends ethers.JsonRpcApiProvider {
+    constructor(failoverProvider, endpoint) {
+        super(failoverProvider.chainId, { staticNetwork: true });
+        this.failoverProvider = failoverProvider;
+        this.endpoint = endpoint;
+    }
+
+    async _send(payload) {
+        try {
+            return await this.failoverProvider.sendToEndpoint(this.endpoint, Array.isArray(payload) ? payload : [payload]);
+        } catch (error) {
+            if (!(error instanceof EndpointError)) {
+                throw error;
+            }
+            throw new Error(`RPC endpoint ${this.endpoint.host} of chain ${this.failoverProvider.chainId} failed: ${error.message}`);
+        }
+    }
+}
+
+module.exports = FailoverRpcProvider;
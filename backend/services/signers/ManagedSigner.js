@@ -0,0 +1,133 @@
+const config = require("../../configuration/config");
+const SignerNonceModel = require("../../models/signerNonceModel");
+const { ethers } = require("ethers");
+const crypto = require("crypto");
+const os = require("os");
+
+// How often a process waiting for the lease of an account checks again
+const LEASE_RETRY_MS = 100;
+
+// Tail of the queue of each account in this process, keyed by chain id and address
+const queues = new Map();
+
+// Wraps a signer connected to a chain so every transaction of its account gets its own nonce, however many
+// requests and processes send for it at once. Transactions are signed and broadcast one at a time per account:
+// calls within a process queue up, other processes wait for the lease of the account in the database
+class ManagedSigner extends ethers.AbstractSigner {
+    constructor(signer) {
+        super(signer.provider);
+        if (!signer.provider) {
+            throw new Error("Managed signer needs a signer connected to a provider");
+        }
+        this.signer = signer;
+    }
+
+    async getAddress() {
+        return this.signer.getAddress();
+    }
+
+    connect(provider) {
+        return new ManagedSigner(this.signer.connect(provider));
+    }
+
+    async signTransaction(tx) {
+        return this.signer.signTransaction(tx);
+    }
+
+    async signMessage(message) {
+        return this.signer.signMessage(message);
+    }
+
+    async signTypedData(domain, types, value) {
+        return this.signer.signTypedData(domain, types, value);
+    }
+
+    async sendTransaction(tx) {
+        return this.withNonce(async (nonce) => {
+            const signedTx = await this.signTransaction(await this.populateTransaction({ ...tx, nonce: nonce }));
+            return this.provider.broadcastTransaction(signedTx);
+        });
+    }
+
+    // Runs fn with the next nonce of the account, while no other caller can sign for it. fn returns what it
+    // broadcast, or nothing when it did not send after all, in which case the nonce is handed out again
+    async withNonce(fn) {
+        const address = await this.getAddress();
+        const chainId = Number((await this.provider.getNetwork()).chainId);
+        const key = `${chainId}:${address}`;
+
+        const previous = queues.get(key) || Promise.resolve();
+        let release;
+        const tail = previous.then(() => new Promise((resolve) => { release = resolve; }));
+        queues.set(key, tail);
+
+        await previous;
+        try {
+            return await this.withLease(chainId, address, fn);
+        } finally {
+            release();
+            if (queues.get(key) === tail) {
+                queues.delete(key);
+            }
+        }
+    }
+
+    async withLease(chainId, address, fn) {
+        const owner = `${os.hostname()}:${process.pid}:${crypto.randomUUID()}`;
+        const lease = await this.acquireLease(chainId, address, owner);
+
+        let nonce = null;
+        let sent = false;
+        try {
+            // A nonce handed out recently may not have reached the node yet. An older one that is still ahead of
+            // the node belongs to a transaction that was dropped, so the node is trusted again instead of leaving a gap
+            const pendingNonce = await this.provider.getTransactionCount(address, "pending");
+            const recent = lease.usedAt && Date.now() - lease.usedAt.getTime() < config.SIGNER_NONCE_TTL_MS;
+            nonce = recent ? Math.max(pendingNonce, lease.nextNonce) : pendingNonce;
+
+            const result = await fn(nonce);
+            sent = Boolean(result);
+            return result;
+        } finally {
+            const update = { $unset: { lockedBy: "", lockedUntil: "" } };
+            if (sent) {
+                update.$set = { nextNonce: nonce + 1, usedAt: new Date() };
+            }
+            await SignerNonceModel.updateOne({ chainId: chainId, address: address, lockedBy: owner }, update);
+        }
+    }
+
+    // Waits until the lease of the account is free or expired and takes it
+    async acquireLease(chainId, address, owner) {
+        const deadline = Date.now() + config.SIGNER_LOCK_TIMEOUT_MS;
+        while (true) {
+            const now = Date.now();
+            try {
+                const lease = await SignerNonceModel.findOneAndUpdate(
+                    {
+                        chainId: chainId,
+                        address: address,
+                        $or: [{ lockedUntil: { $exists: false } }, { lockedUntil: { $lte: new Date(now) } }],
+                    },
+                    { $set: { lockedBy: owner, lockedUntil: new Date(now + config.SIGNER_LEASE_MS) } },
+                    { upsert: true, new: true }
+                );
+                if (lease) {
+                    return lease;
+                }
+            } catch (error) {
+                // The account is leased, the upsert collided with its document
+                if (error.code !== 11000) {
+                    throw error;
+                }
+            }
+
+            if (Date.now() >= deadline) {
+                throw new Error(`Timed out waiting to sign for ${address} on chain ${chainId}`);
+            }
+            await new Promise((resolve) => setTimeout(resolve, LEASE_RETRY_MS));
+        }
+    }
+}
+
+module.exports = ManagedSigner;
@@ -0,0 +1,86 @@
+const { ethers } = require("ethers");
+
+// Hex quantity of a transaction field, left out when the field is not set
+const quantity = (value) => (value == null ? undefined : ethers.toQuantity(value));
+
+// Signer whose key stays in a remote signing service, reached over JSON-RPC with the eth_signTransaction,
+// eth_signTypedData_v4 and personal_sign methods (Web3Signer, Clef and most KMS proxies speak them).
+// The service only signs, transactions are broadcast through the provider of the chain
+class RemoteSigner extends ethers.AbstractSigner {
+    constructor(url, address, token = null, provider = null) {
+        super(provider);
+        this.url = url;
+        this.address = ethers.getAddress(address);
+        this.token = token;
+        this.requestId = 0;
+    }
+
+    async getAddress() {
+        return this.address;
+    }
+
+    connect(provider) {
+        return new RemoteSigner(this.url, this.address, this.token, provider);
+    }
+
+    async request(method, params) {
+        const headers = { "Content-Type": "application/json" };
+        if (this.token) {
+            headers.Authorization = `Bearer ${this.token}`;
+        }
+
+        const response = await fetch(this.url, {
+            method: "POST",
+            headers: headers,
+            body: JSON.stringify({ jsonrpc: "2.0", id: ++this.requestId, method: method, params: params }),
+        });
+        if (!response.ok) {
+            throw new Error(`Remote signer responded with HTTP ${response.status} to ${method}`);
+        }
+
+        const body = await response.json();
+        if (body.error) {
+            throw new Error(`Remote signer rejected ${method}: ${body.error.message}`);
+        }
+        return body.result;
+    }
+
+    // Expects a populated transaction, as AbstractSigner.populateTransaction returns it
+    async signTransaction(tx) {
+        if (tx.from && ethers.getAddress(await ethers.resolveAddress(tx.from, this.provider)) !== this.address) {
+            throw new Error(`Transaction from ${tx.from} cannot be signed by ${this.address}`);
+        }
+
+        const signedTx = await this.request("eth_signTransaction", [{
+            from: this.address,
+            to: tx.to ? await ethers.resolveAddress(tx.to, this.provider) : undefined,
+            type: quantity(tx.type),
+            chainId: quantity(tx.chainId),
+            nonce: quantity(tx.nonce),
+            gas: quantity(tx.gasLimit),
+            gasPrice: quantity(tx.gasPrice),
+            maxFeePerGas: quantity(tx.maxFeePerGas),
+            maxPriorityFeePerGas: quantity(tx.maxPriorityFeePerGas),
+            value: quantity(tx.value || 0),
+            data: tx.data ? ethers.hexlify(tx.data) : "0x",
+        }]);
+
+        // The service holds more than one key, make sure it used the one asked for
+        if (ethers.Transaction.from(signedTx).from !== this.address) {
+            throw new Error(`Remote signer signed with another key than ${this.address}`);
+        }
+        return signedTx;
+    }
+
+    async signMessage(message) {
+        const data = typeof message === "string" ? ethers.toUtf8Bytes(message) : message;
+        return this.request("personal_sign", [ethers.hexlify(data), this.address]);
+    }
+
+    async signTypedData(domain, types, value) {
+        const typedData = ethers.TypedDataEncoder.getPayload(domain, types, value);
+        return this.request("eth_signTypedData_v4", [this.address, JSON.stringify(typedData)]);
+    }
+}
+
+module.exports = RemoteSigner;
@@ -0,0 +1,57 @@
+const RemoteSigner = require("./RemoteSigner");
+const { ethers } = require("ethers");
+const fs = require("fs");
+
+// Configuration keys of each account. The relayer settles transfers and withdraws fees with the backend
+// configuration, validators only sign attestations with their own
+const SIGNER_SETTINGS = {
+    relayer: {
+        type: "RELAYER_SIGNER",
+        privateKey: "PRIVATE_KEY",
+        keystorePath: "RELAYER_KEYSTORE_PATH",
+        keystorePassword: "RELAYER_KEYSTORE_PASSWORD",
+        remoteUrl: "RELAYER_REMOTE_SIGNER_URL",
+        remoteAddress: "RELAYER_REMOTE_SIGNER_ADDRESS",
+        remoteToken: "RELAYER_REMOTE_SIGNER_TOKEN",
+    },
+    validator: {
+        type: "VALIDATOR_SIGNER",
+        privateKey: "VALIDATOR_PRIVATE_KEY",
+        keystorePath: "VALIDATOR_KEYSTORE_PATH",
+        keystorePassword: "VALIDATOR_KEYSTORE_PASSWORD",
+        remoteUrl: "VALIDATOR_REMOTE_SIGNER_URL",
+        remoteAddress: "VALIDATOR_REMOTE_SIGNER_ADDRESS",
+        remoteToken: "VALIDATOR_REMOTE_SIGNER_TOKEN",
+    },
+};
+
+// Signer of the account as the given configuration selects it, the backend and the validator each pass their own
+async function loadSigner(name, config) {
+    const settings = SIGNER_SETTINGS[name];
+    if (!settings) {
+        throw new Error(`Unknown signer: ${name}`);
+    }
+
+    const type = config[settings.type];
+    const setting = (key) => {
+        if (!config[settings[key]]) {
+            throw new Error(`Missing required environment variable: ${settings[key]}`);
+        }
+        return config[settings[key]];
+    };
+
+    switch (type) {
+        case "env":
+            return new ethers.Wallet(setting("privateKey"));
+        case "keystore": {
+            const keystore = await fs.promises.readFile(setting("keystorePath"), "utf8");
+            return ethers.Wallet.fromEncryptedJson(keystore, setting("keystorePassword"));
+        }
+        case "remote":
+            return new RemoteSigner(setting("remoteUrl"), setting("remoteAddress"), config[settings.remoteToken] || null);
+        default:
+            throw new Error(`Invalid ${settings.type}: ${type}, expected 'env', 'keystore' or 'remote'`);
+    }
+}
+
+module.exports = { loadSigner };
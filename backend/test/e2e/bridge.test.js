@@ -0,0 +1,879 @@
+const { expect } = require("chai");
+const { spawn, spawnSync } = require("child_process");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const mongoose = require("mongoose");
+const { ethers } = require("ethers");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+
+// End-to-end test of the bridge: two local Hardhat nodes stand in for Sepolia and Amoy,
+// TransactionService accepts each transfer and the job worker settles it, against an in-memory MongoDB.
+const BLOCKCHAIN_DIR = path.join(__dirname, "../../blockchain");
+const HARDHAT_CLI = require.resolve("hardhat/internal/cli/cli", { paths: [BLOCKCHAIN_DIR] });
+
+// First default Hardhat account: deployer, minter owner and lock relayer on both chains
+const DEPLOYER_KEY = "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+
+// Next three default Hardhat accounts: mint validators, two of them have to attest every lock
+const VALIDATOR_KEYS = [
+    "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d",
+    "0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a",
+    "0x7c852118294e51e653712a81e05800f419141751be58f605c371e15141b007a6",
+];
+
+// Fifth default Hardhat account, held by the stub of a remote signing service
+const REMOTE_SIGNER_KEY = "0x47e179ec197488593b187f80a00eb0da91f1b9d0b13f8733639f19c30a34926a";
+
+const SOURCE = { key: "sepolia", name: "Local Sepolia", chainId: 31337, port: 18545 };
+const DESTINATION = { key: "amoy", name: "Local Amoy", chainId: 31338, port: 18546 };
+
+const rpcUrl = (chain) => `http://127.0.0.1:${chain.port}`;
+
+// Fee and limits of the LOCK_MINT route, the cases derive their expected figures from them
+const FEE_BPS = 100;
+const LIMITS = { min: "1", max: "50", dailyPerAddress: "50" };
+
+// Tokens the wallet holds when a case starts
+const FUNDED_TOKENS = "100";
+
+const units = (amount) => ethers.parseUnits(amount, 18);
+const feeOf = (amount) => (units(amount) * BigInt(FEE_BPS)) / 10000n;
+const receivedOf = (amount) => units(amount) - feeOf(amount);
+
+function writeRegistry(registryPath, contracts) {
+    const chain = (config, chainContracts, premint = "0") => ({
+        chainId: config.chainId,
+        key: config.key,
+        name: config.name,
+        nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
+        rpcUrls: [rpcUrl(config)],
+        explorerUrl: "http://localhost",
+        confirmations: 1,
+        contracts: chainContracts,
+        premint: premint,
+    });
+
+    fs.writeFileSync(registryPath, JSON.stringify({
+        chains: [
+            chain(SOURCE, { token: contracts.token, lock: contracts.lock }),
+            // The wrapped token mints 10000 to its deployer in the constructor
+            chain(DESTINATION, { token: contracts.wrappedToken, mint: contracts.mint }, "10000"),
+        ],
+        routes: [
+            { sourceChainId: SOURCE.chainId, destinationChainId: DESTINATION.chainId, direction: "LOCK_MINT", fee: { bps: FEE_BPS }, limits: LIMITS },
+            { sourceChainId: DESTINATION.chainId, destinationChainId: SOURCE.chainId, direction: "BURN_RELEASE" },
+        ],
+    }, null, 4));
+}
+
+// The backend configuration and the Hardhat nodes read everything from the environment
+function configureEnvironment(registryPath) {
+    Object.assign(process.env, {
+        PORT: "5001",
+        MONGO_USERNAME: "e2e",
+        MONGO_PASSWORD: "e2e",
+        MONGO_STRING: "localhost",
+        PRIVATE_KEY: DEPLOYER_KEY,
+        ETHERSCAN_API_KEY: "e2e",
+        ARGENT_X_PRIVATE_KEY: "0x1",
+        PUBLIC_KEY: "0x1",
+        STARK_PRIVATE_INPUT_1: "123",
+        STARK_PRIVATE_INPUT_2: "456",
+        JWT_ACCESS_SECRET: "e2e-access-secret",
+        JWT_REFRESH_SECRET: "e2e-refresh-secret",
+        WALLET_KEYSTORE_PASSWORD: "e2e-keystore-password",
+        PROOF_MODE: "local",
+        CHAINS_CONFIG_PATH: registryPath,
+        RECONCILER_GRACE_MS: "0",
+        SETTLEMENT_RECEIPT_TIMEOUT_MS: "1000",
+        VALIDATOR_PRIVATE_KEY: VALIDATOR_KEYS[0],
+        VALIDATOR_API_URL: "http://127.0.0.1:5001",
+    });
+}
+
+function runHardhat(args) {
+    const result = spawnSync(process.execPath, [HARDHAT_CLI, ...args], {
+        cwd: BLOCKCHAIN_DIR,
+        env: process.env,
+        encoding: "utf8",
+    });
+    if (result.status !== 0) {
+        throw new Error(`hardhat ${args.join(" ")} failed:\n${result.stdout}\n${result.stderr}`);
+    }
+    return result.stdout;
+}
+
+function startNode(chain) {
+    return new Promise((resolve, reject) => {
+        const node = spawn(process.execPath, [HARDHAT_CLI, "node", "--port", String(chain.port)], {
+            cwd: BLOCKCHAIN_DIR,
+            env: { ...process.env, HARDHAT_CHAIN_ID: String(chain.chainId) },
+        });
+
+        let output = "";
+        node.stdout.on("data", (data) => {
+            output += data;
+            if (output.includes("Started HTTP and WebSocket JSON-RPC server")) {
+                resolve(node);
+            }
+        });
+        node.stderr.on("data", (data) => {
+            output += data;
+        });
+        node.on("exit", (code) => reject(new Error(`Hardhat node for ${chain.key} exited with ${code}:\n${output}`)));
+    });
+}
+
+// Stub of a remote signing service, answers the JSON-RPC signing methods RemoteSigner calls with a local key
+function startRemoteSigner(privateKey) {
+    const signer = new ethers.Wallet(privateKey);
+    const sign = {
+        eth_signTransaction: ([{ from, gas, type, nonce, ...fields }]) => signer.signTransaction({
+            ...fields,
+            gasLimit: gas,
+            type: Number(type),
+            nonce: Number(nonce),
+        }),
+        eth_signTypedData_v4: ([, typedData]) => {
+            const { domain, types, message } = JSON.parse(typedData);
+            delete types.EIP712Domain;
+            return signer.signTypedData(domain, types, message);
+        },
+        personal_sign: ([message]) => signer.signMessage(ethers.getBytes(message)),
+    };
+
+    const server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (data) => {
+            body += data;
+        });
+        req.on("end", async () => {
+            const { id, method, params } = JSON.parse(body);
+            const response = sign[method]
+                ? { jsonrpc: "2.0", id: id, result: await sign[method](params) }
+                : { jsonrpc: "2.0", id: id, error: { code: -32601, message: `Method ${method} not found` } };
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(JSON.stringify(response));
+        });
+    });
+
+    return new Promise((resolve) => {
+        server.listen(0, "127.0.0.1", () => resolve(server));
+    });
+}
+
+async function deploy(signer, contractFile, contractName, ...args) {
+    const artifactPath = path.join(BLOCKCHAIN_DIR, "artifacts/contracts", contractFile, `${contractName}.json`);
+    const artifact = JSON.parse(fs.readFileSync(artifactPath, "utf8"));
+
+    const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, signer);
+    const contract = await factory.deploy(...args);
+    await contract.waitForDeployment();
+    return contract;
+}
+
+async function expectRejection(promise, message) {
+    let rejection;
+    try {
+        await promise;
+    } catch (error) {
+        rejection = error;
+    }
+    expect(rejection, "expected a rejection").to.be.an("error");
+    expect(rejection.message).to.include(message);
+}
+
+describe("Bridge end-to-end", function () {
+    this.timeout(10 * 60 * 1000);
+
+    const registryPath = path.join(os.tmpdir(), `zkpridge-e2e-chains-${process.pid}.json`);
+    const nodes = [];
+    const contracts = {};
+    let mongoServer;
+    let transactionService;
+    let treasuryService;
+    let walletService;
+    let jobWorkerService;
+    let reconcilerService;
+    let adminService;
+    let attestationService;
+    let validatorServices;
+    let outsiderService;
+    let BridgeTransferModel;
+    let JobModel;
+    let UserModel;
+    let WalletModel;
+    let user;
+    let wallet;
+
+    // Deployers of both chains, and the snapshot of each chain right after the wallet was funded
+    let deployers;
+    const snapshots = new Map();
+
+    before(async function () {
+        // Step 1: Placeholder registry, the nodes load the Hardhat config before anything is deployed
+        writeRegistry(registryPath, { token: ethers.ZeroAddress, lock: ethers.ZeroAddress, wrappedToken: ethers.ZeroAddress, mint: ethers.ZeroAddress });
+        configureEnvironment(registryPath);
+
+        // Step 2: Compile the contracts and start one node per chain
+        runHardhat(["compile"]);
+        nodes.push(await startNode(SOURCE), await startNode(DESTINATION));
+
+        // Step 3: Deploy the token and lock contract on the source chain,
+        // the wrapped token and mint contract on the destination chain
+        const sourceProvider = new ethers.JsonRpcProvider(rpcUrl(SOURCE), SOURCE.chainId, { staticNetwork: true });
+        const destinationProvider = new ethers.JsonRpcProvider(rpcUrl(DESTINATION), DESTINATION.chainId, { staticNetwork: true });
+        const sourceDeployer = new ethers.NonceManager(new ethers.Wallet(DEPLOYER_KEY, sourceProvider));
+        const destinationDeployer = new ethers.NonceManager(new ethers.Wallet(DEPLOYER_KEY, destinationProvider));
+        deployers = [sourceDeployer, destinationDeployer];
+
+        contracts.token = await deploy(sourceDeployer, "ZKPridgeCoin.sol", "ZKPridgeCoin");
+        contracts.lock = await deploy(sourceDeployer, "lock_contract.sol", "LockContract", await contracts.token.getAddress());
+        contracts.wrappedToken = await deploy(destinationDeployer, "WrappedZKPridgeCoin.sol", "WrappedZKPridgeCoin");
+        contracts.mint = await deploy(
+            destinationDeployer, "mintContract.sol", "MintContract",
+            await contracts.wrappedToken.getAddress(), VALIDATOR_KEYS.map((key) => new ethers.Wallet(key).address), 2
+        );
+
+        // Step 4: Point the registry at the deployed contracts, authorize the mint contract as minter
+        // and set the route limits on the contracts that take the tokens
+        writeRegistry(registryPath, {
+            token: await contracts.token.getAddress(),
+            lock: await contracts.lock.getAddress(),
+            wrappedToken: await contracts.wrappedToken.getAddress(),
+            mint: await contracts.mint.getAddress(),
+        });
+        runHardhat(["run", "scripts/authorize_minter.js", "--network", DESTINATION.key]);
+        expect(await contracts.wrappedToken.minter()).to.equal(await contracts.mint.getAddress());
+        runHardhat(["run", "scripts/set_amount_limits.js", "--network", SOURCE.key]);
+        runHardhat(["run", "scripts/set_amount_limits.js", "--network", DESTINATION.key]);
+        expect(await contracts.lock.maxAmount()).to.equal(units(LIMITS.max));
+
+        // Step 5: In-memory MongoDB, the backend is only loaded now that the registry is final
+        mongoServer = await MongoMemoryServer.create();
+        await mongoose.connect(mongoServer.getUri());
+
+        const TransactionService = require("../../services/TransactionService");
+        const WalletService = require("../../services/WalletService");
+        const JobWorkerService = require("../../services/JobWorkerService");
+        const TreasuryService = require("../../services/TreasuryService");
+        const ReconcilerService = require("../../services/ReconcilerService");
+        const AdminService = require("../../services/AdminService");
+        const AttestationService = require("../../services/AttestationService");
+        const ValidatorService = require("../../services/ValidatorService");
+        UserModel = require("../../models/userModel");
+        WalletModel = require("../../models/walletModel");
+        BridgeTransferModel = require("../../models/bridgeTransferModel");
+        JobModel = require("../../models/jobModel");
+        transactionService = new TransactionService();
+        walletService = new WalletService();
+        jobWorkerService = new JobWorkerService();
+        treasuryService = new TreasuryService();
+        reconcilerService = new ReconcilerService();
+        adminService = new AdminService();
+        attestationService = new AttestationService();
+        validatorServices = VALIDATOR_KEYS.map((key) => new ValidatorService(new ethers.Wallet(key)));
+        outsiderService = new ValidatorService(ethers.Wallet.createRandom());
+
+        // Step 6: A user with a funded custodial wallet
+        const userData = await UserModel.create({
+            email: "e2e@zkpridge.test",
+            password: "not-used",
+            name: "E2E",
+            phoneNumber: "00000000000",
+        });
+        user = { id: userData._id, email: userData.email };
+        const { wallet: walletData } = await walletService.createWallet({}, user);
+        wallet = walletData;
+
+        for (const deployer of deployers) {
+            await (await deployer.sendTransaction({ to: wallet.address, value: ethers.parseEther("10") })).wait();
+        }
+        await (await contracts.token.transfer(wallet.address, units(FUNDED_TOKENS))).wait();
+
+        // Step 7: Snapshot both chains, every case starts from the funded wallet
+        for (const deployer of deployers) {
+            snapshots.set(deployer, await deployer.provider.send("evm_snapshot", []));
+        }
+    });
+
+    // Each case runs against the chains and the database as they were after the funding, nothing of an earlier case is left
+    beforeEach(async function () {
+        // Step 1: Revert both chains, a revert uses the snapshot up so the next case gets a new one.
+        // The nonces handed out since are gone with the reverted blocks
+        for (const deployer of deployers) {
+            await deployer.provider.send("evm_revert", [snapshots.get(deployer)]);
+            snapshots.set(deployer, await deployer.provider.send("evm_snapshot", []));
+            deployer.reset();
+        }
+
+        // Step 2: Empty every collection but the user and its wallet, the nonces of the managed signers included
+        const fixtures = new Map([
+            [UserModel.collection.collectionName, user.id],
+            [WalletModel.collection.collectionName, wallet._id],
+        ]);
+        for (const collection of Object.values(mongoose.connection.collections)) {
+            const fixture = fixtures.get(collection.collectionName);
+            await collection.deleteMany(fixture ? { _id: { $ne: fixture } } : {});
+        }
+    });
+
+    after(async function () {
+        await mongoose.disconnect();
+        if (mongoServer) {
+            await mongoServer.stop();
+        }
+        for (const node of nodes) {
+            node.removeAllListeners("exit");
+            node.kill();
+        }
+        fs.rmSync(registryPath, { force: true });
+    });
+
+    // Runs the jobs, lets two of the three validators attest the locks waiting for a mint, then settles them
+    async function attestAndSettle() {
+        await jobWorkerService.processDueJobs();
+        for (const validatorService of validatorServices.slice(0, 2)) {
+            for (const transfer of await attestationService.getPendingTransfers()) {
+                const signature = await validatorService.attest(transfer);
+                await attestationService.submitAttestation({ transferId: String(transfer.id), signature: signature });
+            }
+        }
+        await JobModel.updateMany({ type: "SETTLE_TRANSFER", status: "PENDING" }, { runAt: new Date() });
+        await jobWorkerService.processDueJobs();
+    }
+
+    // Locks tokens of the wallet on the source chain and submits the lock, the transfer is LOCKED
+    async function lock(amount) {
+        const { sourceTxHash } = await transactionService.initiateTransfer({
+            walletID: String(wallet._id),
+            amount: amount,
+            destinationAddress: wallet.address,
+            sourceChainId: SOURCE.chainId,
+            destinationChainId: DESTINATION.chainId,
+        }, user);
+        const { Transfers: [accepted] } = await transactionService.sendTokens({ sourceTxHash, sourceChainId: SOURCE.chainId }, user);
+        return accepted;
+    }
+
+    // Bridges tokens over, the wallet holds the received amount in wrapped tokens afterwards
+    async function lockAndMint(amount) {
+        const accepted = await lock(amount);
+        await attestAndSettle();
+        expect((await BridgeTransferModel.findById(accepted.id)).status).to.equal("MINTED");
+        return accepted;
+    }
+
+    // Burns wrapped tokens of the wallet on the destination chain and submits the burn, the transfer is BURNED
+    async function burn(amount) {
+        const { sourceTxHash } = await transactionService.initiateTransfer({
+            walletID: String(wallet._id),
+            amount: amount,
+            destinationAddress: wallet.address,
+            sourceChainId: DESTINATION.chainId,
+            destinationChainId: SOURCE.chainId,
+        }, user);
+        const { Transfers: [accepted] } = await transactionService.sendTokens({ sourceTxHash, sourceChainId: DESTINATION.chainId }, user);
+        return accepted;
+    }
+
+    it("Should lock on the source chain and mint on the destination chain", async function () {
+        const amount = "40";
+        const accepted = await lock(amount);
+        const { sourceTxHash } = accepted;
+        expect(accepted.status).to.equal("LOCKED");
+        expect(accepted.jobId).to.exist;
+
+        // The custodial wallet signed a permit, the lock was its only transaction
+        const lockTx = await contracts.lock.runner.provider.getTransaction(sourceTxHash);
+        expect(contracts.lock.interface.parseTransaction(lockTx).name).to.equal("lockTokensWithPermit");
+        expect(await contracts.token.nonces(wallet.address)).to.equal(1n);
+
+        // The mint waits until enough validators attested the lock
+        await jobWorkerService.processDueJobs();
+        expect((await BridgeTransferModel.findById(accepted.id)).status).to.equal("PROOF_VERIFIED");
+        const [pending] = await attestationService.getPendingTransfers();
+        await expectRejection(attestationService.submitAttestation({
+            transferId: accepted.id.toString(),
+            signature: await outsiderService.attest(pending),
+        }), "is not a validator");
+
+        await attestAndSettle();
+        const transfer = await BridgeTransferModel.findById(accepted.id);
+
+        expect(transfer.status).to.equal("MINTED");
+        expect(transfer.history.map(({ status }) => status))
+            .to.deep.equal(["LOCKED", "CONFIRMED", "PROOF_GENERATED", "PROOF_VERIFIED", "MINTED"]);
+        expect(transfer.proofHash).to.match(/^0x[0-9a-f]{64}$/);
+        expect(transfer.fee).to.equal(feeOf(amount).toString());
+
+        const jobs = await jobWorkerService.jobQueueService.getTransferJobs(transfer._id);
+        expect(jobs.map(({ type, status }) => `${type}:${status}`)).to.deep.equal([
+            "CONFIRM_TRANSFER:COMPLETED",
+            "PROVE_TRANSFER:COMPLETED",
+            "VERIFY_TRANSFER:COMPLETED",
+            "SETTLE_TRANSFER:COMPLETED",
+        ]);
+
+        expect(await contracts.token.balanceOf(wallet.address)).to.equal(units(FUNDED_TOKENS) - units(amount));
+        expect(await contracts.token.balanceOf(await contracts.lock.getAddress())).to.equal(units(amount));
+        expect(await contracts.wrappedToken.balanceOf(wallet.address)).to.equal(receivedOf(amount));
+        expect(await contracts.mint.processedLocks(transfer.sourceNonce)).to.equal(true);
+
+        // Submitting the same lock again, or settling it again, is refused
+        await expectRejection(transactionService.sendTokens({ sourceTxHash, sourceChainId: SOURCE.chainId }, user), "already processed");
+        await expectRejection(transactionService.settleTransfer({ ...transfer.toObject(), destinationTxHash: undefined }), "already processed");
+        expect(await contracts.wrappedToken.balanceOf(wallet.address)).to.equal(receivedOf(amount));
+    });
+
+    it("Should burn on the destination chain and release on the source chain", async function () {
+        // Wrapped tokens to burn, bridged over first
+        const locked = "40";
+        const burned = "15";
+        await lockAndMint(locked);
+
+        const accepted = await burn(burned);
+        expect(accepted.status).to.equal("BURNED");
+
+        await jobWorkerService.processDueJobs();
+        const transfer = await BridgeTransferModel.findById(accepted.id);
+
+        expect(transfer.status).to.equal("RELEASED");
+        expect(transfer.history.map(({ status }) => status))
+            .to.deep.equal(["BURNED", "CONFIRMED", "PROOF_GENERATED", "PROOF_VERIFIED", "RELEASED"]);
+
+        expect(await contracts.wrappedToken.balanceOf(wallet.address)).to.equal(receivedOf(locked) - units(burned));
+        expect(await contracts.token.balanceOf(wallet.address)).to.equal(units(FUNDED_TOKENS) - units(locked) + units(burned));
+        expect(await contracts.token.balanceOf(await contracts.lock.getAddress())).to.equal(units(locked) - units(burned));
+        expect(await contracts.lock.processedBurns(transfer.sourceNonce)).to.equal(true);
+    });
+
+    it("Should collect the bridge fee in the lock contract and withdraw it to the treasury", async function () {
+        const amount = "40";
+        const fee = feeOf(amount);
+        await lockAndMint(amount);
+
+        const [balance] = await treasuryService.getBalances();
+        expect(balance.chainId).to.equal(SOURCE.chainId);
+        expect(balance.collected).to.equal(fee.toString());
+        expect(balance.available).to.equal(fee.toString());
+
+        // Transfers below the fee are refused before anything is locked
+        await expectRejection(transactionService.initiateTransfer({
+            walletID: String(wallet._id),
+            amount: "0.000000000000000001",
+            destinationAddress: wallet.address,
+            sourceChainId: SOURCE.chainId,
+        }, user), "does not cover the bridge fee");
+
+        const treasury = ethers.Wallet.createRandom().address;
+        await expectRejection(
+            treasuryService.withdraw({ chainId: SOURCE.chainId, amount: ethers.formatUnits(fee + 1n, 18), to: treasury }, user),
+            "exceeds the available fees"
+        );
+
+        const withdrawal = await treasuryService.withdraw({ chainId: SOURCE.chainId, amount: ethers.formatUnits(fee, 18), to: treasury }, user);
+        expect(withdrawal.status).to.equal("COMPLETED");
+        expect(await contracts.token.balanceOf(treasury)).to.equal(fee);
+        expect(await contracts.token.balanceOf(await contracts.lock.getAddress())).to.equal(units(amount) - fee);
+
+        const [after] = await treasuryService.getBalances();
+        expect(after.withdrawn).to.equal(fee.toString());
+        expect(after.available).to.equal("0");
+    });
+
+    it("Should quote the gas of both chains and the received amount", async function () {
+        const quote = await transactionService.getQuote({
+            amount: "5",
+            from: SOURCE.chainId,
+            to: DESTINATION.chainId,
+            sender: wallet.address,
+        }, user);
+
+        expect(quote.direction).to.equal("LOCK_MINT");
+        expect(quote.bridgeFee).to.equal(feeOf("5").toString());
+        expect(quote.receivedAmount).to.equal(receivedOf("5").toString());
+
+        // The sender has no allowance left, the token takes a permit so the approval is signed into the lock.
+        // The lock cannot be estimated before the permit is signed
+        expect(quote.source.steps.map(({ name }) => name)).to.deep.equal(["lockTokensWithPermit"]);
+        expect(quote.source.steps[0].estimated).to.equal(false);
+        expect(quote.destination.steps).to.have.lengthOf(1);
+        // A mint cannot be estimated before the validators attested the lock
+        expect(quote.destination.steps[0]).to.include({ name: "mintTokens", estimated: false });
+
+        const sourceGas = quote.source.steps.reduce((total, step) => total + BigInt(step.gasLimit), 0n);
+        expect(quote.source.gasCost).to.equal((sourceGas * BigInt(quote.source.gasPrice)).toString());
+
+        // Another user's address is refused, without a sender the typical gas limits are quoted
+        const stranger = ethers.Wallet.createRandom().address;
+        await expectRejection(transactionService.getQuote({ amount: "5", from: SOURCE.chainId, sender: stranger }, user), "not one of your wallets");
+        const unsigned = await transactionService.getQuote({ amount: "5", from: SOURCE.chainId }, user);
+        expect(unsigned.source.steps.map(({ estimated }) => estimated)).to.deep.equal([false]);
+    });
+
+    it("Should refuse transfers over the limits of the route", async function () {
+        const transfer = (amount) => transactionService.initiateTransfer({
+            walletID: String(wallet._id),
+            amount: amount,
+            destinationAddress: wallet.address,
+            sourceChainId: SOURCE.chainId,
+        }, user);
+
+        await expectRejection(transfer("60"), `Amount must be at most ${LIMITS.max}`);
+
+        // Locking past the maximum on the contract directly reverts, no tokens are taken that would never be minted
+        const provider = new ethers.JsonRpcProvider(rpcUrl(SOURCE), SOURCE.chainId, { staticNetwork: true });
+        const signer = await walletService.getSigner(String(wallet._id), user, provider);
+        const amount = units(LIMITS.max) + 1n;
+        const balance = await contracts.token.balanceOf(wallet.address);
+        await (await contracts.token.connect(signer).approve(await contracts.lock.getAddress(), amount)).wait();
+        await expectRejection(contracts.lock.connect(signer).lockTokens(amount, wallet.address), "Amount outside the bridge limits");
+        expect(await contracts.token.balanceOf(wallet.address)).to.equal(balance);
+
+        // A lock counts towards the daily limit of the address as soon as it is accepted
+        const bridged = "40";
+        await lock(bridged);
+        const left = ethers.formatUnits(units(LIMITS.dailyPerAddress) - units(bridged), 18);
+        await expectRejection(transfer("20"), `Daily limit of ${LIMITS.dailyPerAddress} per address reached, ${left} left`);
+        await expectRejection(
+            transactionService.getQuote({ amount: "20", from: SOURCE.chainId, sender: wallet.address }, user),
+            `Daily limit of ${LIMITS.dailyPerAddress} per address reached`
+        );
+    });
+
+    it("Should pause minting when the wrapped supply would exceed the locked tokens", async function () {
+        const minted = "10";
+        const amount = "5";
+        await lockAndMint(minted);
+
+        // Take a token out of the lock contract, the wrapped supply is no longer fully backed. The backend
+        // relays from the deployer account as well, so the nonce is not taken from the deployer's NonceManager
+        const owner = new ethers.Wallet(DEPLOYER_KEY, new ethers.JsonRpcProvider(rpcUrl(SOURCE), SOURCE.chainId, { staticNetwork: true }));
+        const missing = units("1");
+        await (await contracts.lock.connect(owner).withdrawLockedTokens(missing)).wait();
+
+        const accepted = await lock(amount);
+        await jobWorkerService.processDueJobs();
+
+        // The settlement waits for the breaker without using up its attempts
+        expect((await BridgeTransferModel.findById(accepted.id)).status).to.equal("PROOF_VERIFIED");
+        const settleJob = await JobModel.findOne({ transfer: accepted.id, type: "SETTLE_TRANSFER" });
+        expect(settleJob.status).to.equal("PENDING");
+        expect(settleJob.attempts).to.equal(0);
+        expect(settleJob.lastError).to.include("is paused");
+
+        const [breaker] = await transactionService.limitService.getCircuitBreakers();
+        expect(breaker.chainId).to.equal(DESTINATION.chainId);
+        expect(breaker.tripped).to.equal(true);
+        await expectRejection(transactionService.getQuote({ amount: "1", from: SOURCE.chainId }, user), "is paused");
+
+        // Backed again and reset by an admin, the transfer is minted
+        await (await contracts.token.connect(owner).transfer(await contracts.lock.getAddress(), missing)).wait();
+        await transactionService.limitService.resetCircuitBreaker(DESTINATION.chainId, user);
+        await JobModel.updateOne({ _id: settleJob._id }, { runAt: new Date() });
+        await attestAndSettle();
+
+        expect((await BridgeTransferModel.findById(accepted.id)).status).to.equal("MINTED");
+        expect(await contracts.wrappedToken.balanceOf(wallet.address)).to.equal(receivedOf(minted) + receivedOf(amount));
+    });
+
+    it("Should reconcile the locked tokens and the wrapped supply with the transfer ledger", async function () {
+        // Bridged over, partly bridged back and the fee withdrawn
+        const locked = "40";
+        const burned = "15";
+        await lockAndMint(locked);
+        await burn(burned);
+        await jobWorkerService.processDueJobs();
+        const treasury = ethers.Wallet.createRandom().address;
+        await treasuryService.withdraw({ chainId: SOURCE.chainId, amount: ethers.formatUnits(feeOf(locked), 18), to: treasury }, user);
+
+        const expectedLocked = ethers.formatUnits(units(locked) - units(burned) - feeOf(locked), 18);
+        const expectedSupply = ethers.formatUnits(receivedOf(locked) - units(burned), 18);
+        const reconciliation = await reconcilerService.reconcile();
+        expect(reconciliation.status).to.equal("OK");
+        expect(reconciliation.discrepancies).to.have.lengthOf(0);
+        expect(reconciliation.routes[0]).to.include({
+            sourceChainId: SOURCE.chainId,
+            destinationChainId: DESTINATION.chainId,
+            formattedLocked: expectedLocked,
+            formattedExpectedLocked: expectedLocked,
+            formattedSupply: expectedSupply,
+            formattedExpectedSupply: expectedSupply,
+            backed: true,
+        });
+
+        // A mint the ledger lost track of is flagged on its transfer
+        const minted = await BridgeTransferModel.findOne({ status: "MINTED" });
+        await BridgeTransferModel.updateOne({ _id: minted._id }, { status: "PROOF_VERIFIED" });
+        const mismatch = await reconcilerService.reconcile();
+        expect(mismatch.status).to.equal("MISMATCH");
+        expect(mismatch.discrepancies).to.have.lengthOf(1);
+        expect(mismatch.discrepancies[0].sourceNonce).to.equal(minted.sourceNonce);
+        expect(mismatch.discrepancies[0].message).to.include("but is PROOF_VERIFIED");
+        expect(mismatch.pausedChainIds).to.deep.equal([]);
+        await BridgeTransferModel.updateOne({ _id: minted._id }, { status: "MINTED" });
+
+        // Locked tokens taken out below the wrapped supply break the invariant and pause minting
+        const owner = new ethers.Wallet(DEPLOYER_KEY, new ethers.JsonRpcProvider(rpcUrl(SOURCE), SOURCE.chainId, { staticNetwork: true }));
+        const missing = units("1");
+        await (await contracts.lock.connect(owner).withdrawLockedTokens(missing)).wait();
+
+        const broken = await reconcilerService.reconcile();
+        expect(broken.status).to.equal("BROKEN");
+        expect(broken.routes[0].backed).to.equal(false);
+        expect(broken.pausedChainIds).to.deep.equal([DESTINATION.chainId]);
+        expect((await reconcilerService.getLatestReconciliation()).id.toString()).to.equal(broken.id.toString());
+        await expectRejection(transactionService.getQuote({ amount: "1", from: SOURCE.chainId }, user), "is paused");
+
+        await (await contracts.token.connect(owner).transfer(await contracts.lock.getAddress(), missing)).wait();
+        await transactionService.limitService.resetCircuitBreaker(DESTINATION.chainId, user);
+        expect((await reconcilerService.reconcile()).status).to.equal("OK");
+    });
+
+    it("Should let an admin pause the relayer and cancel or requeue a transfer", async function () {
+        await adminService.pauseRelayer({ reason: "maintenance" }, user);
+        await expectRejection(adminService.pauseRelayer({ reason: "maintenance" }, user), "already paused");
+
+        const accepted = await lock("5");
+
+        // Nothing runs while the relayer is paused
+        await jobWorkerService.processDueJobs();
+        expect((await BridgeTransferModel.findById(accepted.id)).status).to.equal("LOCKED");
+
+        const cancelled = await adminService.cancelTransfer(accepted.id, { reason: "suspicious sender" });
+        expect(cancelled.status).to.equal("FAILED");
+        expect(cancelled.error).to.equal("Cancelled by an admin: suspicious sender");
+        const [confirmJob] = await jobWorkerService.jobQueueService.getTransferJobs(accepted.id);
+        expect(confirmJob.status).to.equal("DEAD");
+
+        // Requeued and resumed, the transfer settles like any other
+        const requeued = await adminService.requeueTransfer(accepted.id);
+        expect(requeued.status).to.equal("LOCKED");
+        await adminService.resumeRelayer(user);
+        await attestAndSettle();
+        expect((await BridgeTransferModel.findById(accepted.id)).status).to.equal("MINTED");
+        await expectRejection(adminService.requeueTransfer(accepted.id), "already MINTED");
+
+        const deployer = new ethers.Wallet(DEPLOYER_KEY).address;
+        const [source, destination] = await adminService.getContracts();
+        expect(source.contracts.lock).to.include({ owner: deployer, relayer: deployer });
+        expect(destination.contracts.token).to.include({ owner: deployer, minter: await contracts.mint.getAddress() });
+        expect(destination.contracts.mint.owner).to.equal(deployer);
+    });
+
+    it("Should let the owner retry a failed transfer from the step it failed in", async function () {
+        await lockAndMint("5");
+        const accepted = await burn("1");
+
+        // Confirmed, then the worker gives up on the proof the way it does after its last attempt
+        await jobWorkerService.runJob(await jobWorkerService.jobQueueService.claimNext(jobWorkerService.workerId));
+        await expectRejection(transactionService.retryTransfer(accepted.id, user), "Only failed transfers can be retried, this one is CONFIRMED");
+        await JobModel.updateOne({ transfer: accepted.id, type: "PROVE_TRANSFER" }, { status: "DEAD", lastError: "Prover unavailable" });
+        await transactionService.failTransfer(accepted.id, new Error("Prover unavailable"));
+
+        // Another user cannot see the transfer, let alone retry it
+        const otherData = await UserModel.create({ email: "other@zkpridge.test", password: "not-used", name: "Other", phoneNumber: "00000000000" });
+        await expectRejection(transactionService.retryTransfer(accepted.id, { id: otherData._id, email: otherData.email }), "Transfer not found");
+        await expectRejection(transactionService.retryTransfer("not-an-id", user), "Transfer not found");
+        expect((await BridgeTransferModel.findById(accepted.id)).status).to.equal("FAILED");
+
+        // The retry goes back to the confirmed step and queues the proof again with fresh attempts
+        const retried = await transactionService.retryTransfer(accepted.id, user);
+        expect(retried.status).to.equal("CONFIRMED");
+        const jobs = await jobWorkerService.jobQueueService.getTransferJobs(accepted.id);
+        expect(jobs.map(({ type, status, attempts }) => `${type}:${status}:${attempts}`))
+            .to.deep.equal(["CONFIRM_TRANSFER:COMPLETED:1", "PROVE_TRANSFER:PENDING:0"]);
+        expect(String(jobs[1]._id)).to.equal(String(retried.jobId));
+
+        await jobWorkerService.processDueJobs();
+        const transfer = await BridgeTransferModel.findById(accepted.id);
+        expect(transfer.status).to.equal("RELEASED");
+        expect(transfer.history.map(({ status }) => status))
+            .to.deep.equal(["BURNED", "CONFIRMED", "FAILED", "CONFIRMED", "PROOF_GENERATED", "PROOF_VERIFIED", "RELEASED"]);
+        await expectRejection(transactionService.retryTransfer(accepted.id, user), "this one is RELEASED");
+    });
+
+    it("Should keep a settlement alive while its transaction stays unmined past the attempts of its job", async function () {
+        const accepted = await lock("5");
+        await jobWorkerService.processDueJobs();
+        for (const validatorService of validatorServices.slice(0, 2)) {
+            const [pending] = await attestationService.getPendingTransfers();
+            await attestationService.submitAttestation({ transferId: String(pending.id), signature: await validatorService.attest(pending) });
+        }
+
+        // Step 1: The destination chain stops mining, every run of the settlement job times out waiting for the receipt
+        const destinationProvider = deployers[1].provider;
+        await destinationProvider.send("evm_setAutomine", [false]);
+        try {
+            const settleJob = await JobModel.findOne({ transfer: accepted.id, type: "SETTLE_TRANSFER" });
+            for (let run = 0; run <= settleJob.maxAttempts; run++) {
+                await JobModel.updateOne({ _id: settleJob._id }, { runAt: new Date() });
+                await jobWorkerService.processDueJobs();
+            }
+
+            // Deferred each time, the job is still waiting with all of its attempts and the signed transaction is kept
+            const job = await JobModel.findById(settleJob._id);
+            expect(job).to.include({ status: "PENDING", attempts: 0 });
+            expect(job.lastError).to.include("is not mined yet");
+            const transfer = await BridgeTransferModel.findById(accepted.id);
+            expect(transfer.status).to.equal("PROOF_VERIFIED");
+            expect(transfer.destinationTxHash).to.exist;
+            expect(await destinationProvider.getTransaction(transfer.destinationTxHash)).to.include({ blockNumber: null });
+
+            // Step 2: Once the transaction is mined, the next run of the same job settles the transfer
+            await destinationProvider.send("evm_setAutomine", [true]);
+            await destinationProvider.send("evm_mine", []);
+            await JobModel.updateOne({ _id: settleJob._id }, { runAt: new Date() });
+            await jobWorkerService.processDueJobs();
+
+            const settled = await BridgeTransferModel.findById(accepted.id);
+            expect(settled.status).to.equal("MINTED");
+            expect(settled.destinationTxHash).to.equal(transfer.destinationTxHash);
+            expect(await JobModel.findById(settleJob._id)).to.include({ status: "COMPLETED" });
+            expect(await contracts.wrappedToken.balanceOf(wallet.address)).to.equal(receivedOf("5"));
+        } finally {
+            await destinationProvider.send("evm_setAutomine", [true]);
+        }
+    });
+
+    it("Should only accept bridge events from a confirmed receipt of the caller", async function () {
+        // A plain token transfer has no TokensLocked event from the lock contract
+        const provider = new ethers.JsonRpcProvider(rpcUrl(SOURCE), SOURCE.chainId, { staticNetwork: true });
+        const signer = await walletService.getSigner(String(wallet._id), user, provider);
+        const receipt = await (await contracts.token.connect(signer).transfer(wallet.address, 1n)).wait();
+
+        await expectRejection(transactionService.sendTokens({ sourceTxHash: receipt.hash, sourceChainId: SOURCE.chainId }, user), "has no TokensLocked event");
+        await expectRejection(transactionService.sendTokens({ sourceTxHash: ethers.id("unknown"), sourceChainId: SOURCE.chainId }, user), "not found");
+    });
+
+    it("Should sign through a remote signer and give concurrent transactions of an account their own nonces", async function () {
+        const SignerService = require("../../services/SignerService");
+        const RemoteSigner = require("../../services/signers/RemoteSigner");
+        const server = await startRemoteSigner(REMOTE_SIGNER_KEY);
+
+        try {
+            const address = new ethers.Wallet(REMOTE_SIGNER_KEY).address;
+            const provider = new ethers.JsonRpcProvider(rpcUrl(SOURCE), SOURCE.chainId, { staticNetwork: true });
+            const remoteSigner = new RemoteSigner(`http://127.0.0.1:${server.address().port}`, address);
+            const signer = new SignerService().manage(remoteSigner.connect(provider));
+
+            // Sent at once, every transaction still gets the next nonce of the account
+            const nonce = await provider.getTransactionCount(address, "pending");
+            const responses = await Promise.all([1n, 2n, 3n].map((value) => signer.sendTransaction({ to: wallet.address, value: value })));
+            expect(responses.map((response) => response.nonce).sort((a, b) => a - b)).to.deep.equal([nonce, nonce + 1, nonce + 2]);
+            for (const response of responses) {
+                expect((await response.wait()).status).to.equal(1);
+            }
+
+            // Attestations can be signed remotely as well
+            const { domain, types, value } = attestationService.getTypedData(
+                { chainId: DESTINATION.chainId, contracts: { mint: await contracts.mint.getAddress() } }, wallet.address, 1n, ethers.ZeroHash
+            );
+            const signature = await remoteSigner.signTypedData(domain, types, value);
+            expect(ethers.verifyTypedData(domain, types, value, signature)).to.equal(address);
+
+            // A key the service did not sign with is refused
+            const otherSigner = new RemoteSigner(`http://127.0.0.1:${server.address().port}`, ethers.Wallet.createRandom().address, null, provider);
+            await expectRejection(otherSigner.sendTransaction({ to: wallet.address, value: 1n }), "signed with another key");
+        } finally {
+            server.close();
+        }
+    });
+
+    it("Should fail over to the next RPC endpoint and report which endpoint served each call", async function () {
+        const FailoverRpcProvider = require("../../services/providers/FailoverRpcProvider");
+
+        // An endpoint that rate limits every call, and one that is not there at all
+        const server = http.createServer((req, res) => {
+            res.writeHead(429);
+            res.end();
+        });
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        const limitedUrl = `http://127.0.0.1:${server.address().port}`;
+
+        // Without a cooldown every call starts at one of the broken endpoints, they weigh far more
+        const provider = new FailoverRpcProvider({
+            chainId: SOURCE.chainId,
+            rpcUrls: [{ url: limitedUrl, weight: 1000 }, { url: "http://127.0.0.1:1", weight: 1000 }, { url: rpcUrl(SOURCE), weight: 1 }],
+            rpc: { timeoutMs: 5000, retries: 2, backoffMs: 0, maxBackoffMs: 0, cooldownMs: 0, healthCheckIntervalMs: 0, maxBlockLag: 5 },
+        });
+
+        try {
+            for (const address of VALIDATOR_KEYS.map((key) => new ethers.Wallet(key).address)) {
+                expect(await provider.getBalance(address)).to.be.a("bigint");
+            }
+
+            const [limited, down, served] = provider.getMetrics().endpoints;
+            expect(limited.rateLimited + down.failures).to.be.greaterThan(0);
+            expect(limited.rateLimited).to.equal(limited.failures);
+            expect(served.failures).to.equal(0);
+            expect(served.methods.eth_getBalance).to.equal(VALIDATOR_KEYS.length);
+            expect(served.host).to.equal(`127.0.0.1:${SOURCE.port}`);
+
+            // A health check leaves the broken endpoints out, the cooldown applies until the next check
+            provider.rpcOptions.cooldownMs = 60000;
+            await provider.checkHealth();
+            const health = provider.getMetrics().endpoints;
+            expect(health.map((endpoint) => endpoint.healthy)).to.deep.equal([false, false, true]);
+            expect(health[2].blockNumber).to.equal(await provider.getBlockNumber());
+        } finally {
+            provider.destroy();
+            server.close();
+        }
+    });
+
+    it("Should roll back a transfer whose burn was reorged out and flag one that was already released", async function () {
+        const RelayerService = require("../../services/RelayerService");
+        const RelayerCursorModel = require("../../models/relayerCursorModel");
+        const SignerNonceModel = require("../../models/signerNonceModel");
+        const relayerService = new RelayerService();
+        const source = relayerService.sources.find(({ route }) => route.direction === "BURN_RELEASE");
+        const provider = new ethers.JsonRpcProvider(rpcUrl(DESTINATION), DESTINATION.chainId, { staticNetwork: true });
+        await lockAndMint("5");
+
+        // Both burns happen after the snapshot, the revert takes them out of the chain again
+        const snapshot = await provider.send("evm_snapshot", []);
+        const released = await burn("1");
+        await jobWorkerService.processDueJobs();
+        expect((await BridgeTransferModel.findById(released.id)).status).to.equal("RELEASED");
+
+        // The second one only gets as far as its confirmation
+        const confirmed = await burn("1");
+        await jobWorkerService.runJob(await jobWorkerService.jobQueueService.claimNext(jobWorkerService.workerId));
+        expect((await BridgeTransferModel.findById(confirmed.id)).status).to.equal("CONFIRMED");
+        await relayerService.syncSourceEvents(source, await provider.getBlockNumber());
+
+        // Other blocks take the place of the burns, the nonces handed out for them are gone with them
+        await provider.send("evm_revert", [snapshot]);
+        for (let i = 0; i < 5; i++) {
+            await provider.send("evm_mine", []);
+        }
+        await SignerNonceModel.deleteMany({ chainId: DESTINATION.chainId });
+
+        const headBlock = await provider.getBlockNumber();
+        await relayerService.checkSourceReorgs(source, headBlock);
+
+        const rolledBack = await BridgeTransferModel.findById(confirmed.id);
+        expect(rolledBack.status).to.equal("BURNED");
+        expect(rolledBack.proof).to.equal(undefined);
+        expect(rolledBack.history.at(-1).error).to.include("no longer in the chain");
+        const jobs = await jobWorkerService.jobQueueService.getTransferJobs(confirmed.id);
+        expect(jobs.map(({ type, status }) => `${type}:${status}`)).to.deep.equal(["CONFIRM_TRANSFER:PENDING"]);
+
+        // The release already paid out, only an admin can sort it out
+        const flagged = await BridgeTransferModel.findById(released.id);
+        expect(flagged.status).to.equal("RELEASED");
+        expect(flagged.reorged).to.equal(true);
+        expect(transactionService.formatTransfer(flagged).reorged).to.equal(true);
+
+        // The relayer scans the blocks before the reorged one again
+        await relayerService.syncSourceEvents(source, headBlock);
+        const cursor = await RelayerCursorModel.findOne({ name: source.cursorName });
+        expect(cursor.lastProcessedBlock).to.equal(headBlock);
+        expect(cursor.lastProcessedBlockHash).to.equal((await provider.getBlock(headBlock)).hash);
+    });
+});
+
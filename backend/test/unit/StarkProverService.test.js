@@ -0,0 +1,81 @@
+const { expect } = require("chai");
+const { hash, num } = require("starknet");
+const StarkProverService = require("../../services/StarkProverService");
+
+// Proofs of the local prover, checked the way TransactionService checks them before a mint
+describe("StarkProverService", function () {
+    // Poseidon in JavaScript is slow, a proof takes a few seconds
+    this.timeout(60 * 1000);
+
+    const prover = new StarkProverService();
+
+    // Public input shaped like the one generateProof builds for a lock
+    const publicInput = {
+        message_hash: hash.computePedersenHash(num.toHex(123n), num.toHex(10n ** 18n)),
+        public_key: num.toHex("0xA3F3b3f28C537a151527203deA65D40F45F86661"),
+        signature: num.toHex(456n),
+    };
+    const privateInput = [num.toHex(123n), num.toHex(456n)];
+
+    // The verifier logs the check that failed, the tests only look at the result
+    let log;
+    beforeEach(function () {
+        log = console.log;
+        console.log = () => {};
+    });
+    afterEach(function () {
+        console.log = log;
+    });
+
+    let generated;
+    before(function () {
+        generated = prover.generateStarkProof(publicInput, privateInput);
+    });
+
+    // A fresh copy the test can tamper with
+    const generateProof = () => structuredClone(generated);
+
+    // Another field element that is still a valid felt
+    const tamper = (value) => num.toHex((BigInt(value) + 1n) % StarkProverService.FIELD_PRIME);
+
+    it("Should verify a generated proof", function () {
+        expect(prover.verifyStarkProof(publicInput, generateProof())).to.equal(true);
+    });
+
+    it("Should reject a proof for another public input", function () {
+        const otherInput = { ...publicInput, message_hash: tamper(publicInput.message_hash) };
+        expect(prover.verifyStarkProof(otherInput, generateProof())).to.equal(false);
+    });
+
+    it("Should reject a tampered FRI layer", function () {
+        const proof = generateProof();
+        proof.fri_commitments.layers[1][0] = tamper(proof.fri_commitments.layers[1][0]);
+        expect(prover.verifyStarkProof(publicInput, proof)).to.equal(false);
+
+        const truncated = generateProof();
+        truncated.fri_commitments.layers.pop();
+        expect(prover.verifyStarkProof(publicInput, truncated)).to.equal(false);
+    });
+
+    it("Should reject a wrong trace root", function () {
+        const proof = generateProof();
+        proof.trace_commitment[0] = tamper(proof.trace_commitment[0]);
+        expect(prover.verifyStarkProof(publicInput, proof)).to.equal(false);
+    });
+
+    it("Should reject a wrong public coin seed", function () {
+        const proof = generateProof();
+        proof.trace_commitment[2] = tamper(proof.trace_commitment[2]);
+        expect(prover.verifyStarkProof(publicInput, proof)).to.equal(false);
+    });
+
+    it("Should reject a wrong number of constraint evaluations", function () {
+        const proof = generateProof();
+        proof.trace_evaluation.pop();
+        expect(prover.verifyStarkProof(publicInput, proof)).to.equal(false);
+
+        const padded = generateProof();
+        padded.trace_evaluation.push(padded.trace_evaluation[0]);
+        expect(prover.verifyStarkProof(publicInput, padded)).to.equal(false);
+    });
+});
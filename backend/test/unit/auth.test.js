@@ -0,0 +1,205 @@
+const { expect } = require("chai");
+const jwt = require("jsonwebtoken");
+const { startDatabase, stopDatabase, clearDatabase, mockResponse, expectRejection } = require("./environment");
+
+// Sessions of AuthService behind login, refresh and logout, and the middlewares that check them
+describe("Authentication", function () {
+    this.timeout(60 * 1000);
+
+    let authService;
+    let userService;
+    let requireAuth;
+    let requireAdmin;
+    let UserModel;
+    let SessionModel;
+    let user;
+
+    before(async function () {
+        await startDatabase();
+
+        const AuthService = require("../../services/AuthService");
+        const UserService = require("../../services/UserService");
+        requireAuth = require("../../middlewares/requireAuth");
+        requireAdmin = require("../../middlewares/requireAdmin");
+        UserModel = require("../../models/userModel");
+        SessionModel = require("../../models/sessionModel");
+        authService = new AuthService();
+        userService = new UserService();
+    });
+
+    after(async function () {
+        await stopDatabase();
+    });
+
+    beforeEach(async function () {
+        await clearDatabase();
+        user = await UserModel.create({
+            email: "auth@zkpridge.test",
+            password: "not-used",
+            name: "Auth",
+            phoneNumber: "00000000000",
+        });
+    });
+
+    // Runs the middleware and reports whether it let the request through
+    async function runMiddleware(middleware, req) {
+        const res = mockResponse();
+        let passed = false;
+        await middleware(req, res, () => {
+            passed = true;
+        });
+        return { passed, res };
+    }
+
+    const bearer = (token) => ({ headers: { authorization: `Bearer ${token}` } });
+
+    describe("Refresh tokens", function () {
+        it("Should rotate the refresh token and keep the session", async function () {
+            const session = await authService.createSession(user);
+            const refreshed = await authService.refreshSession(session.refreshToken);
+
+            expect(refreshed.refreshToken).to.not.equal(session.refreshToken);
+            expect(jwt.decode(refreshed.refreshToken).sid).to.equal(jwt.decode(session.refreshToken).sid);
+            expect((await authService.authenticate(refreshed.accessToken)).id).to.equal(user._id.toString());
+
+            // The rotated token keeps working
+            const again = await authService.refreshSession(refreshed.refreshToken);
+            expect(again.refreshToken).to.not.equal(refreshed.refreshToken);
+        });
+
+        it("Should revoke the whole session when a rotated refresh token is reused", async function () {
+            const session = await authService.createSession(user);
+            const refreshed = await authService.refreshSession(session.refreshToken);
+
+            await expectRejection(authService.refreshSession(session.refreshToken), "already been used");
+
+            // The current tokens of the session stop working as well
+            await expectRejection(authService.refreshSession(refreshed.refreshToken), "Session has been revoked");
+            await expectRejection(authService.authenticate(refreshed.accessToken), "expired or been revoked");
+            expect((await SessionModel.findById(jwt.decode(session.refreshToken).sid)).revokedAt).to.be.a("date");
+        });
+
+        it("Should let only one of two concurrent refreshes rotate the token", async function () {
+            const session = await authService.createSession(user);
+
+            const results = await Promise.allSettled([
+                authService.refreshSession(session.refreshToken),
+                authService.refreshSession(session.refreshToken),
+            ]);
+            expect(results.filter(({ status }) => status === "fulfilled")).to.have.length(1);
+        });
+
+        it("Should refuse access tokens, tampered and expired tokens as refresh tokens", async function () {
+            const session = await authService.createSession(user);
+            const { sid } = jwt.decode(session.refreshToken);
+
+            await expectRejection(authService.refreshSession(session.accessToken), "Invalid or expired token");
+            await expectRejection(authService.refreshSession(`${session.refreshToken}x`), "Invalid or expired token");
+
+            const expired = jwt.sign(
+                { sid: sid, type: "refresh", exp: Math.floor(Date.now() / 1000) - 60 },
+                process.env.JWT_REFRESH_SECRET,
+                { subject: user._id.toString() }
+            );
+            await expectRejection(authService.refreshSession(expired), "Invalid or expired token");
+
+            const accessSigned = jwt.sign({ sid: sid, type: "refresh" }, process.env.JWT_ACCESS_SECRET, { subject: user._id.toString() });
+            await expectRejection(authService.refreshSession(accessSigned), "Invalid or expired token");
+        });
+    });
+
+    describe("Logout", function () {
+        it("Should revoke the session of the refresh token", async function () {
+            const session = await authService.createSession(user);
+            const other = await authService.createSession(user);
+
+            const result = await userService.userLogout({ refreshToken: session.refreshToken });
+            expect(result.Message).to.equal("User logged out successfully");
+
+            await expectRejection(authService.authenticate(session.accessToken), "expired or been revoked");
+            await expectRejection(userService.refreshToken({ refreshToken: session.refreshToken }), "Session has been revoked");
+
+            // Other sessions of the user are not affected
+            expect((await authService.authenticate(other.accessToken)).id).to.equal(user._id.toString());
+        });
+
+        it("Should log out with an expired refresh token", async function () {
+            const session = await authService.createSession(user);
+            const { sid } = jwt.decode(session.refreshToken);
+            const expired = jwt.sign(
+                { sid: sid, type: "refresh", exp: Math.floor(Date.now() / 1000) - 60 },
+                process.env.JWT_REFRESH_SECRET,
+                { subject: user._id.toString() }
+            );
+
+            await userService.userLogout({ refreshToken: expired });
+            await expectRejection(authService.authenticate(session.accessToken), "expired or been revoked");
+        });
+
+        it("Should refuse a logout without a valid refresh token", async function () {
+            const session = await authService.createSession(user);
+
+            await expectRejection(userService.userLogout({}), "\"refreshToken\" is required");
+            await expectRejection(userService.userLogout({ refreshToken: session.accessToken }), "Invalid or expired token");
+            expect((await authService.authenticate(session.accessToken)).id).to.equal(user._id.toString());
+        });
+    });
+
+    describe("requireAuth", function () {
+        it("Should expose the caller of a valid access token", async function () {
+            const session = await authService.createSession(user);
+            const req = bearer(session.accessToken);
+
+            const { passed } = await runMiddleware(requireAuth, req);
+            expect(passed).to.equal(true);
+            expect(req.user).to.include({ id: user._id.toString(), email: user.email });
+        });
+
+        it("Should answer 401 without a bearer token", async function () {
+            for (const req of [{ headers: {} }, { headers: { authorization: "Basic abc" } }, { headers: { authorization: "Bearer" } }]) {
+                const { passed, res } = await runMiddleware(requireAuth, req);
+                expect(passed).to.equal(false);
+                expect(res.statusCode).to.equal(401);
+                expect(res.body.error).to.equal("Authorization token required");
+            }
+        });
+
+        it("Should answer 401 for refresh, tampered and revoked tokens", async function () {
+            const session = await authService.createSession(user);
+
+            const refresh = await runMiddleware(requireAuth, bearer(session.refreshToken));
+            expect(refresh.res.statusCode).to.equal(401);
+
+            const tampered = await runMiddleware(requireAuth, bearer(`${session.accessToken}x`));
+            expect(tampered.res.statusCode).to.equal(401);
+            expect(tampered.res.body.error).to.equal("Invalid or expired token");
+
+            await authService.revokeSession(session.refreshToken);
+            const revoked = await runMiddleware(requireAuth, bearer(session.accessToken));
+            expect(revoked.passed).to.equal(false);
+            expect(revoked.res.statusCode).to.equal(401);
+            expect(revoked.res.body.error).to.equal("Session has expired or been revoked");
+        });
+    });
+
+    describe("requireAdmin", function () {
+        it("Should let admins through", async function () {
+            await UserModel.updateOne({ _id: user._id }, { role: "admin" });
+
+            const { passed } = await runMiddleware(requireAdmin, { user: { id: user._id.toString() } });
+            expect(passed).to.equal(true);
+        });
+
+        it("Should answer 403 for users and for removed accounts", async function () {
+            const regular = await runMiddleware(requireAdmin, { user: { id: user._id.toString() } });
+            expect(regular.passed).to.equal(false);
+            expect(regular.res.statusCode).to.equal(403);
+            expect(regular.res.body.error).to.equal("Admin access required");
+
+            // The role is read on every request, a removed account loses access at once
+            await UserModel.deleteOne({ _id: user._id });
+            const removed = await runMiddleware(requireAdmin, { user: { id: user._id.toString() } });
+            expect(removed.res.statusCode).to.equal(403);
+        });
+    });
+});
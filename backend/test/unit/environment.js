@@ -0,0 +1,117 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+
+// Shared setup of the unit tests: the backend against an in-memory MongoDB and a registry whose chains
+// are never called. The configuration is read once per process, so next to the e2e suite its values win
+const registryPath = path.join(os.tmpdir(), `zkpridge-unit-chains-${process.pid}.json`);
+
+// First default Hardhat account, nothing is signed with it
+const PRIVATE_KEY = "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+
+const chain = (chainId, key, contracts) => ({
+    chainId: chainId,
+    key: key,
+    name: key,
+    nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
+    rpcUrls: ["http://127.0.0.1:1"],
+    rpc: { healthCheckIntervalMs: 0 },
+    explorerUrl: "http://localhost",
+    contracts: contracts,
+});
+
+function configureEnvironment() {
+    const address = "0x0000000000000000000000000000000000000001";
+    fs.writeFileSync(registryPath, JSON.stringify({
+        chains: [
+            chain(31337, "sepolia", { token: address, lock: address }),
+            chain(31338, "amoy", { token: address, mint: address }),
+        ],
+        routes: [
+            { sourceChainId: 31337, destinationChainId: 31338, direction: "LOCK_MINT" },
+            { sourceChainId: 31338, destinationChainId: 31337, direction: "BURN_RELEASE" },
+        ],
+    }, null, 4));
+
+    Object.assign(process.env, {
+        PORT: "5001",
+        MONGO_USERNAME: "unit",
+        MONGO_PASSWORD: "unit",
+        MONGO_STRING: "localhost",
+        PRIVATE_KEY: PRIVATE_KEY,
+        ETHERSCAN_API_KEY: "unit",
+        ARGENT_X_PRIVATE_KEY: "0x1",
+        PUBLIC_KEY: "0x1",
+        STARK_PRIVATE_INPUT_1: "123",
+        STARK_PRIVATE_INPUT_2: "456",
+        JWT_ACCESS_SECRET: "unit-access-secret",
+        JWT_REFRESH_SECRET: "unit-refresh-secret",
+        WALLET_KEYSTORE_PASSWORD: "unit-keystore-password",
+        PROOF_MODE: "local",
+        CHAINS_CONFIG_PATH: registryPath,
+        TRANSFER_EVENTS_POLL_INTERVAL_MS: "100",
+    });
+}
+
+let mongoServer;
+
+// Call in before, the backend modules are only required after it
+async function startDatabase() {
+    configureEnvironment();
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+}
+
+async function stopDatabase() {
+    await mongoose.disconnect();
+    if (mongoServer) {
+        await mongoServer.stop();
+    }
+    fs.rmSync(registryPath, { force: true });
+}
+
+// Every case starts from empty collections
+async function clearDatabase() {
+    for (const collection of Object.values(mongoose.connection.collections)) {
+        await collection.deleteMany({});
+    }
+}
+
+// Just enough of an Express response for the middlewares and controllers, streamed writes are kept in order
+function mockResponse() {
+    const res = { statusCode: 200, body: undefined, headers: {}, chunks: [] };
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.json = (body) => {
+        res.body = body;
+        return res;
+    };
+    res.writeHead = (code, headers) => {
+        res.statusCode = code;
+        res.headers = headers;
+        return res;
+    };
+    res.write = (chunk) => {
+        res.chunks.push(chunk);
+        return true;
+    };
+    return res;
+}
+
+async function expectRejection(promise, message) {
+    let rejection;
+    try {
+        await promise;
+    } catch (error) {
+        rejection = error;
+    }
+    expect(rejection, "expected a rejection").to.be.an("error");
+    expect(rejection.message).to.include(message);
+}
+
+module.exports = { configureEnvironment, startDatabase, stopDatabase, clearDatabase, mockResponse, expectRejection };
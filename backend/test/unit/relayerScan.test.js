@@ -0,0 +1,190 @@
+const { expect } = require("chai");
+const http = require("http");
+const { Contract, Interface, Wallet, id, toBeHex, zeroPadValue } = require("ethers");
+const { startDatabase, stopDatabase, clearDatabase } = require("./environment");
+
+const lockContractABI = require("../../blockchain/ABI/LockTokenABI");
+
+const LOCK_ADDRESS = "0x0000000000000000000000000000000000000001";
+const LOCK_BLOCK = 108;
+
+// Both nodes serve the same chain, a block has the same hash on each of them once they have it
+const blockHash = (number) => id(`block-${number}`);
+
+// JSON-RPC node of the source chain synced up to the given block, with a single lock in block LOCK_BLOCK
+function startNode(height) {
+    const user = Wallet.createRandom().address;
+    const lockLog = {
+        address: LOCK_ADDRESS,
+        ...new Interface(lockContractABI).encodeEventLog("TokensLocked", [user, 5n * 10n ** 18n, user]),
+        blockNumber: toBeHex(LOCK_BLOCK),
+        blockHash: blockHash(LOCK_BLOCK),
+        transactionHash: id("lock"),
+        transactionIndex: "0x0",
+        logIndex: "0x0",
+        removed: false,
+    };
+
+    const answer = ({ method, params }) => {
+        switch (method) {
+            case "eth_chainId":
+                return toBeHex(31337);
+            case "eth_blockNumber":
+                return toBeHex(height);
+            case "eth_getLogs": {
+                // Blocks past its head are not known to the node yet, so neither are their logs
+                const toBlock = Math.min(Number(params[0].toBlock), height);
+                return Number(params[0].fromBlock) <= LOCK_BLOCK && LOCK_BLOCK <= toBlock ? [lockLog] : [];
+            }
+            case "eth_getBlockByNumber": {
+                const number = Number(params[0]);
+                return number > height ? null : {
+                    hash: blockHash(number),
+                    parentHash: blockHash(number - 1),
+                    number: toBeHex(number),
+                    timestamp: toBeHex(1700000000 + number * 12),
+                    nonce: "0x0000000000000000",
+                    difficulty: "0x0",
+                    gasLimit: toBeHex(30000000),
+                    gasUsed: "0x0",
+                    miner: zeroPadValue("0x", 20),
+                    extraData: "0x",
+                    baseFeePerGas: "0x1",
+                    transactions: [],
+                };
+            }
+            default:
+                return undefined;
+        }
+    };
+
+    const server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => (body += chunk));
+        req.on("end", () => {
+            const payload = JSON.parse(body);
+            const results = (Array.isArray(payload) ? payload : [payload]).map((request) => ({
+                jsonrpc: "2.0",
+                id: request.id,
+                result: answer(request),
+            }));
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(JSON.stringify(Array.isArray(payload) ? results : results[0]));
+        });
+    });
+
+    return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server)));
+}
+
+// The relayer reads the source chain through several RPC endpoints. A node lagging behind the others has no logs
+// for its missing blocks, a pass that took the head from another node would move the cursor over the lock for good
+describe("Relayer scan over RPC endpoints at different heights", function () {
+    this.timeout(60 * 1000);
+
+    let RelayerService;
+    let FailoverRpcProvider;
+    let BridgeTransferModel;
+    let RelayerCursorModel;
+    let laggingNode;
+    let leadingNode;
+    let relayerService;
+    let provider;
+
+    before(async function () {
+        await startDatabase();
+
+        RelayerService = require("../../services/RelayerService");
+        FailoverRpcProvider = require("../../services/providers/FailoverRpcProvider");
+        BridgeTransferModel = require("../../models/bridgeTransferModel");
+        RelayerCursorModel = require("../../models/relayerCursorModel");
+
+        // Within the 5 blocks of lag the health check lets through
+        laggingNode = await startNode(106);
+        leadingNode = await startNode(110);
+    });
+
+    after(async function () {
+        laggingNode.close();
+        leadingNode.close();
+        await stopDatabase();
+    });
+
+    beforeEach(async function () {
+        await clearDatabase();
+
+        // Only the lock route, its chain served by the two nodes
+        relayerService = new RelayerService();
+        const source = relayerService.sources.find(({ route }) => route.direction === "LOCK_MINT");
+        const chain = {
+            ...source.chain,
+            startBlock: 100,
+            rpcUrls: [laggingNode, leadingNode].map((node) => ({ url: `http://127.0.0.1:${node.address().port}`, weight: 1 })),
+            rpc: { ...source.chain.rpc, healthCheckIntervalMs: 0 },
+        };
+        provider = new FailoverRpcProvider(chain);
+        relayerService.sources = [{
+            ...source,
+            chain: chain,
+            provider: provider,
+            contract: new Contract(LOCK_ADDRESS, lockContractABI, provider),
+        }];
+        relayerService.running = true;
+    });
+
+    afterEach(function () {
+        provider.destroy();
+    });
+
+    const [lagging, leading] = [0, 1];
+    const setDown = (index, down) => {
+        provider.endpoints[index].downUntil = down ? Date.now() + 60 * 1000 : 0;
+    };
+    const cursorBlock = async () => (await RelayerCursorModel.findOne({ name: "sepolia-lock-contract" })).lastProcessedBlock;
+
+    it("Should take the head, the logs and the block hashes of a pass from one endpoint", async function () {
+        const heights = [106, 110];
+        let scannedBlock = 99;
+        for (let pass = 0; pass < 5; pass++) {
+            provider.endpoints.forEach((endpoint) => (endpoint.methods = {}));
+            await relayerService.tick();
+
+            const used = provider.endpoints.filter((endpoint) => Object.keys(endpoint.methods).length > 0);
+            expect(used).to.have.length(1);
+            expect(used[0].methods).to.include.keys("eth_blockNumber");
+
+            // Whichever node served a pass, the cursor never moves past the blocks that node has seen
+            scannedBlock = Math.max(scannedBlock, heights[used[0].index]);
+            expect(await cursorBlock()).to.equal(scannedBlock);
+            expect(await BridgeTransferModel.countDocuments({ reorged: { $ne: true } })).to.equal(scannedBlock >= LOCK_BLOCK ? 1 : 0);
+        }
+    });
+
+    it("Should not move the cursor past the blocks of a lagging endpoint", async function () {
+        // Step 1: The lagging node serves the pass, the lock is not in the blocks it has
+        setDown(leading, true);
+        await relayerService.tick();
+        expect(await cursorBlock()).to.equal(106);
+        expect(await BridgeTransferModel.countDocuments({})).to.equal(0);
+        expect(provider.endpoints[lagging].methods).to.include.keys("eth_blockNumber", "eth_getLogs", "eth_getBlockByNumber");
+        expect(provider.endpoints[leading].methods).to.deep.equal({});
+
+        // Step 2: The next pass on the leading node picks the lock up from where the lagging node stopped
+        setDown(leading, false);
+        setDown(lagging, true);
+        await relayerService.tick();
+        expect(await cursorBlock()).to.equal(110);
+
+        const transfers = await BridgeTransferModel.find({});
+        expect(transfers).to.have.length(1);
+        expect(transfers[0].blockNumber).to.equal(LOCK_BLOCK);
+        expect(transfers[0].blockHash).to.equal(blockHash(LOCK_BLOCK));
+        expect(transfers[0].status).to.equal("LOCKED");
+
+        // Step 3: Back on the lagging node, the cursor and the lock past its head are left as they are
+        setDown(lagging, false);
+        setDown(leading, true);
+        await relayerService.tick();
+        expect(await cursorBlock()).to.equal(110);
+        expect(await BridgeTransferModel.countDocuments({ status: "LOCKED", reorged: { $ne: true } })).to.equal(1);
+    });
+});
@@ -0,0 +1,168 @@
+const { expect } = require("chai");
+const EventEmitter = require("events");
+const { Wallet, id } = require("ethers");
+const { startDatabase, stopDatabase, clearDatabase, mockResponse, expectRejection } = require("./environment");
+
+// Resolves once the check passes, the polling fallback publishes changes on its own schedule
+async function waitFor(check, timeoutMs = 10000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!check()) {
+        if (Date.now() > deadline) {
+            throw new Error("Timed out waiting for the condition");
+        }
+        await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+}
+
+// The change stream fails asynchronously after the first subscriber, polling picks up changes from then on
+const pollingStarted = () => new Promise((resolve) => setTimeout(resolve, 500));
+
+// Server-Sent Events of transfer changes, only ever about transfers of the caller's wallets.
+// The in-memory MongoDB is a standalone server without change streams, so they come from the polling fallback
+describe("Transfer event stream", function () {
+    this.timeout(60 * 1000);
+
+    let transactionService;
+    let walletService;
+    let TransactionController;
+    let TransferEventService;
+    let BridgeTransferModel;
+    let UserModel;
+    let user;
+    let wallet;
+    let otherWallet;
+    const requests = [];
+
+    before(async function () {
+        await startDatabase();
+
+        const TransactionService = require("../../services/TransactionService");
+        const WalletService = require("../../services/WalletService");
+        TransactionController = require("../../controllers/TransactionController");
+        TransferEventService = require("../../services/TransferEventService");
+        BridgeTransferModel = require("../../models/bridgeTransferModel");
+        UserModel = require("../../models/userModel");
+        transactionService = new TransactionService();
+        walletService = new WalletService();
+    });
+
+    after(async function () {
+        await stopDatabase();
+    });
+
+    beforeEach(async function () {
+        await clearDatabase();
+        const createUser = async (email) => {
+            const userData = await UserModel.create({ email: email, password: "not-used", name: "Stream", phoneNumber: "00000000000" });
+            return { id: userData._id, email: userData.email };
+        };
+        user = await createUser("stream@zkpridge.test");
+        ({ wallet } = await walletService.createWallet({}, user));
+        ({ wallet: otherWallet } = await walletService.createWallet({}, await createUser("other@zkpridge.test")));
+    });
+
+    // Closing the requests unsubscribes their listeners, the event source stops with the last one
+    afterEach(function () {
+        for (const req of requests.splice(0)) {
+            req.emit("close");
+        }
+    });
+
+    async function createTransfer(sender, sourceTxHash = id(`lock-${Math.random()}`)) {
+        return BridgeTransferModel.create({
+            sourceNonce: id(`${sourceTxHash}:0`),
+            sourceTxHash: sourceTxHash,
+            logIndex: 0,
+            blockNumber: 1,
+            sender: sender,
+            destinationAddress: sender,
+            amount: "1000000000000000000",
+            sourceChainId: 31337,
+            destinationChainId: 31338,
+        });
+    }
+
+    // Opens a stream through the controller, like GET /transaction/stream
+    async function openStream(query) {
+        const req = new EventEmitter();
+        req.query = query;
+        req.user = user;
+        requests.push(req);
+
+        const res = mockResponse();
+        await TransactionController.streamTransfers(req, res);
+        return res;
+    }
+
+    // Transfers sent on the stream so far, in order
+    const streamedTransfers = (res) => res.chunks
+        .filter((chunk) => chunk.startsWith("event: transfer\n"))
+        .map((chunk) => JSON.parse(chunk.split("data: ")[1]));
+
+    it("Should refuse to stream an address that is not one of the caller's wallets", async function () {
+        const res = await openStream({ address: otherWallet.address });
+        expect(res.statusCode).to.equal(400);
+        expect(res.body.error).to.equal("Address is not one of your wallets");
+
+        await expectRejection(transactionService.getTransferStream({ address: Wallet.createRandom().address }, user), "not one of your wallets");
+    });
+
+    it("Should not stream transfers of other users by id or transaction hash", async function () {
+        const foreign = await createTransfer(otherWallet.address);
+
+        const byId = await openStream({ transferId: String(foreign._id) });
+        const byHash = await openStream({ sourceTxHash: foreign.sourceTxHash });
+        expect(byId.statusCode).to.equal(200);
+        await pollingStarted();
+
+        // Neither the current state nor a later change reaches the caller
+        await transactionService.transitionTransfer(foreign._id, "CONFIRMED");
+        const own = await createTransfer(wallet.address);
+        const ownStream = await openStream({ transferId: String(own._id) });
+        await transactionService.transitionTransfer(own._id, "CONFIRMED");
+        await waitFor(() => streamedTransfers(ownStream).some(({ status }) => status === "CONFIRMED"));
+
+        expect(streamedTransfers(byId)).to.deep.equal([]);
+        expect(streamedTransfers(byHash)).to.deep.equal([]);
+    });
+
+    it("Should send the current state, then push every change of the caller's transfers", async function () {
+        const transfer = await createTransfer(wallet.address);
+        await createTransfer(otherWallet.address);
+
+        const res = await openStream({ address: wallet.address });
+        expect(res.headers["Content-Type"]).to.equal("text/event-stream");
+        expect(streamedTransfers(res).map(({ status }) => status)).to.deep.equal(["LOCKED"]);
+        await pollingStarted();
+
+        await transactionService.transitionTransfer(transfer._id, "CONFIRMED");
+        await waitFor(() => streamedTransfers(res).length === 2);
+
+        const [, pushed] = streamedTransfers(res);
+        expect(pushed.id).to.equal(String(transfer._id));
+        expect(pushed.status).to.equal("CONFIRMED");
+        expect(pushed.sender).to.equal(wallet.address);
+    });
+
+    it("Should fall back to polling without change streams and stop with the last listener", async function () {
+        const transferEventService = new TransferEventService();
+        const published = [];
+        const unsubscribe = transferEventService.subscribe((transfer) => published.push(transfer));
+
+        // The change stream fails on a standalone server and polling takes over
+        await waitFor(() => transferEventService.pollTimer !== null);
+        expect(transferEventService.changeStream).to.equal(null);
+
+        const transfer = await createTransfer(wallet.address);
+        await waitFor(() => published.some(({ _id }) => String(_id) === String(transfer._id)));
+        await transactionService.transitionTransfer(transfer._id, "CONFIRMED");
+        await waitFor(() => published.some(({ status }) => status === "CONFIRMED"));
+
+        // Each version of a transfer is published once
+        const versions = published.map(({ _id, updatedAt }) => `${_id}:${updatedAt.getTime()}`);
+        expect(new Set(versions).size).to.equal(versions.length);
+
+        unsubscribe();
+        expect(transferEventService.pollTimer).to.equal(null);
+    });
+});
@@ -0,0 +1,69 @@
+const { expect } = require("chai");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const { Wallet } = require("ethers");
+const { configureEnvironment } = require("./environment");
+
+const BACKEND_DIR = path.join(__dirname, "../..");
+
+// Second default Hardhat account, nothing is signed with it
+const VALIDATOR_KEY = "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d";
+
+// Loads the validator in a process of its own, with nothing of the environment but what is given
+function runValidator(env) {
+    const script = `
+        const path = require("path");
+        const ValidatorService = require("./services/ValidatorService");
+        new ValidatorService().getSigner().then((signer) => {
+            const loaded = Object.keys(require.cache).filter((file) => !file.includes("node_modules"));
+            console.log(JSON.stringify({ address: signer.address, loaded: loaded.map((file) => path.relative(process.cwd(), file)) }));
+        });
+    `;
+    return spawnSync(process.execPath, ["-e", script], {
+        cwd: BACKEND_DIR,
+        env: { PATH: process.env.PATH, ...env },
+        encoding: "utf8",
+    });
+}
+
+// A validator is run by an independent operator, it starts with its own signer and the chain registry alone
+describe("Validator configuration", function () {
+    this.timeout(60 * 1000);
+
+    let registryPath;
+
+    before(function () {
+        // Only for the registry file, the validator process does not get the backend environment
+        configureEnvironment();
+        registryPath = process.env.CHAINS_CONFIG_PATH;
+    });
+
+    after(function () {
+        fs.rmSync(registryPath, { force: true });
+    });
+
+    it("Should start without any of the backend's secrets", async function () {
+        const result = runValidator({
+            CHAINS_CONFIG_PATH: registryPath,
+            VALIDATOR_API_URL: "http://127.0.0.1:1",
+            VALIDATOR_PRIVATE_KEY: VALIDATOR_KEY,
+        });
+        expect(result.status, result.stderr).to.equal(0);
+
+        const { address, loaded } = JSON.parse(result.stdout);
+        expect(address).to.equal(new Wallet(VALIDATOR_KEY).address);
+        expect(loaded).to.include(path.join("configuration", "validatorConfig.js"));
+        expect(loaded).to.not.include(path.join("configuration", "config.js"));
+    });
+
+    it("Should refuse an unknown validator signer", async function () {
+        const result = runValidator({
+            CHAINS_CONFIG_PATH: registryPath,
+            VALIDATOR_API_URL: "http://127.0.0.1:1",
+            VALIDATOR_SIGNER: "hsm",
+        });
+        expect(result.status).to.not.equal(0);
+        expect(result.stderr).to.include("Invalid VALIDATOR_SIGNER: hsm");
+    });
+});
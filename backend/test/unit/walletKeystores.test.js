@@ -0,0 +1,122 @@
+const { expect } = require("chai");
+const { Wallet } = require("ethers");
+const { startDatabase, stopDatabase, clearDatabase, expectRejection } = require("./environment");
+
+// Custodial keys are only stored as keystores encrypted with WALLET_KEYSTORE_PASSWORD,
+// migrate:wallets encrypts the plaintext documents of earlier versions
+describe("Wallet keystores", function () {
+    // Every keystore is encrypted and decrypted with scrypt
+    this.timeout(2 * 60 * 1000);
+
+    let migrate;
+    let walletService;
+    let WalletModel;
+    let user;
+
+    before(async function () {
+        await startDatabase();
+
+        ({ migrate } = require("../../scripts/migrateWalletKeystores"));
+        const WalletService = require("../../services/WalletService");
+        WalletModel = require("../../models/walletModel");
+        walletService = new WalletService();
+    });
+
+    after(async function () {
+        await stopDatabase();
+    });
+
+    beforeEach(async function () {
+        await clearDatabase();
+        const UserModel = require("../../models/userModel");
+        const userData = await UserModel.create({
+            email: "keystore@zkpridge.test",
+            password: "not-used",
+            name: "Keystore",
+            phoneNumber: "00000000000",
+        });
+        user = { id: userData._id, email: userData.email };
+    });
+
+    // Document of a custodial wallet the way the first version stored it, the key in plaintext
+    async function insertLegacyWallet(wallet) {
+        const { insertedId } = await WalletModel.collection.insertOne({
+            user: user.id,
+            address: wallet.address,
+            privateKey: wallet.privateKey,
+            publicKey: wallet.publicKey,
+            mnemonic: { phrase: wallet.mnemonic.phrase, password: "", entropy: wallet.mnemonic.entropy },
+            path: wallet.path,
+            index: wallet.index,
+            depth: wallet.depth,
+            createdAt: new Date(),
+        });
+        return insertedId;
+    }
+
+    it("Should encrypt a legacy plaintext wallet and drop its secrets", async function () {
+        const wallet = Wallet.createRandom();
+        const id = await insertLegacyWallet(wallet);
+
+        expect(await migrate()).to.equal(0);
+
+        const document = await WalletModel.collection.findOne({ _id: id });
+        expect(document).to.not.have.any.keys("privateKey", "mnemonic");
+        const decrypted = await Wallet.fromEncryptedJson(document.keystore, process.env.WALLET_KEYSTORE_PASSWORD);
+        expect(decrypted.address).to.equal(wallet.address);
+        expect(decrypted.mnemonic.phrase).to.equal(wallet.mnemonic.phrase);
+
+        // The migrated wallet signs like one created since
+        const signer = await walletService.getSigner(String(id), user);
+        expect(signer.address).to.equal(wallet.address);
+
+        // A second run leaves it alone
+        expect(await migrate()).to.equal(0);
+        expect((await WalletModel.collection.findOne({ _id: id })).keystore).to.equal(document.keystore);
+    });
+
+    it("Should re-encrypt keystores of the previous master password", async function () {
+        const wallet = Wallet.createRandom();
+        const keystore = await wallet.encrypt("previous-password");
+        const { _id } = await WalletModel.create({ user: user.id, address: wallet.address, keystore: keystore, publicKey: wallet.publicKey });
+
+        expect(await migrate("previous-password")).to.equal(0);
+
+        const signer = await walletService.getSigner(String(_id), user);
+        expect(signer.address).to.equal(wallet.address);
+    });
+
+    it("Should fail keystores encrypted with a wrong password and leave them as they are", async function () {
+        const wallet = Wallet.createRandom();
+        const keystore = await wallet.encrypt("unknown-password");
+        const { _id } = await WalletModel.create({ user: user.id, address: wallet.address, keystore: keystore, publicKey: wallet.publicKey });
+
+        expect(await migrate("wrong-password")).to.equal(1);
+        expect((await WalletModel.collection.findOne({ _id: _id })).keystore).to.equal(keystore);
+
+        // The backend cannot sign for it either
+        await expectRejection(walletService.getSigner(String(_id), user), "incorrect password");
+    });
+
+    it("Should fail a legacy wallet whose key does not match its address", async function () {
+        const wallet = Wallet.createRandom();
+        const id = await insertLegacyWallet(wallet);
+        await WalletModel.collection.updateOne({ _id: id }, { $set: { address: Wallet.createRandom().address } });
+
+        expect(await migrate()).to.equal(1);
+        expect(await WalletModel.collection.findOne({ _id: id })).to.include.keys("privateKey");
+    });
+
+    it("Should never return the keystore of a wallet", async function () {
+        const { wallet } = await walletService.createWallet({}, user);
+        expect(wallet).to.not.have.property("keystore");
+        expect(wallet.address).to.be.a("string");
+
+        const [listed] = await walletService.listWallets(user);
+        expect(listed).to.not.have.property("keystore");
+        expect(JSON.parse(JSON.stringify(await WalletModel.findById(wallet._id)))).to.not.have.property("keystore");
+
+        // It is stored all the same
+        expect((await WalletModel.findById(wallet._id)).keystore).to.be.a("string");
+    });
+});
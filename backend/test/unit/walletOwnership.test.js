@@ -0,0 +1,183 @@
+const { expect } = require("chai");
+const { Wallet } = require("ethers");
+const { startDatabase, stopDatabase, clearDatabase, expectRejection } = require("./environment");
+
+// External wallets are linked with a Sign-In with Ethereum message, and a wallet only ever serves the user it belongs to
+describe("Wallet ownership", function () {
+    this.timeout(2 * 60 * 1000);
+
+    let walletService;
+    let transactionService;
+    let chainService;
+    let UserModel;
+    let WalletModel;
+    let WalletNonceModel;
+    let user;
+    let otherUser;
+
+    before(async function () {
+        await startDatabase();
+
+        const WalletService = require("../../services/WalletService");
+        const TransactionService = require("../../services/TransactionService");
+        const ChainService = require("../../services/ChainService");
+        UserModel = require("../../models/userModel");
+        WalletModel = require("../../models/walletModel");
+        WalletNonceModel = require("../../models/walletNonceModel");
+        walletService = new WalletService();
+        transactionService = new TransactionService();
+        chainService = new ChainService();
+    });
+
+    after(async function () {
+        await stopDatabase();
+    });
+
+    beforeEach(async function () {
+        await clearDatabase();
+        const createUser = async (email) => {
+            const userData = await UserModel.create({ email: email, password: "not-used", name: "Owner", phoneNumber: "00000000000" });
+            return { id: userData._id, email: userData.email };
+        };
+        user = await createUser("owner@zkpridge.test");
+        otherUser = await createUser("other@zkpridge.test");
+    });
+
+    // Challenge for the wallet and the signature of its exact message, the way MetaMask signs it
+    async function signChallenge(wallet, caller = user, params = {}) {
+        const challenge = await walletService.createSiweNonce({ address: wallet.address, ...params }, caller);
+        return { challenge, signature: await wallet.signMessage(challenge.message) };
+    }
+
+    describe("Sign-In with Ethereum", function () {
+        it("Should link an external wallet with a signed challenge", async function () {
+            const wallet = Wallet.createRandom();
+            const { challenge, signature } = await signChallenge(wallet);
+            expect(challenge.message).to.include(`Chain ID: ${chainService.getRoute().sourceChainId}`);
+
+            const result = await walletService.registerExternalWallet({ nonce: challenge.nonce, signature: signature }, user);
+            expect(result.message).to.equal("Wallet linked successfully");
+            expect(result.wallet).to.include({ type: "external", address: wallet.address });
+            expect(await walletService.getUserAddresses(user)).to.deep.equal([wallet.address]);
+        });
+
+        it("Should accept each nonce only once", async function () {
+            const wallet = Wallet.createRandom();
+            const { challenge, signature } = await signChallenge(wallet);
+
+            await walletService.registerExternalWallet({ nonce: challenge.nonce, signature: signature }, user);
+            await expectRejection(walletService.registerExternalWallet({ nonce: challenge.nonce, signature: signature }, user), "Invalid or expired nonce");
+
+            // A failed attempt uses it up as well
+            const { challenge: next } = await signChallenge(wallet);
+            await expectRejection(walletService.registerExternalWallet({ nonce: next.nonce, signature: signature.replace(/.$/, "0") }, user), "Invalid");
+            await expectRejection(walletService.registerExternalWallet({ nonce: next.nonce, signature: signature }, user), "Invalid or expired nonce");
+        });
+
+        it("Should refuse an expired nonce or one issued to another user", async function () {
+            const wallet = Wallet.createRandom();
+            const { challenge, signature } = await signChallenge(wallet);
+
+            await expectRejection(walletService.registerExternalWallet({ nonce: challenge.nonce, signature: signature }, otherUser), "Invalid or expired nonce");
+
+            await WalletNonceModel.updateOne({ nonce: challenge.nonce }, { expiresAt: new Date(Date.now() - 1000) });
+            await expectRejection(walletService.registerExternalWallet({ nonce: challenge.nonce, signature: signature }, user), "Invalid or expired nonce");
+            expect(await WalletModel.countDocuments()).to.equal(0);
+        });
+
+        it("Should refuse a message signed for another domain or chain", async function () {
+            const wallet = Wallet.createRandom();
+
+            // The signature has to cover the stored message, a wallet that signed another one does not recover to the address
+            for (const tamper of [
+                (message) => message.replace(/^\S+ wants you/, "evil.example wants you"),
+                (message) => message.replace(/Chain ID: \d+/, "Chain ID: 1"),
+            ]) {
+                const { challenge } = await signChallenge(wallet);
+                const signature = await wallet.signMessage(tamper(challenge.message));
+                await expectRejection(
+                    walletService.registerExternalWallet({ nonce: challenge.nonce, signature: signature }, user),
+                    "Signature does not match the wallet address"
+                );
+            }
+
+            // Challenges are only issued for chains of the registry
+            await expectRejection(signChallenge(wallet, user, { chainId: 1 }), "chainId must be a supported chain");
+            expect(await WalletModel.countDocuments()).to.equal(0);
+        });
+
+        it("Should refuse a message signed by another wallet", async function () {
+            const wallet = Wallet.createRandom();
+            const { challenge } = await signChallenge(wallet);
+            const signature = await Wallet.createRandom().signMessage(challenge.message);
+
+            await expectRejection(
+                walletService.registerExternalWallet({ nonce: challenge.nonce, signature: signature }, user),
+                "Signature does not match the wallet address"
+            );
+        });
+
+        it("Should not link a wallet of another account or one without an owner", async function () {
+            const wallet = Wallet.createRandom();
+            const linked = await signChallenge(wallet, otherUser);
+            await walletService.registerExternalWallet({ nonce: linked.challenge.nonce, signature: linked.signature }, otherUser);
+
+            const { challenge, signature } = await signChallenge(wallet);
+            await expectRejection(
+                walletService.registerExternalWallet({ nonce: challenge.nonce, signature: signature }, user),
+                "already linked to another account"
+            );
+
+            // Wallets from before they belonged to a user are assigned by an admin
+            const legacy = Wallet.createRandom();
+            await WalletModel.collection.insertOne({ type: "external", address: legacy.address, createdAt: new Date() });
+            const legacyChallenge = await signChallenge(legacy);
+            await expectRejection(
+                walletService.registerExternalWallet({ nonce: legacyChallenge.challenge.nonce, signature: legacyChallenge.signature }, user),
+                "has no owner yet"
+            );
+        });
+    });
+
+    describe("Wallets of other users", function () {
+        it("Should not sign with a wallet of another user", async function () {
+            const { wallet } = await walletService.createWallet({}, otherUser);
+
+            await expectRejection(walletService.getSigner(String(wallet._id), user), "Wallet not found");
+            await expectRejection(walletService.getSigner("not-an-id", user), "Wallet not found");
+
+            const signer = await walletService.getSigner(String(wallet._id), otherUser);
+            expect(signer.address).to.equal(wallet.address);
+        });
+
+        it("Should not sign for an external wallet", async function () {
+            const wallet = Wallet.createRandom();
+            const { challenge, signature } = await signChallenge(wallet);
+            const { wallet: linked } = await walletService.registerExternalWallet({ nonce: challenge.nonce, signature: signature }, user);
+
+            await expectRejection(walletService.getSigner(String(linked._id), user), "External wallets sign their own transactions");
+        });
+
+        it("Should only accept locks sent from one of the caller's wallets", async function () {
+            const { wallet } = await walletService.createWallet({}, otherUser);
+            const route = chainService.getRoute();
+            const sourceTxHash = `0x${"ab".repeat(32)}`;
+
+            // The lock as the source chain has it, sent by the other user's wallet
+            transactionService.readSourceEvents = async () => [{
+                transactionHash: sourceTxHash,
+                logIndex: 0,
+                sender: wallet.address,
+                amount: 10n ** 18n,
+                destinationAddress: wallet.address,
+            }];
+
+            await expectRejection(
+                transactionService.getSourceEvents(sourceTxHash, route, user),
+                "was not sent from one of your wallets"
+            );
+            const [sourceEvent] = await transactionService.getSourceEvents(sourceTxHash, route, otherUser);
+            expect(sourceEvent.sender).to.equal(wallet.address);
+        });
+    });
+});
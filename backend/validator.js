@@ -0,0 +1,16 @@
+// Importing the validator service, it only talks to the chains and the backend API.
+// It signs with the signer configured by VALIDATOR_SIGNER and needs none of the backend's secrets
+const ValidatorService = require("./services/ValidatorService");
+const validatorService = new ValidatorService();
+
+// Stopping the validator cleanly so a signature is not left unsubmitted
+async function shutdown(signal) {
+  console.log(`Received ${signal}, shutting down validator...`);
+  await validatorService.stop();
+  process.exit(0);
+}
+
+process.on("SIGINT", () => shutdown("SIGINT"));
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+
+validatorService.start();
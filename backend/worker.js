@@ -0,0 +1,31 @@
+// Importing libraries
+const mongoose = require("mongoose");
+
+// Getting the configuration values
+const config = require("./configuration/config");
+
+// Importing the job worker service
+const JobWorkerService = require("./services/JobWorkerService");
+const jobWorkerService = new JobWorkerService();
+
+// Stopping the worker cleanly so the job in progress is not left half-done
+async function shutdown(signal) {
+  console.log(`Received ${signal}, shutting down job worker...`);
+  await jobWorkerService.stop();
+  await mongoose.disconnect();
+  process.exit(0);
+}
+
+process.on("SIGINT", () => shutdown("SIGINT"));
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+
+// Verifying the connection to database and starting the job worker
+mongoose
+  .connect(config.MONGO_URI)
+  .then(() => {
+    jobWorkerService.start();
+  })
+  .catch((error) => {
+    console.log(error);
+    process.exit(1);
+  });
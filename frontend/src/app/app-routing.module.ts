@@ -3,11 +3,14 @@ import { RouterModule, Routes } from '@angular/router';
 import { UserRegistrationPageComponent } from './pages/user-registration-page/user-registration-page.component';
 import { LoginPageComponent } from './pages/login-page/login-page.component';
 import { BridgePageComponent } from './pages/bridge-page/bridge-page.component';
+import { HistoryPageComponent } from './pages/history-page/history-page.component';
+import { AuthGuard } from './guards/auth.guard';
 
 const routes: Routes = [
   {path: 'registration', component: UserRegistrationPageComponent},
   {path: 'login', component: LoginPageComponent},
-  {path: 'zkpridge', component: BridgePageComponent},
+  {path: 'zkpridge', component: BridgePageComponent, canActivate: [AuthGuard]},
+  {path: 'history', component: HistoryPageComponent, canActivate: [AuthGuard]},
 ];
 
 @NgModule({
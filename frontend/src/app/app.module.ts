@@ -8,13 +8,17 @@ import { AppComponent } from './app.component';
 import { UserRegistrationComponent } from './components/user-registration/user-registration.component';
 import { UserRegistrationPageComponent } from './pages/user-registration-page/user-registration-page.component';
 import { ReactiveFormsModule } from '@angular/forms';
-import { HttpClientModule } from '@angular/common/http';
+import { HttpClientModule, HTTP_INTERCEPTORS } from '@angular/common/http';
 import { LoginPageComponent } from './pages/login-page/login-page.component';
 import { LoginComponent } from './components/login/login.component';
 import { BridgePageComponent } from './pages/bridge-page/bridge-page.component';
 import { BridgeInterfaceComponent } from './components/bridge-interface/bridge-interface.component';
+import { TransferProgressComponent } from './components/transfer-progress/transfer-progress.component';
+import { HistoryPageComponent } from './pages/history-page/history-page.component';
+import { TransferHistoryComponent } from './components/transfer-history/transfer-history.component';
 import { MetaMaskService } from './services/meta-mask.service';
 import { TokenService } from './services/token.service';
+import { AuthInterceptor } from './interceptors/auth.interceptor';
 
 @NgModule({
   declarations: [
@@ -25,6 +29,9 @@ import { TokenService } from './services/token.service';
     UserRegistrationComponent,
     LoginComponent,
     BridgeInterfaceComponent,
+    TransferProgressComponent,
+    HistoryPageComponent,
+    TransferHistoryComponent,
   ],
   imports: [
     BrowserModule,
@@ -35,7 +42,8 @@ import { TokenService } from './services/token.service';
   ],
   providers: [
     MetaMaskService,
-    TokenService
+    TokenService,
+    { provide: HTTP_INTERCEPTORS, useClass: AuthInterceptor, multi: true }
   ],
   
   bootstrap: [AppComponent]
@@ -1,6 +1,18 @@
 import { Component, OnInit } from '@angular/core';
+import { Observable, of, Subject } from 'rxjs';
+import { catchError, debounceTime, map, switchMap } from 'rxjs/operators';
 import { MetaMaskService } from '../../services/meta-mask.service';
 import { TokenService } from '../../services/token.service';
+import { AuthService } from '../../services/auth.service';
+import { WalletService } from '../../services/wallet.service';
+import { BridgeDirection, ChainInfo, ChainRegistry, ChainService } from '../../services/chain.service';
+import { BridgeQuote, TransferService } from '../../services/transfer.service';
+
+// Wait for the user to stop typing before asking for a new quote
+const QUOTE_DEBOUNCE_MS = 500;
+
+// Amounts the backend accepts, at most 18 decimals
+const AMOUNT_PATTERN = /^\d+(\.\d{1,18})?$/;
 
 @Component({
   selector: 'app-bridge-interface',
@@ -11,8 +23,8 @@ export class BridgeInterfaceComponent implements OnInit {
   
   title = 'zkpridge-bridge';
   walletConnected = false;
-  currentNetwork = 'Ethereum Sepolia Testnet';
-  targetNetwork = 'Polygon Amoy Testnet';
+  currentNetwork = '';
+  targetNetwork = '';
   amount = '0';
   sourceWalletAddress = '0x0000...0000';
   targetWalletAddress = '0x0000...0000';
@@ -24,15 +36,123 @@ export class BridgeInterfaceComponent implements OnInit {
   transactionHash = '';
   errorMessage = '';
   
-  networks = [
-    { name: 'Ethereum Sepolia Testnet', icon: '🔵' },
-    { name: 'Polygon Amoy Testnet', icon: '🟣' },
-  ];
+  // Networks come from the backend chain registry, targets are the routes of the current network
+  direction: BridgeDirection = 'LOCK_MINT';
+  registry: ChainRegistry = { chains: [], routes: [] };
+  networks: ChainInfo[] = [];
+  targetNetworks: ChainInfo[] = [];
+  
+  // Route of the last transfer, shown by the progress stepper
+  sentDirection: BridgeDirection = 'LOCK_MINT';
+  sourceChain: ChainInfo | null = null;
+  destinationChain: ChainInfo | null = null;
+  
+  // Estimated costs of the transfer in the form, refreshed whenever the form changes
+  quote: BridgeQuote | null = null;
+  quoteError = '';
+  // The backend refused the transfer, e.g. over a limit of the route or while minting is paused
+  quoteRejected = false;
+  private quoteRequests = new Subject<void>();
   
   constructor(
     private metamaskService: MetaMaskService,
-    private tokenService: TokenService
+    private tokenService: TokenService,
+    private authService: AuthService,
+    private chainService: ChainService,
+    private walletService: WalletService,
+    private transferService: TransferService
   ) { }
+
+  loadNetworks() {
+    this.chainService.getRegistry().subscribe({
+      next: (registry) => {
+        this.registry = registry;
+        this.updateNetworks();
+      },
+      error: (error) => {
+        console.error('Error loading networks:', error);
+        this.errorMessage = 'Error loading supported networks';
+      }
+    });
+  }
+
+  /**
+   * Switch between bridging out (lock and mint) and returning (burn and release)
+   */
+  setDirection(direction: BridgeDirection) {
+    if (this.direction === direction) {
+      return;
+    }
+    this.direction = direction;
+    this.updateNetworks();
+
+    // The source network of the new direction has to be selected in MetaMask
+    if (this.currentNetwork) {
+      this.setNetwork('current', this.currentNetwork);
+    }
+  }
+
+  updateNetworks() {
+    this.networks = this.chainService.getSources(this.registry, this.direction);
+    if (!this.networks.some((chain) => chain.name === this.currentNetwork)) {
+      this.currentNetwork = this.networks.length > 0 ? this.networks[0].name : '';
+    }
+    this.updateTargetNetworks();
+  }
+
+  updateTargetNetworks() {
+    const current = this.registry.chains.find((chain) => chain.name === this.currentNetwork);
+    this.targetNetworks = current ? this.chainService.getDestinations(this.registry, current.chainId) : [];
+
+    if (!this.targetNetworks.some((chain) => chain.name === this.targetNetwork)) {
+      this.targetNetwork = this.targetNetworks.length > 0 ? this.targetNetworks[0].name : '';
+    }
+    this.refreshQuote();
+  }
+
+  /**
+   * Source transactions the user signs, e.g. approve + lockTokens
+   */
+  get quoteSteps(): string {
+    return this.quote ? this.quote.source.steps.map((step) => step.name).join(' + ') : '';
+  }
+
+  /**
+   * Ask for a new quote once the form stops changing
+   */
+  refreshQuote() {
+    this.quoteRequests.next();
+  }
+
+  private loadQuote(): Observable<BridgeQuote | null> {
+    this.quoteError = '';
+    this.quoteRejected = false;
+    const source = this.registry.chains.find((chain) => chain.name === this.currentNetwork);
+    const destination = this.registry.chains.find((chain) => chain.name === this.targetNetwork);
+    if (!source || !destination || !AMOUNT_PATTERN.test(this.amount) || parseFloat(this.amount) <= 0) {
+      return of(null);
+    }
+
+    // Only a wallet linked to the user can be quoted as the sender, it is linked when the transfer is sent
+    const linkedSender: Observable<string | undefined> = this.walletConnected
+      ? this.walletService.getWallets().pipe(
+        map(({ wallets }) => wallets.some((wallet) => wallet.address.toLowerCase() === this.sourceWalletAddress.toLowerCase())
+          ? this.sourceWalletAddress
+          : undefined),
+        catchError(() => of(undefined))
+      )
+      : of(undefined);
+    return linkedSender.pipe(
+      switchMap((sender) => this.transferService.getQuote(this.amount, source.chainId, destination.chainId, sender)),
+      map(({ quote }) => quote),
+      catchError((error) => {
+        console.error('Error loading quote:', error);
+        this.quoteError = error.error?.error || 'Error estimating the transfer costs';
+        this.quoteRejected = error.status === 400;
+        return of(null);
+      })
+    );
+  }
   
   async connectWallet() {
     try {
@@ -75,6 +195,7 @@ export class BridgeInterfaceComponent implements OnInit {
   setNetwork(type: 'current' | 'target', network: string) {
     if (type === 'current') {
       this.currentNetwork = network;
+      this.updateTargetNetworks();
       // Optionally switch the network in MetaMask as well
       const chainId = this.metamaskService.getChainIdByName(network);
       if (chainId) {
@@ -84,12 +205,18 @@ export class BridgeInterfaceComponent implements OnInit {
       }
     } else {
       this.targetNetwork = network;
+      this.refreshQuote();
     }
   }
 
+  logout() {
+    this.authService.logout();
+  }
+
   setMaxAmount() {
     if (this.tokenBalance) {
       this.amount = this.tokenBalance;
+      this.refreshQuote();
     }
   }
 
@@ -106,39 +233,89 @@ export class BridgeInterfaceComponent implements OnInit {
       return;
     }
     
+    // Validate target network, only registry routes are bridged
+    if (!this.targetNetwork) {
+      alert('Bridging is not supported from the current network');
+      return;
+    }
+    
     // Validate target address
     if (!this.targetWalletAddress || this.targetWalletAddress.length < 42) {
       alert('Please enter a valid target wallet address');
       return;
     }
     
+    // Validate the route limits first, the contract reverts an amount outside them and a transfer past a daily limit waits until it fits
+    if (this.quoteRejected) {
+      alert(this.quoteError);
+      return;
+    }
+    
     try {
       this.isLoading = true;
       this.errorMessage = '';
       this.transactionHash = '';
       
-      // Check if lock contract has allowance to spend tokens
-      const hasAllowance = await this.tokenService.checkAllowance(this.sourceWalletAddress);
+      // The transfer is only visible to the account the sending wallet is linked to
+      const sourceChain = this.registry.chains.find((chain) => chain.name === this.currentNetwork) || null;
+      if (!sourceChain) {
+        throw new Error('Unsupported source network');
+      }
+      await this.walletService.ensureLinked(this.sourceWalletAddress, sourceChain.chainId);
+      this.sentDirection = this.direction;
+      this.sourceChain = sourceChain;
+      this.destinationChain = this.registry.chains.find((chain) => chain.name === this.targetNetwork) || null;
+      
+      if (this.direction === 'BURN_RELEASE') {
+        // Burn the wrapped tokens, the relayer releases the originals on the target network
+        console.log('Burning tokens...');
+        this.transactionHash = await this.tokenService.burnTokens(
+          this.amount,
+          this.targetWalletAddress
+        );
+        
+        console.log('Tokens burned. Transaction hash:', this.transactionHash);
+        
+        this.amount = '0';
+        this.refreshQuote();
+        await this.updateTokenInfo();
+        return;
+      }
+      
+      // Check if lock contract has allowance to spend the amount
+      const hasAllowance = await this.tokenService.checkAllowance(this.sourceWalletAddress, this.amount);
       
-      // If no allowance, approve tokens first
-      if (!hasAllowance) {
+      if (hasAllowance) {
+        console.log('Locking tokens...');
+        this.transactionHash = await this.tokenService.lockTokens(
+          this.amount,
+          this.targetWalletAddress
+        );
+      } else if (await this.tokenService.supportsPermit()) {
+        // Sign the approval as a permit and lock in a single transaction
+        console.log('Signing permit and locking tokens...');
+        this.transactionHash = await this.tokenService.lockTokensWithPermit(
+          this.amount,
+          this.targetWalletAddress
+        );
+      } else {
+        // Tokens without permits are approved in a transaction of their own first
         console.log('Approving tokens...');
         const approvalTxHash = await this.tokenService.approveTokens(this.amount);
         console.log('Tokens approved. Transaction hash:', approvalTxHash);
+        
+        console.log('Locking tokens...');
+        this.transactionHash = await this.tokenService.lockTokens(
+          this.amount,
+          this.targetWalletAddress
+        );
       }
       
-      // Now lock the tokens
-      console.log('Locking tokens...');
-      this.transactionHash = await this.tokenService.lockTokens(
-        this.amount,
-        this.targetWalletAddress
-      );
-      
       console.log('Tokens locked. Transaction hash:', this.transactionHash);
-      alert(`Tokens successfully locked! Transaction hash: ${this.transactionHash}`);
       
       // Reset amount
       this.amount = '0';
+      this.refreshQuote();
       
       // Update token balance
       await this.updateTokenInfo();
@@ -153,6 +330,15 @@ export class BridgeInterfaceComponent implements OnInit {
   }
 
   ngOnInit(): void {
+    // Only the quote of the latest form state is shown
+    this.quoteRequests.pipe(
+      debounceTime(QUOTE_DEBOUNCE_MS),
+      switchMap(() => this.loadQuote())
+    ).subscribe((quote) => this.quote = quote);
+
+    // Load the supported networks and their routes
+    this.loadNetworks();
+
     // Subscribe to account changes
     this.metamaskService.isConnected$.subscribe(isConnected => {
       this.walletConnected = isConnected;
@@ -169,12 +355,21 @@ export class BridgeInterfaceComponent implements OnInit {
         
         // Update token info when account changes
         this.updateTokenInfo();
+        this.refreshQuote();
       }
     });
     
     this.metamaskService.chainName$.subscribe(chainName => {
       if (chainName && chainName !== 'Unknown Network') {
         this.currentNetwork = chainName;
+
+        // Follow the direction of the route that starts on the selected network
+        const chain = this.registry.chains.find((item) => item.name === chainName);
+        const route = chain && this.registry.routes.find((item) => item.sourceChainId === chain.chainId);
+        if (route) {
+          this.direction = route.direction;
+        }
+        this.updateNetworks();
       }
     });
     
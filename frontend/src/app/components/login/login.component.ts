@@ -1,7 +1,8 @@
 import { Component, OnInit } from '@angular/core';
 import { FormBuilder, FormGroup, Validators } from '@angular/forms';
-import { Router } from '@angular/router';
+import { ActivatedRoute, Router } from '@angular/router';
 import { UserService } from 'src/app/services/user.service';
+import { AuthService } from 'src/app/services/auth.service';
 
 @Component({
   selector: 'app-login',
@@ -17,7 +18,9 @@ export class LoginComponent implements OnInit {
   constructor(
     private fb: FormBuilder,
     private router: Router,
-    private userService: UserService
+    private route: ActivatedRoute,
+    private userService: UserService,
+    private authService: AuthService
   ) {
     this.loginForm = this.fb.group({
       email: ['', [Validators.required, Validators.email]],
@@ -52,19 +55,18 @@ export class LoginComponent implements OnInit {
           this.isSubmitting = false;
           this.successMessage = 'Login successful!';
           
-          // Save user info in localStorage if needed
-          if (response && response.user) {
-            localStorage.setItem('user_info', JSON.stringify(response.user));
-          }
+          // Save the session tokens and user info
+          this.authService.storeSession(response);
           
-          // Navigate to dashboard or home page after successful login
+          // Navigate back to the guarded page, or to the bridge, after successful login
+          const returnUrl = this.route.snapshot.queryParamMap.get('returnUrl') || '/zkpridge';
           setTimeout(() => {
-            this.router.navigate(['/zkpridge']);
+            this.router.navigateByUrl(returnUrl);
           }, 1000);
         },
         error: (error) => {
           this.isSubmitting = false;
-          this.errorMessage = error.error?.message || 'Login failed. Please check your credentials.';
+          this.errorMessage = error.error?.error || error.error?.message || 'Login failed. Please check your credentials.';
           console.error('Login error:', error);
         }
       });
@@ -0,0 +1,194 @@
+import { Component, OnDestroy, OnInit } from '@angular/core';
+import { Subscription } from 'rxjs';
+import { MetaMaskService } from '../../services/meta-mask.service';
+import { BridgeDirection, ChainInfo, ChainService } from '../../services/chain.service';
+import { BridgeTransfer, TransferPage, TransferService, TransferStatus } from '../../services/transfer.service';
+
+// Rows per page of the history table
+const PAGE_SIZE = 10;
+
+// Statuses after which a transfer does not change anymore, unless it is retried
+const FINAL_STATUSES: TransferStatus[] = ['MINTED', 'RELEASED', 'FAILED'];
+
+@Component({
+  selector: 'app-transfer-history',
+  templateUrl: './transfer-history.component.html',
+  styleUrls: ['./transfer-history.component.css']
+})
+export class TransferHistoryComponent implements OnInit, OnDestroy {
+  statuses: TransferStatus[] = [
+    'LOCKED', 'BURNED', 'CONFIRMED', 'PROOF_GENERATED', 'PROOF_VERIFIED', 'MINTED', 'RELEASED', 'FAILED'
+  ];
+
+  // Filters, the account is the connected MetaMask account and can be cleared to see every linked wallet
+  account = '';
+  onlyAccount = true;
+  status: TransferStatus | '' = '';
+  direction: BridgeDirection | '' = '';
+
+  transfers: BridgeTransfer[] = [];
+  pagination: TransferPage['pagination'] = { page: 1, limit: PAGE_SIZE, total: 0, totalPages: 0 };
+  chains: ChainInfo[] = [];
+
+  // Transfer shown in the detail drawer
+  selected: BridgeTransfer | null = null;
+
+  isLoading = false;
+  retryingId = '';
+  errorMessage = '';
+
+  private accountSubscription: Subscription | null = null;
+  private watchSubscriptions = new Map<string, Subscription>();
+
+  constructor(
+    private transferService: TransferService,
+    private metamaskService: MetaMaskService,
+    private chainService: ChainService
+  ) {}
+
+  ngOnInit(): void {
+    this.chainService.getRegistry().subscribe({
+      next: (registry) => this.chains = registry.chains,
+      error: (error) => console.error('Error loading chain registry:', error)
+    });
+
+    // The account is emitted right away, which triggers the first load
+    this.accountSubscription = this.metamaskService.account$.subscribe((account) => {
+      this.account = account;
+      this.loadPage(1);
+    });
+  }
+
+  ngOnDestroy(): void {
+    if (this.accountSubscription) {
+      this.accountSubscription.unsubscribe();
+    }
+    this.watchSubscriptions.forEach((subscription) => subscription.unsubscribe());
+    this.watchSubscriptions.clear();
+  }
+
+  /**
+   * Load a page of transfers with the current filters
+   */
+  loadPage(page: number) {
+    this.isLoading = true;
+    this.errorMessage = '';
+
+    this.transferService.listTransfers({
+      address: this.onlyAccount && this.account ? this.account : undefined,
+      status: this.status,
+      direction: this.direction,
+      page,
+      limit: PAGE_SIZE,
+    }).subscribe({
+      next: ({ transfers, pagination }) => {
+        this.transfers = transfers;
+        this.pagination = pagination;
+        this.isLoading = false;
+      },
+      error: (error) => {
+        console.error('Error loading transfers:', error);
+        this.errorMessage = error.error?.error || 'Error loading transfers';
+        this.isLoading = false;
+      }
+    });
+  }
+
+  /**
+   * Filters changed, start again from the first page
+   */
+  applyFilters() {
+    this.loadPage(1);
+  }
+
+  openDetails(transfer: BridgeTransfer) {
+    this.selected = transfer;
+  }
+
+  closeDetails() {
+    this.selected = null;
+  }
+
+  /**
+   * Queue a failed transfer again and follow it until it settles or fails again
+   */
+  retry(transfer: BridgeTransfer) {
+    this.retryingId = transfer.id;
+    this.errorMessage = '';
+
+    this.transferService.retryTransfer(transfer.id).subscribe({
+      next: ({ transfer: retried }) => {
+        this.retryingId = '';
+        this.update(retried);
+        this.watch(retried.id);
+      },
+      error: (error) => {
+        console.error('Error retrying transfer:', error);
+        this.errorMessage = error.error?.error || 'Error retrying transfer';
+        this.retryingId = '';
+      }
+    });
+  }
+
+  canRetry(transfer: BridgeTransfer): boolean {
+    return transfer.status === 'FAILED' && !this.watchSubscriptions.has(transfer.id);
+  }
+
+  getChainName(chainId: number): string {
+    const chain = this.chains.find((item) => item.chainId === chainId);
+    return chain ? chain.name : `Chain ${chainId}`;
+  }
+
+  shortHash(hash: string | undefined): string {
+    return hash ? `${hash.slice(0, 8)}...${hash.slice(-6)}` : '-';
+  }
+
+  statusClass(status: TransferStatus): string {
+    if (status === 'FAILED') {
+      return 'bg-red-100 text-red-700';
+    }
+    if (status === 'MINTED' || status === 'RELEASED') {
+      return 'bg-green-100 text-green-700';
+    }
+    return 'bg-blue-100 text-blue-700';
+  }
+
+  private watch(transferId: string) {
+    if (this.watchSubscriptions.has(transferId)) {
+      return;
+    }
+
+    const subscription = this.transferService.watchTransfers({ transferId }).subscribe({
+      next: (transfer) => {
+        this.update(transfer);
+        if (FINAL_STATUSES.includes(transfer.status)) {
+          this.stopWatching(transferId);
+        }
+      },
+      error: (error) => {
+        console.error('Error watching transfer:', error);
+        this.stopWatching(transferId);
+      }
+    });
+    this.watchSubscriptions.set(transferId, subscription);
+  }
+
+  private stopWatching(transferId: string) {
+    const subscription = this.watchSubscriptions.get(transferId);
+    if (subscription) {
+      subscription.unsubscribe();
+      this.watchSubscriptions.delete(transferId);
+    }
+  }
+
+  // Replace the row and the open drawer with a newer version of the transfer
+  private update(transfer: BridgeTransfer) {
+    const index = this.transfers.findIndex((item) => item.id === transfer.id);
+    if (index >= 0 && transfer.updatedAt >= this.transfers[index].updatedAt) {
+      this.transfers[index] = transfer;
+    }
+    if (this.selected && this.selected.id === transfer.id && transfer.updatedAt >= this.selected.updatedAt) {
+      this.selected = transfer;
+    }
+  }
+}
@@ -0,0 +1,146 @@
+import { Component, Input, OnChanges, OnDestroy, SimpleChanges } from '@angular/core';
+import { Subscription, timer } from 'rxjs';
+import { BridgeDirection, ChainInfo } from '../../services/chain.service';
+import { TokenService } from '../../services/token.service';
+import { BridgeTransfer, TransferService, TransferStatus } from '../../services/transfer.service';
+
+interface ProgressStep {
+  label: string;
+  detail: string;
+  done: boolean;
+  active: boolean;
+}
+
+// Statuses in the order the steps complete, the last step depends on the direction
+const STEP_STATUSES: TransferStatus[] = ['CONFIRMED', 'PROOF_GENERATED', 'PROOF_VERIFIED'];
+
+// Source confirmations are polled from the connected wallet until the backend confirms the transfer
+const CONFIRMATIONS_POLL_MS = 5000;
+
+@Component({
+  selector: 'app-transfer-progress',
+  templateUrl: './transfer-progress.component.html',
+  styleUrls: ['./transfer-progress.component.css']
+})
+export class TransferProgressComponent implements OnChanges, OnDestroy {
+  @Input() sourceTxHash = '';
+  @Input() direction: BridgeDirection = 'LOCK_MINT';
+  @Input() sourceChain: ChainInfo | null = null;
+  @Input() destinationChain: ChainInfo | null = null;
+
+  transfer: BridgeTransfer | null = null;
+  confirmations = 0;
+  errorMessage = '';
+
+  private streamSubscription: Subscription | null = null;
+  private confirmationsSubscription: Subscription | null = null;
+
+  constructor(private transferService: TransferService, private tokenService: TokenService) {}
+
+  ngOnChanges(changes: SimpleChanges): void {
+    if (changes['sourceTxHash']) {
+      this.watch();
+    }
+  }
+
+  ngOnDestroy(): void {
+    this.unsubscribe();
+  }
+
+  get settledStatus(): TransferStatus {
+    return this.direction === 'BURN_RELEASE' ? 'RELEASED' : 'MINTED';
+  }
+
+  get steps(): ProgressStep[] {
+    const statuses = [...STEP_STATUSES, this.settledStatus];
+    const reached = this.transfer ? statuses.indexOf(this.transfer.status) : -1;
+    const failed = this.transfer?.status === 'FAILED';
+    const required = this.sourceChain?.confirmations || 0;
+    const destination = this.destinationChain?.name || 'the target network';
+
+    // A failed transfer keeps the steps it completed, nothing is active anymore
+    const completed = failed ? this.getCompletedBeforeFailure(statuses) : reached + 1;
+    const confirmations = completed > 0 ? required : Math.min(this.confirmations, required);
+
+    const labels = [
+      { label: `${this.direction === 'BURN_RELEASE' ? 'Burn' : 'Lock'} confirmations`, detail: `${confirmations}/${required}` },
+      { label: 'STARK proof generated', detail: '' },
+      { label: 'Proof verified', detail: '' },
+      { label: `${this.direction === 'BURN_RELEASE' ? 'Released' : 'Minted'} on ${destination}`, detail: '' },
+    ];
+
+    return labels.map((step, index) => ({
+      ...step,
+      done: index < completed,
+      active: !failed && index === completed,
+    }));
+  }
+
+  get sourceLink(): string | null {
+    if (this.transfer?.explorerLinks.source) {
+      return this.transfer.explorerLinks.source;
+    }
+    return this.sourceChain ? `${this.sourceChain.explorerUrl}/tx/${this.sourceTxHash}` : null;
+  }
+
+  get destinationLink(): string | null {
+    return this.transfer?.explorerLinks.destination || null;
+  }
+
+  private getCompletedBeforeFailure(statuses: TransferStatus[]): number {
+    const history = this.transfer ? this.transfer.history.map((entry) => entry.status) : [];
+    return statuses.filter((status) => history.includes(status)).length;
+  }
+
+  private watch() {
+    this.unsubscribe();
+    this.transfer = null;
+    this.confirmations = 0;
+    this.errorMessage = '';
+    if (!this.sourceTxHash) {
+      return;
+    }
+
+    this.streamSubscription = this.transferService.watchTransfers({ sourceTxHash: this.sourceTxHash }).subscribe({
+      next: (transfer) => {
+        // Keep the latest version, a reconnect can replay an older state
+        if (!this.transfer || transfer.updatedAt >= this.transfer.updatedAt) {
+          this.transfer = transfer;
+        }
+        if (this.transfer.status !== 'LOCKED' && this.transfer.status !== 'BURNED') {
+          this.stopConfirmations();
+        }
+        if (this.transfer.status === this.settledStatus || this.transfer.status === 'FAILED') {
+          this.unsubscribe();
+        }
+      },
+      error: (error) => {
+        console.error('Error watching transfer:', error);
+        this.errorMessage = error.message || 'Error watching transfer';
+      }
+    });
+
+    this.confirmationsSubscription = timer(0, CONFIRMATIONS_POLL_MS).subscribe(async () => {
+      try {
+        this.confirmations = await this.tokenService.getConfirmations(this.sourceTxHash);
+      } catch (error) {
+        console.error('Error reading confirmations:', error);
+      }
+    });
+  }
+
+  private stopConfirmations() {
+    if (this.confirmationsSubscription) {
+      this.confirmationsSubscription.unsubscribe();
+      this.confirmationsSubscription = null;
+    }
+  }
+
+  private unsubscribe() {
+    this.stopConfirmations();
+    if (this.streamSubscription) {
+      this.streamSubscription.unsubscribe();
+      this.streamSubscription = null;
+    }
+  }
+}
@@ -52,9 +52,9 @@ export class UserRegistrationComponent implements OnInit {
         console.log(response);
         this.signupForm.reset();
 
-        // Navigate to dashboard or home page after successful login
+        // Navigate to login, the bridge page requires a signed in user
         setTimeout(() => {
-          this.router.navigate(['/zkpridge']);
+          this.router.navigate(['/login']);
         }, 1000);
       },
       error: (error) => {
@@ -0,0 +1,57 @@
+import { Injectable } from '@angular/core';
+import {
+  HttpErrorResponse,
+  HttpEvent,
+  HttpHandler,
+  HttpInterceptor,
+  HttpRequest
+} from '@angular/common/http';
+import { Observable, throwError } from 'rxjs';
+import { catchError, switchMap } from 'rxjs/operators';
+import { AuthService } from '../services/auth.service';
+import { environment } from 'src/environments/environment';
+
+// Endpoints that must not carry or refresh the access token
+const PUBLIC_ENDPOINTS = ['user/register', 'user/login', 'user/refresh', 'user/logout', 'chains'];
+
+@Injectable()
+export class AuthInterceptor implements HttpInterceptor {
+
+  constructor(private authService: AuthService) {}
+
+  intercept(request: HttpRequest<unknown>, next: HttpHandler): Observable<HttpEvent<unknown>> {
+    if (!request.url.startsWith(environment.apiUrl) || this.isPublicEndpoint(request.url)) {
+      return next.handle(request);
+    }
+
+    return next.handle(this.addToken(request, this.authService.getAccessToken())).pipe(
+      catchError((error) => {
+        // Access token expired: refresh once and retry the original request
+        if (error instanceof HttpErrorResponse && error.status === 401 && this.authService.getRefreshToken()) {
+          return this.authService.refreshTokens().pipe(
+            switchMap((accessToken) => next.handle(this.addToken(request, accessToken))),
+            catchError((refreshError) => {
+              this.authService.logout();
+              return throwError(() => refreshError);
+            })
+          );
+        }
+        return throwError(() => error);
+      })
+    );
+  }
+
+  private addToken(request: HttpRequest<unknown>, accessToken: string | null): HttpRequest<unknown> {
+    if (!accessToken) {
+      return request;
+    }
+    return request.clone({
+      setHeaders: { Authorization: `Bearer ${accessToken}` }
+    });
+  }
+
+  private isPublicEndpoint(url: string): boolean {
+    const path = url.substring(environment.apiUrl.length);
+    return PUBLIC_ENDPOINTS.some((endpoint) => path.startsWith(endpoint));
+  }
+}
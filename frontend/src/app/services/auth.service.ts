@@ -0,0 +1,111 @@
+import { Injectable } from '@angular/core';
+import { HttpClient } from '@angular/common/http';
+import { Router } from '@angular/router';
+import { Observable, throwError } from 'rxjs';
+import { finalize, map, shareReplay } from 'rxjs/operators';
+import { environment } from 'src/environments/environment';
+
+@Injectable({
+  providedIn: 'root'
+})
+export class AuthService {
+  private baseUrl = environment.apiUrl;
+
+  // Local storage keys
+  private readonly ACCESS_TOKEN_KEY = 'access_token';
+  private readonly REFRESH_TOKEN_KEY = 'refresh_token';
+  private readonly USER_INFO_KEY = 'user_info';
+
+  // Refresh in progress, shared so parallel 401s only trigger one refresh
+  private refreshInFlight$: Observable<string> | null = null;
+
+  constructor(private http: HttpClient, private router: Router) {}
+
+  /**
+   * Store the tokens and user info returned by login
+   */
+  storeSession(response: any) {
+    localStorage.setItem(this.ACCESS_TOKEN_KEY, response.accessToken);
+    localStorage.setItem(this.REFRESH_TOKEN_KEY, response.refreshToken);
+    if (response.user) {
+      localStorage.setItem(this.USER_INFO_KEY, JSON.stringify(response.user));
+    }
+  }
+
+  getAccessToken(): string | null {
+    return localStorage.getItem(this.ACCESS_TOKEN_KEY);
+  }
+
+  getRefreshToken(): string | null {
+    return localStorage.getItem(this.REFRESH_TOKEN_KEY);
+  }
+
+  /**
+   * A user is logged in while the refresh token is still valid
+   */
+  isLoggedIn(): boolean {
+    const refreshToken = this.getRefreshToken();
+    if (!refreshToken) {
+      return false;
+    }
+
+    const expiry = this.getTokenExpiry(refreshToken);
+    return expiry !== null && expiry > Date.now();
+  }
+
+  /**
+   * Exchange the refresh token for a new token pair and return the new access token
+   */
+  refreshTokens(): Observable<string> {
+    const refreshToken = this.getRefreshToken();
+    if (!refreshToken) {
+      return throwError(() => new Error('No refresh token'));
+    }
+
+    if (!this.refreshInFlight$) {
+      this.refreshInFlight$ = this.http.post<any>(`${this.baseUrl}user/refresh`, { refreshToken }).pipe(
+        map((response) => {
+          this.storeSession(response);
+          return response.accessToken as string;
+        }),
+        finalize(() => {
+          this.refreshInFlight$ = null;
+        }),
+        shareReplay(1)
+      );
+    }
+    return this.refreshInFlight$;
+  }
+
+  /**
+   * Revoke the session on the server and clear the local tokens
+   */
+  logout() {
+    const refreshToken = this.getRefreshToken();
+    if (refreshToken) {
+      this.http.post(`${this.baseUrl}user/logout`, { refreshToken }).subscribe({
+        error: (error) => console.error('Logout error:', error)
+      });
+    }
+
+    this.clearSession();
+    this.router.navigate(['/login']);
+  }
+
+  clearSession() {
+    localStorage.removeItem(this.ACCESS_TOKEN_KEY);
+    localStorage.removeItem(this.REFRESH_TOKEN_KEY);
+    localStorage.removeItem(this.USER_INFO_KEY);
+  }
+
+  private getTokenExpiry(token: string): number | null {
+    try {
+      // JWT payloads are base64url encoded JSON
+      const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+      const { exp } = JSON.parse(atob(payload));
+      return typeof exp === 'number' ? exp * 1000 : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
@@ -0,0 +1,88 @@
+import { Injectable } from '@angular/core';
+import { HttpClient } from '@angular/common/http';
+import { firstValueFrom, Observable } from 'rxjs';
+import { shareReplay } from 'rxjs/operators';
+import { environment } from 'src/environments/environment';
+
+export interface ChainInfo {
+  chainId: number;
+  key: string;
+  name: string;
+  icon: string;
+  nativeCurrency: { name: string; symbol: string; decimals: number };
+  rpcUrls: string[];
+  explorerUrl: string;
+  confirmations: number;
+  contracts: { token?: string; lock?: string; mint?: string };
+}
+
+// LOCK_MINT bridges originals out, BURN_RELEASE returns wrapped tokens to the source chain
+export type BridgeDirection = 'LOCK_MINT' | 'BURN_RELEASE';
+
+export interface BridgeRoute {
+  sourceChainId: number;
+  destinationChainId: number;
+  direction: BridgeDirection;
+  // Bridge fee in whole tokens: flat plus basis points of the amount, kept between min and max
+  fee: { flat: string; bps: number; min: string; max?: string };
+  // Volume limits in whole tokens, daily limits cover the last 24 hours
+  limits: { min: string; max?: string; dailyPerAddress?: string; dailyTotal?: string };
+}
+
+export interface ChainRegistry {
+  chains: ChainInfo[];
+  routes: BridgeRoute[];
+}
+
+@Injectable({
+  providedIn: 'root'
+})
+export class ChainService {
+  private baseUrl = environment.apiUrl;
+
+  // The registry only changes with a backend deploy, so it is fetched once
+  private registry$: Observable<ChainRegistry> | null = null;
+
+  constructor(private http: HttpClient) {}
+
+  /**
+   * Supported chains and bridge routes, as served by the backend
+   */
+  getRegistry(): Observable<ChainRegistry> {
+    if (!this.registry$) {
+      this.registry$ = this.http.get<ChainRegistry>(`${this.baseUrl}chains`).pipe(shareReplay(1));
+    }
+    return this.registry$;
+  }
+
+  /**
+   * Find a chain by its numeric or hex (MetaMask) chain id
+   */
+  async findChain(chainId: number | string): Promise<ChainInfo | null> {
+    const registry = await firstValueFrom(this.getRegistry());
+    return registry.chains.find((chain) => chain.chainId === Number(chainId)) || null;
+  }
+
+  /**
+   * Source chains of the routes in one direction
+   */
+  getSources(registry: ChainRegistry, direction: BridgeDirection): ChainInfo[] {
+    return registry.chains.filter((chain) =>
+      registry.routes.some((route) => route.sourceChainId === chain.chainId && route.direction === direction)
+    );
+  }
+
+  /**
+   * Destination chains reachable from a source chain
+   */
+  getDestinations(registry: ChainRegistry, sourceChainId: number): ChainInfo[] {
+    return registry.routes
+      .filter((route) => route.sourceChainId === sourceChainId)
+      .map((route) => registry.chains.find((chain) => chain.chainId === route.destinationChainId))
+      .filter((chain): chain is ChainInfo => !!chain);
+  }
+
+  toHexChainId(chainId: number): string {
+    return '0x' + chainId.toString(16);
+  }
+}
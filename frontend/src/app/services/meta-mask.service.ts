@@ -2,6 +2,7 @@ import { Injectable } from '@angular/core';
 import { BehaviorSubject } from 'rxjs';
 import detectEthereumProvider from '@metamask/detect-provider';
 import { ethers } from 'ethers';
+import { ChainInfo, ChainService } from './chain.service';
 
 @Injectable({
   providedIn: 'root'
@@ -19,16 +20,36 @@ export class MetaMaskService {
   chainId$ = this._chainId.asObservable();
   chainName$ = this._chainName.asObservable();
 
-  // Chain mapping
-  private chainIdMapping: { [key: string]: string } = {
-    '0x1': 'Ethereum',
-    '0x89': 'Polygon',
-  };
+  // Chain mapping, filled from the backend chain registry
+  private chainIdMapping: { [key: string]: string } = {};
+  private chains: ChainInfo[] = [];
 
-  constructor() {
+  constructor(private chainService: ChainService) {
+    this.loadChains();
     this.initialize();
   }
 
+  /**
+   * Load the supported chains and refresh the name of the current chain
+   */
+  loadChains() {
+    this.chainService.getRegistry().subscribe({
+      next: (registry) => {
+        this.chains = registry.chains;
+        this.chainIdMapping = {};
+        for (const chain of registry.chains) {
+          this.chainIdMapping[this.chainService.toHexChainId(chain.chainId)] = chain.name;
+        }
+
+        const chainId = this._chainId.getValue();
+        if (chainId) {
+          this._chainName.next(this.getChainName(chainId));
+        }
+      },
+      error: (error) => console.error('Error loading chain registry:', error)
+    });
+  }
+
   async initialize() {
     try {
       // Detect the MetaMask Ethereum provider
@@ -129,8 +150,20 @@ export class MetaMaskService {
     } catch (error: any) {
       // This error code indicates that the chain has not been added to MetaMask
       if (error.code === 4902) {
-        // You could add the chain here
-        // This would require additional code to add networks
+        const chain = this.chains.find((item) => this.chainService.toHexChainId(item.chainId) === chainId);
+        if (chain && chain.rpcUrls.length > 0) {
+          await this.provider.request({
+            method: 'wallet_addEthereumChain',
+            params: [{
+              chainId,
+              chainName: chain.name,
+              nativeCurrency: chain.nativeCurrency,
+              rpcUrls: chain.rpcUrls,
+              blockExplorerUrls: [chain.explorerUrl],
+            }],
+          });
+          return true;
+        }
       }
       console.error('Error switching network:', error);
       throw error;
@@ -167,6 +200,20 @@ export class MetaMaskService {
     }
   }
 
+  /**
+   * Sign a plain text message (personal_sign) with the given account
+   */
+  async signMessage(address: string, message: string): Promise<string> {
+    if (!this.provider) {
+      throw new Error('MetaMask not installed');
+    }
+
+    return this.provider.request({
+      method: 'personal_sign',
+      params: [message, address],
+    });
+  }
+
   async sendTransaction(from: string, to: string, amount: string): Promise<string> {
     try {
       if (!this.provider) {
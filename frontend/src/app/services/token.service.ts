@@ -1,5 +1,6 @@
 import { Injectable } from '@angular/core';
 import { ethers, Contract } from 'ethers';
+import { ChainInfo, ChainService } from './chain.service';
 
 // Type declaration for window.ethereum
 declare global {
@@ -15,15 +16,38 @@ const ERC20_ABI = [
   "function symbol() view returns (string)",
   "function transfer(address to, uint amount) returns (bool)",
   "function approve(address spender, uint256 amount) returns (bool)",
-  "function allowance(address owner, address spender) view returns (uint256)"
+  "function allowance(address owner, address spender) view returns (uint256)",
+  // EIP-2612 permits, tokens without them revert
+  "function nonces(address owner) view returns (uint256)",
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)"
 ];
 
 // Lock Contract ABI
 const LOCK_CONTRACT_ABI = [
   "function lockTokens(uint256 amount, string memory destinationAddress) external",
+  "function lockTokensWithPermit(uint256 amount, string memory destinationAddress, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external",
   "event TokensLocked(address indexed user, uint256 amount, string destinationAddress)"
 ];
 
+// Mint Contract ABI - burning wrapped tokens to return to the source chain
+const MINT_CONTRACT_ABI = [
+  "function burnTokens(uint256 amount, string memory destinationAddress) external",
+  "event TokensBurned(address indexed user, uint256 amount, string destinationAddress)"
+];
+
+// A signed permit is valid for an hour, long enough for the lock transaction to be mined
+const PERMIT_DEADLINE_SECONDS = 60 * 60;
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
 
 @Injectable({
   providedIn: 'root'
@@ -32,15 +56,20 @@ export class TokenService {
   private provider: ethers.BrowserProvider | null = null;
   private signer: ethers.Signer | null = null;
 
-  // Contract addresses
-  private readonly TOKEN_ADDRESS = '0x55D1E12F25E4a974E8a437d1BDD29b3535BCB0E5';
-  private readonly LOCK_CONTRACT_ADDRESS = '0xe475fb6d1f0b3760cb0e741eaaBa5f939e024AaB';
+  // Chain the contracts below belong to, resolved from the chain registry
+  private chain: ChainInfo | null = null;
 
   // Contract instances
   private tokenContract: ethers.Contract | null = null;
   private lockContract: ethers.Contract | null = null;
+  private mintContract: ethers.Contract | null = null;
 
-  constructor() { }
+  constructor(private chainService: ChainService) {
+    // Contracts differ per chain, so they are rebuilt after a network switch
+    if (window.ethereum) {
+      window.ethereum.on('chainChanged', () => this.reset());
+    }
+  }
 
   /**
    * Initialize provider, signer and contracts
@@ -51,19 +80,30 @@ export class TokenService {
       try {
         this.provider = new ethers.BrowserProvider(window.ethereum);
         this.signer = await this.provider.getSigner();
+
+        // Look up the contracts of the connected chain
+        const network = await this.provider.getNetwork();
+        this.chain = await this.chainService.findChain(Number(network.chainId));
+        if (!this.chain || !this.chain.contracts.token) {
+          throw new Error('The connected network is not supported by the bridge');
+        }
         
         // Initialize contracts
         this.tokenContract = new ethers.Contract(
-          this.TOKEN_ADDRESS,
+          this.chain.contracts.token,
           ERC20_ABI,
           this.signer
         );
         
-        this.lockContract = new ethers.Contract(
-          this.LOCK_CONTRACT_ADDRESS,
-          LOCK_CONTRACT_ABI,
-          this.signer
-        );
+        // Only source chains of a route have a lock contract
+        this.lockContract = this.chain.contracts.lock
+          ? new ethers.Contract(this.chain.contracts.lock, LOCK_CONTRACT_ABI, this.signer)
+          : null;
+
+        // Chains holding wrapped tokens burn them through the mint contract
+        this.mintContract = this.chain.contracts.mint
+          ? new ethers.Contract(this.chain.contracts.mint, MINT_CONTRACT_ABI, this.signer)
+          : null;
       } catch (error) {
         console.error('Error initializing contracts:', error);
         throw error;
@@ -73,6 +113,31 @@ export class TokenService {
     }
   }
 
+  /**
+   * Drop the contracts of the previous chain
+   */
+  reset() {
+    if (this.lockContract) {
+      this.lockContract.removeAllListeners();
+    }
+    this.provider = null;
+    this.signer = null;
+    this.chain = null;
+    this.tokenContract = null;
+    this.lockContract = null;
+    this.mintContract = null;
+  }
+
+  /**
+   * Chain the token and lock contracts belong to
+   */
+  async getChain(): Promise<ChainInfo | null> {
+    if (!this.chain) {
+      await this.initialize();
+    }
+    return this.chain;
+  }
+
   /**
    * Get token balance for an address
    */
@@ -119,31 +184,53 @@ export class TokenService {
   }
 
   /**
-   * Check if lock contract has enough allowance to spend tokens
+   * Check if lock contract has enough allowance to spend the amount
    */
-  async checkAllowance(ownerAddress: string): Promise<boolean> {
+  async checkAllowance(ownerAddress: string, amount: string): Promise<boolean> {
     if (!this.tokenContract) {
       await this.initialize();
     }
     
     try {
-      if (!this.tokenContract) {
-        throw new Error('Token contract not initialized');
+      if (!this.tokenContract || !this.lockContract) {
+        throw new Error('Contracts not initialized');
       }
       
+      const decimals = await this.tokenContract['decimals']();
       const allowance = await this.tokenContract['allowance'](
         ownerAddress,
-        this.LOCK_CONTRACT_ADDRESS
+        await this.lockContract.getAddress()
       );
       
-      // If allowance is greater than 0, return true
-      return allowance > BigInt(0);
+      // An allowance left from an earlier, smaller approval is not enough
+      return allowance >= ethers.parseUnits(amount, decimals);
     } catch (error) {
       console.error('Error checking allowance:', error);
       throw error;
     }
   }
 
+  /**
+   * Check if the token takes EIP-2612 permits, so the approval can be signed instead of sent
+   */
+  async supportsPermit(): Promise<boolean> {
+    if (!this.tokenContract) {
+      await this.initialize();
+    }
+
+    try {
+      if (!this.tokenContract) {
+        throw new Error('Token contract not initialized');
+      }
+
+      await this.tokenContract['eip712Domain']();
+      return true;
+    } catch (error) {
+      // Tokens without permits revert on the call
+      return false;
+    }
+  }
+
   /**
    * Approve lock contract to spend tokens
    */
@@ -153,8 +240,8 @@ export class TokenService {
     }
     
     try {
-      if (!this.tokenContract) {
-        throw new Error('Token contract not initialized');
+      if (!this.tokenContract || !this.lockContract) {
+        throw new Error('Contracts not initialized');
       }
       
       const decimals = await this.tokenContract['decimals']();
@@ -162,7 +249,7 @@ export class TokenService {
       
       // Approve the lock contract to spend tokens
       const tx = await this.tokenContract['approve'](
-        this.LOCK_CONTRACT_ADDRESS,
+        await this.lockContract.getAddress(),
         parsedAmount
       );
       
@@ -203,6 +290,95 @@ export class TokenService {
     }
   }
   
+  /**
+   * Sign a permit for the lock contract in MetaMask and lock the tokens in one transaction
+   */
+  async lockTokensWithPermit(amount: string, destinationAddress: string): Promise<string> {
+    if (!this.lockContract || !this.tokenContract) {
+      await this.initialize();
+    }
+    
+    try {
+      if (!this.lockContract || !this.tokenContract || !this.signer) {
+        throw new Error('Contracts not initialized');
+      }
+      
+      const decimals = await this.tokenContract['decimals']();
+      const parsedAmount = ethers.parseUnits(amount, decimals);
+      const owner = await this.signer.getAddress();
+      const spender = await this.lockContract.getAddress();
+      
+      // The token publishes its own EIP-712 domain, its name and version are not guessed
+      const [, name, version, chainId, verifyingContract] = await this.tokenContract['eip712Domain']();
+      const nonce = await this.tokenContract['nonces'](owner);
+      const deadline = BigInt(Math.floor(Date.now() / 1000) + PERMIT_DEADLINE_SECONDS);
+      
+      // MetaMask shows the permit as typed data (eth_signTypedData_v4), no transaction is sent for it
+      const signature = ethers.Signature.from(await this.signer.signTypedData(
+        { name, version, chainId, verifyingContract },
+        PERMIT_TYPES,
+        { owner, spender, value: parsedAmount, nonce, deadline }
+      ));
+      
+      // Lock tokens, the contract applies the permit first
+      const tx = await this.lockContract['lockTokensWithPermit'](
+        parsedAmount,
+        destinationAddress,
+        deadline,
+        signature.v,
+        signature.r,
+        signature.s
+      );
+      
+      // Wait for transaction to be mined
+      const receipt = await tx.wait();
+      return receipt?.hash || '';
+    } catch (error) {
+      console.error('Error locking tokens with permit:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Burn wrapped tokens to release the originals on the source chain
+   */
+  async burnTokens(amount: string, destinationAddress: string): Promise<string> {
+    if (!this.mintContract || !this.tokenContract) {
+      await this.initialize();
+    }
+    
+    try {
+      if (!this.mintContract || !this.tokenContract) {
+        throw new Error('Contracts not initialized');
+      }
+      
+      const decimals = await this.tokenContract['decimals']();
+      const parsedAmount = ethers.parseUnits(amount, decimals);
+      
+      // Burn tokens, the mint contract burns the caller's own balance so no approval is needed
+      const tx = await this.mintContract['burnTokens'](parsedAmount, destinationAddress);
+      
+      // Wait for transaction to be mined
+      const receipt = await tx.wait();
+      return receipt?.hash || '';
+    } catch (error) {
+      console.error('Error burning tokens:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Number of confirmations of a transaction on the connected chain, 0 while it is pending
+   */
+  async getConfirmations(txHash: string): Promise<number> {
+    if (!this.provider) {
+      await this.initialize();
+    }
+
+    const receipt = this.provider ? await this.provider.getTransactionReceipt(txHash) : null;
+    return receipt ? receipt.confirmations() : 0;
+  }
+
   /**
    * Listen for TokensLocked events
    */
@@ -0,0 +1,223 @@
+import { Injectable } from '@angular/core';
+import { HttpClient, HttpParams } from '@angular/common/http';
+import { firstValueFrom, Observable } from 'rxjs';
+import { environment } from 'src/environments/environment';
+import { AuthService } from './auth.service';
+import { BridgeDirection } from './chain.service';
+
+export type TransferStatus =
+  'LOCKED' | 'BURNED' | 'CONFIRMED' | 'PROOF_GENERATED' | 'PROOF_VERIFIED' | 'MINTED' | 'RELEASED' | 'FAILED';
+
+export interface BridgeTransfer {
+  id: string;
+  sourceNonce: string;
+  sourceTxHash: string;
+  logIndex: number;
+  blockNumber: number;
+  sender: string;
+  destinationAddress: string;
+  amount: string;
+  formattedAmount: string;
+  fee: string;
+  formattedFee: string;
+  receivedAmount: string;
+  formattedReceivedAmount: string;
+  sourceChainId: number;
+  destinationChainId: number;
+  direction: BridgeDirection;
+  status: TransferStatus;
+  history: { status: TransferStatus; at: string; error?: string }[];
+  proofHash?: string;
+  destinationTxHash?: string;
+  error?: string;
+  explorerLinks: { source: string | null; destination: string | null };
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface TransferListQuery {
+  address?: string;
+  status?: TransferStatus | '';
+  direction?: BridgeDirection | '';
+  page: number;
+  limit: number;
+}
+
+export interface TransferPage {
+  transfers: BridgeTransfer[];
+  pagination: { page: number; limit: number; total: number; totalPages: number };
+}
+
+export interface GasEstimate {
+  chainId: number;
+  gasPrice: string;
+  steps: { name: string; gasLimit: string; estimated: boolean }[];
+  gasCost: string;
+  formattedGasCost: string;
+  currency: string;
+  paidBy: 'sender' | 'relayer';
+}
+
+export interface BridgeQuote {
+  sourceChainId: number;
+  destinationChainId: number;
+  direction: BridgeDirection;
+  amount: string;
+  formattedAmount: string;
+  bridgeFee: string;
+  formattedBridgeFee: string;
+  receivedAmount: string;
+  formattedReceivedAmount: string;
+  source: GasEstimate;
+  destination: GasEstimate;
+}
+
+// Exactly one of the filters, streams only ever include transfers of the logged in user
+export interface TransferStreamQuery {
+  transferId?: string;
+  address?: string;
+  sourceTxHash?: string;
+}
+
+// Delay before reopening a stream the connection of which dropped
+const RECONNECT_DELAY_MS = 3000;
+
+// The refresh token was refused, reconnecting cannot succeed until the user logs in again
+class SessionExpiredError extends Error {}
+
+@Injectable({
+  providedIn: 'root'
+})
+export class TransferService {
+  private baseUrl = environment.apiUrl;
+
+  constructor(private http: HttpClient, private authService: AuthService) {}
+
+  /**
+   * Transfers of the logged in user, newest first
+   */
+  listTransfers(query: TransferListQuery): Observable<TransferPage> {
+    let params = new HttpParams();
+    for (const [key, value] of Object.entries(query)) {
+      if (value !== '' && value !== undefined && value !== null) {
+        params = params.set(key, String(value));
+      }
+    }
+    return this.http.get<TransferPage>(`${this.baseUrl}transaction`, { params });
+  }
+
+  /**
+   * Estimated gas on both chains, bridge fee and received amount of a transfer.
+   * The sender has to be a wallet of the user, its allowance and daily limit are taken into account.
+   */
+  getQuote(amount: string, sourceChainId: number, destinationChainId: number, sender?: string): Observable<{ quote: BridgeQuote }> {
+    let params = new HttpParams()
+      .set('amount', amount)
+      .set('from', String(sourceChainId))
+      .set('to', String(destinationChainId));
+    if (sender) {
+      params = params.set('sender', sender);
+    }
+    return this.http.get<{ quote: BridgeQuote }>(`${this.baseUrl}transaction/quote`, { params });
+  }
+
+  /**
+   * Queue a failed transfer again from the step it failed in
+   */
+  retryTransfer(transferId: string): Observable<{ transfer: BridgeTransfer }> {
+    return this.http.post<{ transfer: BridgeTransfer }>(`${this.baseUrl}transaction/${transferId}/retry`, {});
+  }
+
+  /**
+   * Live transfer updates over Server-Sent Events. The current state of every matching
+   * transfer is emitted first, then each change. EventSource cannot send the access token,
+   * so the stream is read with fetch.
+   */
+  watchTransfers(query: TransferStreamQuery): Observable<BridgeTransfer> {
+    return new Observable<BridgeTransfer>((subscriber) => {
+      const controller = new AbortController();
+
+      const run = async () => {
+        while (!controller.signal.aborted) {
+          try {
+            const response = await this.openStream(query, controller.signal);
+            if (!response.ok || !response.body) {
+              // Invalid filter or foreign address, reconnecting would not help
+              const body = await response.json().catch(() => ({}));
+              subscriber.error(new Error(body.error || `Transfer stream failed with status ${response.status}`));
+              return;
+            }
+            await this.readEvents(response.body, (transfer) => subscriber.next(transfer));
+          } catch (error) {
+            if (controller.signal.aborted) {
+              return;
+            }
+            if (error instanceof SessionExpiredError) {
+              subscriber.error(error);
+              return;
+            }
+            console.error('Transfer stream interrupted:', error);
+          }
+          await new Promise((resolve) => setTimeout(resolve, RECONNECT_DELAY_MS));
+        }
+      };
+      run();
+
+      return () => controller.abort();
+    });
+  }
+
+  private async openStream(query: TransferStreamQuery, signal: AbortSignal): Promise<Response> {
+    const params = new URLSearchParams(
+      Object.entries(query).filter(([, value]) => !!value) as [string, string][]
+    );
+    const open = () => fetch(`${this.baseUrl}transaction/stream?${params}`, {
+      headers: { Authorization: `Bearer ${this.authService.getAccessToken()}` },
+      signal,
+    });
+
+    // Access token expired: refresh once and reopen, like the HTTP interceptor does
+    const response = await open();
+    if (response.status === 401 && this.authService.getRefreshToken()) {
+      try {
+        await firstValueFrom(this.authService.refreshTokens());
+      } catch (error) {
+        // Refresh token revoked or expired, the session ends as it does for HTTP requests
+        this.authService.logout();
+        throw new SessionExpiredError('Session expired, please log in again');
+      }
+      return open();
+    }
+    return response;
+  }
+
+  private async readEvents(body: ReadableStream<Uint8Array>, onTransfer: (transfer: BridgeTransfer) => void) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) {
+        return;
+      }
+      buffer += decoder.decode(value, { stream: true });
+
+      // Events end with a blank line, lines starting with ':' are heartbeats
+      let boundary = buffer.indexOf('\n\n');
+      while (boundary >= 0) {
+        const data = buffer.slice(0, boundary)
+          .split('\n')
+          .filter((line) => line.startsWith('data:'))
+          .map((line) => line.slice(5).trim())
+          .join('\n');
+        buffer = buffer.slice(boundary + 2);
+
+        if (data) {
+          onTransfer(JSON.parse(data));
+        }
+        boundary = buffer.indexOf('\n\n');
+      }
+    }
+  }
+}
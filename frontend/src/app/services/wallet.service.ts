@@ -0,0 +1,45 @@
+import { Injectable } from '@angular/core';
+import { HttpClient } from '@angular/common/http';
+import { firstValueFrom } from 'rxjs';
+import { environment } from 'src/environments/environment';
+import { MetaMaskService } from './meta-mask.service';
+
+export interface LinkedWallet {
+  _id: string;
+  type: 'custodial' | 'external';
+  address: string;
+  createdAt: string;
+}
+
+@Injectable({
+  providedIn: 'root'
+})
+export class WalletService {
+  private baseUrl = environment.apiUrl;
+
+  constructor(private http: HttpClient, private metamaskService: MetaMaskService) {}
+
+  /**
+   * Wallets linked to the logged in user
+   */
+  getWallets() {
+    return this.http.get<{ wallets: LinkedWallet[] }>(`${this.baseUrl}wallet`);
+  }
+
+  /**
+   * Link a MetaMask account to the user with a signed Sign-In with Ethereum message.
+   * Transfers are only visible to the user their sender or recipient is linked to.
+   */
+  async ensureLinked(address: string, chainId: number): Promise<void> {
+    const { wallets } = await firstValueFrom(this.getWallets());
+    if (wallets.some((wallet) => wallet.address.toLowerCase() === address.toLowerCase())) {
+      return;
+    }
+
+    const challenge = await firstValueFrom(
+      this.http.post<{ nonce: string; message: string; expiresAt: string }>(`${this.baseUrl}wallet/nonce`, { address, chainId })
+    );
+    const signature = await this.metamaskService.signMessage(address, challenge.message);
+    await firstValueFrom(this.http.post(`${this.baseUrl}wallet/register-external`, { nonce: challenge.nonce, signature }));
+  }
+}